@@ -2,6 +2,10 @@
  * AI Mouse Check - Human verification through mouse movement analysis
  * https://github.com/dshanklin-bv/ai-mouse-check
  * MIT License
+ *
+ * Needs detection-core.js, the same analysis the server runs:
+ *   <script src="detection-core.js"></script>
+ *   <script src="ai-mouse-check.js"></script>
  */
 console.log('ai-mouse-check.js loading...');
 
@@ -9,8 +13,152 @@ console.log('ai-mouse-check.js loading...');
   'use strict';
   console.log('AIMouseCheck IIFE executing');
 
+  const detection = (typeof module !== 'undefined' && module.exports)
+    ? require('./detection-core')
+    : global.AIMouseCheckDetection;
+
+  // Compact upload format; server/trace-codec.js documents the layout and decodes it
+  const TRACE_FORMAT_VERSION = 2;
+  const TRACE_EVENT_TYPES = ['move', 'down', 'up', 'enter', 'leave'];
+  const TRACE_POINTER_TYPES = ['mouse', 'pen', 'touch', ''];
+
+  // Epoch ms with sub-millisecond precision (event timeStamps count from performance.timeOrigin)
+  function eventTime(e) {
+    if (typeof performance !== 'undefined' && performance.timeOrigin && e.timeStamp > 0) {
+      return performance.timeOrigin + e.timeStamp;
+    }
+    return Date.now();
+  }
+
+  // Preallocated buffer of {x, y, t} points (plus the pointer event fields when captured
+  // from Pointer Events). Once full it refuses further points rather than dropping or
+  // thinning earlier ones: the server replays the targets from the first point on, and
+  // the timing and continuity checks need the samples as they came
+  class TraceBuffer {
+    constructor(capacity) {
+      this.capacity = capacity;
+      this.xs = new Float64Array(capacity);
+      this.ys = new Float64Array(capacity);
+      this.ts = new Float64Array(capacity);
+      this.movementXs = new Float32Array(capacity);
+      this.movementYs = new Float32Array(capacity);
+      this.buttons = new Uint8Array(capacity);
+      // Bit 0: has pointer fields, bit 1: untrusted, bits 2-3: TRACE_POINTER_TYPES index
+      this.info = new Uint8Array(capacity);
+      this.length = 0;
+    }
+
+    clear() {
+      this.length = 0;
+    }
+
+    // False (and the point is not kept) once the buffer is full
+    push(point) {
+      if (this.length === this.capacity) return false;
+      const i = this.length++;
+      this.xs[i] = point.x;
+      this.ys[i] = point.y;
+      this.ts[i] = point.t;
+
+      if (point.pointerType === undefined) {
+        this.info[i] = 0;
+        return true;
+      }
+      this.movementXs[i] = point.movementX;
+      this.movementYs[i] = point.movementY;
+      this.buttons[i] = point.buttons;
+      const typeIndex = TRACE_POINTER_TYPES.indexOf(point.pointerType);
+      this.info[i] = 1 | (point.isTrusted ? 0 : 2) | ((typeIndex === -1 ? 3 : typeIndex) << 2);
+      return true;
+    }
+
+    // Points from `from` (0 = oldest) to the newest
+    toArray(from = 0) {
+      const start = Math.max(0, from);
+      const points = new Array(Math.max(0, this.length - start));
+      for (let k = 0; k < points.length; k++) {
+        const i = start + k;
+        const point = { x: this.xs[i], y: this.ys[i], t: this.ts[i] };
+        if (this.info[i] & 1) {
+          point.movementX = this.movementXs[i];
+          point.movementY = this.movementYs[i];
+          point.buttons = this.buttons[i];
+          point.pointerType = TRACE_POINTER_TYPES[this.info[i] >> 2];
+          point.isTrusted = (this.info[i] & 2) === 0;
+        }
+        points[k] = point;
+      }
+      return points;
+    }
+  }
+
+  /**
+   * Delta-encode points as base64 (the `trace` field of /api/verify and /api/stream)
+   * @param {Array} points - Array of {x, y, t}, optionally with a type from TRACE_EVENT_TYPES
+   *   and the pointer event fields (movementX, movementY, buttons, pointerType, isTrusted)
+   * @param {Object} options - { precision: position steps per pixel, default 100 }
+   * @returns {string} Encoded trace
+   */
+  function encodeTrace(points, options = {}) {
+    const scale = options.precision || 100;
+    // Whole-millisecond timestamps (Date.now) stay whole; event timestamps keep microseconds
+    const timeScale = points.every(p => Number.isInteger(p.t)) ? 1 : 1000;
+    const tagged = points.some(p => p.type !== undefined);
+    const withPointer = points.some(p => p.pointerType !== undefined);
+    const bytes = [TRACE_FORMAT_VERSION, (tagged ? 1 : 0) | (withPointer ? 2 : 0)];
+
+    const writeVarint = (value) => {
+      while (value >= 128) {
+        bytes.push((value % 128) | 0x80);
+        value = Math.floor(value / 128);
+      }
+      bytes.push(value);
+    };
+    const writeZigzag = (value) => writeVarint(value >= 0 ? value * 2 : -value * 2 - 1);
+
+    writeVarint(scale);
+    writeVarint(timeScale);
+    writeVarint(points.length);
+    let t = points.length > 0 ? Math.round(points[0].t * timeScale) : 0;
+    writeZigzag(t);
+
+    let x = 0;
+    let y = 0;
+    for (const p of points) {
+      const px = Math.round(p.x * scale);
+      const py = Math.round(p.y * scale);
+      const pt = Math.round(p.t * timeScale);
+      writeZigzag(px - x);
+      writeZigzag(py - y);
+      writeZigzag(pt - t);
+      if (tagged) writeVarint(Math.max(0, TRACE_EVENT_TYPES.indexOf(p.type || 'move')));
+      if (withPointer) {
+        const typeIndex = TRACE_POINTER_TYPES.indexOf(p.pointerType || '');
+        writeZigzag(Math.round((p.movementX || 0) * scale));
+        writeZigzag(Math.round((p.movementY || 0) * scale));
+        writeVarint((p.buttons || 0) * 8 + (typeIndex === -1 ? 3 : typeIndex) * 2 + (p.isTrusted === false ? 1 : 0));
+      }
+      x = px;
+      y = py;
+      t = pt;
+    }
+
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+      binary += String.fromCharCode.apply(null, bytes.slice(i, i + 8192));
+    }
+    return btoa(binary);
+  }
+
   class AIMouseCheck {
     constructor(options = {}) {
+      if (!detection) {
+        throw new Error('AIMouseCheck needs detection-core.js - load it before ai-mouse-check.js');
+      }
+
+      // With a verification server, challenges come from it and passing traces go to it
+      const serverUrl = options.serverUrl ? options.serverUrl.replace(/\/+$/, '') : null;
+
       this.options = {
         timeout: options.timeout || 10000,
         targetHitsRequired: options.targetHitsRequired || 5,
@@ -18,20 +166,58 @@ console.log('ai-mouse-check.js loading...');
         onSuccess: options.onSuccess || (() => {}),
         onFailure: options.onFailure || (() => {}),
         onTargetHit: options.onTargetHit || null,
+        // Called with the capture area {width, height}; resolves to a server challenge
+        fetchChallenge: options.fetchChallenge || null,
+        serverUrl,
+        challengeEndpoint: options.challengeEndpoint || (serverUrl ? serverUrl + '/api/challenge' : null),
+        verifyEndpoint: options.verifyEndpoint || (serverUrl ? serverUrl + '/api/verify' : null),
+        // Stream points to the server while the user moves; it decides when the session passes
+        stream: options.stream === true,
+        streamEndpoint: options.streamEndpoint || (serverUrl ? serverUrl + '/api/stream' : null),
+        streamInterval: options.streamInterval || 250,
+        siteKey: options.siteKey || null,
+        profile: options.profile || null,
+        recordId: options.recordId || null,
+        action: options.action || null,
+        verifyTimeout: options.verifyTimeout || 10000,
+        // 'compact' uploads points delta-encoded (encodeTrace); 'json' as {x, y, t} objects
+        wireFormat: options.wireFormat || 'compact',
+        tracePrecision: options.tracePrecision || 100,
+        // Server unreachable: 'fail' -> onFailure('network_error'); 'local' -> onSuccess
+        // with the in-browser verdict only (serverVerified: false, no token)
+        networkErrorPolicy: options.networkErrorPolicy || 'fail',
+        // Overrides for the core's DETECTION_CONFIG (signalThreshold, thresholds)
+        detectionConfig: options.detectionConfig || null,
+        // The whole session is captured, up to maxPoints (then it fails with
+        // too_many_points); the server takes at most 20000. Only the path preview is shortened.
+        maxPoints: options.maxPoints || 20000,
+        previewPoints: options.previewPoints || 300,
+        // { size, step } overrides for the core's WINDOW_CONFIG; the server uses the defaults
+        analysisWindow: options.analysisWindow || null,
         theme: options.theme || 'dark'
       };
 
+      if (!this.options.fetchChallenge && this.options.challengeEndpoint) {
+        this.options.fetchChallenge = (area) => this._fetchChallenge(area);
+      }
+
       this.state = {
-        movementData: [],
+        trace: new TraceBuffer(this.options.maxPoints),
         targetHits: 0,
         reactionTimes: [],
         targetX: 0,
         targetY: 0,
         targetMoveTime: 0,
+        targetSize: 60,
+        challenge: null,
         isCapturing: false,
         startTime: 0,
         checkInterval: null,
         timeoutId: null,
+        settled: false,
+        stream: null,
+        serverFailed: false,
+        streamIntervalId: null,
         modal: null,
         resolve: null,
         reject: null
@@ -264,11 +450,15 @@ console.log('ai-mouse-check.js loading...');
       const reactionEl = modal.querySelector('.ai-mouse-check-reaction');
 
       // Reset state
-      this.state.movementData = [];
+      this.state.trace.clear();
       this.state.targetHits = 0;
       this.state.reactionTimes = [];
       this.state.isCapturing = false;
       this.state.startTime = Date.now();
+      this.state.challenge = null;
+      this.state.settled = false;
+      this.state.stream = null;
+      this.state.serverFailed = false;
 
       // Reset UI
       pathEl.setAttribute('d', '');
@@ -288,19 +478,179 @@ console.log('ai-mouse-check.js loading...');
       }, 100);
 
       const moveTarget = () => {
-        const rect = area.getBoundingClientRect();
-        const margin = 80;
-        this.state.targetX = margin + Math.random() * (rect.width - margin * 2);
-        this.state.targetY = margin + Math.random() * (rect.height - margin * 2);
-        targetEl.style.left = (this.state.targetX - 30) + 'px';
-        targetEl.style.top = (this.state.targetY - 30) + 'px';
+        // Targets come from the server schedule, in order; a stream reveals them one at a time
+        const challenge = this.state.challenge;
+        const next = this.state.stream
+          ? this.state.stream.target
+          : challenge && challenge.targets && challenge.targets[Math.min(this.state.targetHits, challenge.targets.length - 1)];
+        if (next) {
+          this.state.targetX = next.x;
+          this.state.targetY = next.y;
+          this.state.targetSize = next.size;
+        } else if (this.options.fetchChallenge && !this.state.serverFailed) {
+          return; // Still waiting for the server
+        } else {
+          const rect = area.getBoundingClientRect();
+          const margin = 80;
+          this.state.targetX = margin + Math.random() * (rect.width - margin * 2);
+          this.state.targetY = margin + Math.random() * (rect.height - margin * 2);
+          this.state.targetSize = 60;
+        }
+        const size = this.state.targetSize;
+        targetEl.style.width = size + 'px';
+        targetEl.style.height = size + 'px';
+        targetEl.style.left = (this.state.targetX - size / 2) + 'px';
+        targetEl.style.top = (this.state.targetY - size / 2) + 'px';
+        targetEl.style.display = 'flex';
         this.state.targetMoveTime = Date.now();
       };
 
+      if (this.options.fetchChallenge) {
+        const rect = area.getBoundingClientRect();
+        Promise.resolve(this.options.fetchChallenge({ width: rect.width, height: rect.height }))
+          .then(challenge => {
+            if (!this.state.modal || this.state.settled) return;
+            if (!challenge) return serverUnavailable();
+            this.state.challenge = challenge;
+            if (challenge.detectionVersion && challenge.detectionVersion !== detection.DETECTION_VERSION) {
+              console.warn(`AIMouseCheck: server runs detection ${challenge.detectionVersion}, ` +
+                `this page ${detection.DETECTION_VERSION} - results may differ`);
+            }
+            // The server's verification profile decides how many hits are needed
+            if (challenge.targetHitsRequired) {
+              this.options.targetHitsRequired = challenge.targetHitsRequired;
+              const checkEl = this.state.modal.querySelector('[data-check="7"]');
+              if (checkEl) checkEl.textContent = `Check 7 (${this.state.targetHits}/${challenge.targetHitsRequired})`;
+              if (this.state.isCapturing) statusEl.textContent = `Hit the target ${challenge.targetHitsRequired} times!`;
+            }
+            if (this.options.stream) return openStream(challenge);
+            if (this.state.isCapturing) moveTarget();
+          })
+          .catch(e => {
+            console.error('fetchChallenge error:', e);
+            if (!this.state.modal || this.state.settled) return;
+            // The server answered and refused (rate_limited, origin_mismatch, ...): that is its verdict
+            if (e && e.serverResult) {
+              this.state.settled = true;
+              this._cleanup();
+              this._finishFailure(e.serverResult.reason || 'invalid_request', e.serverResult);
+              return;
+            }
+            serverUnavailable();
+          });
+      }
+
+      // The server can't be reached: give up, or let the local checks decide (networkErrorPolicy)
+      const serverUnavailable = () => {
+        if (this.options.networkErrorPolicy === 'local') {
+          this.state.serverFailed = true;
+          this.state.stream = null;
+          if (this.state.streamIntervalId) clearInterval(this.state.streamIntervalId);
+          this.state.streamIntervalId = null;
+          if (this.state.isCapturing) moveTarget();
+        } else if (!this.state.settled) {
+          this.state.settled = true;
+          this._cleanup();
+          this._finishFailure('network_error');
+        }
+      };
+
+      const openStream = (challenge) => {
+        return this._post(this.options.streamEndpoint, {
+          challengeId: challenge.challengeId,
+          recordId: this.options.recordId || undefined,
+          action: this.options.action || undefined,
+          clientDetectionVersion: detection.DETECTION_VERSION
+        }).then(response => {
+          if (!this.state.modal || this.state.settled) return;
+          if (!response || response.status >= 500) return serverUnavailable();
+          if (response.status !== 200) {
+            this.state.settled = true;
+            this._cleanup();
+            this._finishFailure(response.body.reason || 'invalid_request', response.body);
+            return;
+          }
+
+          this.state.stream = {
+            streamId: response.body.streamId,
+            target: response.body.nextTarget,
+            pending: this.state.trace.toArray(),
+            inFlight: false,
+            awaitingTarget: false,
+            hitReaction: 0
+          };
+          this.state.streamIntervalId = setInterval(() => sendChunk(false), this.options.streamInterval);
+          if (this.state.isCapturing) moveTarget();
+        });
+      };
+
+      // Send the points captured since the last chunk; the answer is progress or the verdict
+      const sendChunk = (final) => {
+        const stream = this.state.stream;
+        if (!stream || stream.inFlight || this.state.settled) return;
+        if (stream.pending.length === 0 && !final) return;
+
+        const points = stream.pending;
+        stream.pending = [];
+        stream.inFlight = true;
+
+        this._post(`${this.options.streamEndpoint}/${stream.streamId}`, { ...this._traceBody(points), final: final || undefined })
+          .then(response => {
+            stream.inFlight = false;
+            if (!this.state.modal || this.state.settled || this.state.stream !== stream) return;
+            if (!response || response.status >= 500) return serverUnavailable();
+
+            // Another chunk was still being processed: send these again with the next one
+            if (response.status === 409) {
+              stream.pending = points.concat(stream.pending);
+              return;
+            }
+
+            if (response.status === 200 && !response.body.done) {
+              const progress = response.body;
+              stream.target = progress.nextTarget;
+              if (progress.targetHits > this.state.targetHits) {
+                this.state.targetHits = progress.targetHits;
+                registerHit(stream.hitReaction);
+              } else if (stream.awaitingTarget) {
+                // The server didn't count the hit; keep aiming at the same target
+                stream.awaitingTarget = false;
+                moveTarget();
+              }
+              return;
+            }
+
+            this.state.settled = true;
+            this._cleanup();
+            this._handleServerResponse(response, this._successResult(this._analyzeMovement()));
+          });
+      };
+
+      const registerHit = (reactionTime) => {
+        this.state.reactionTimes.push(reactionTime);
+        reactionEl.textContent = `Hits: ${this.state.targetHits}/${this.options.targetHitsRequired}`;
+
+        // Call onTargetHit callback if provided
+        console.log('Target hit!', this.state.targetHits, 'callback:', !!this.options.onTargetHit);
+        if (this.options.onTargetHit) {
+          try {
+            this.options.onTargetHit(
+              this.state.targetHits,
+              this.options.targetHitsRequired,
+              this.state.trace.toArray()
+            );
+          } catch (e) {
+            console.error('onTargetHit callback error:', e);
+          }
+        }
+
+        if (this.state.stream) this.state.stream.awaitingTarget = false;
+        moveTarget();
+      };
+
       area.onmouseenter = () => {
         this.state.isCapturing = true;
         promptEl.style.display = 'none';
-        targetEl.style.display = 'flex';
         statusEl.textContent = `Hit the target ${this.options.targetHitsRequired} times!`;
         moveTarget();
       };
@@ -309,201 +659,129 @@ console.log('ai-mouse-check.js loading...');
         this.state.isCapturing = false;
       };
 
-      area.onmousemove = (e) => {
-        if (!this.state.isCapturing) return;
+      // Pointer Events also give the samples the browser coalesced into one event,
+      // and what the event says about itself; plain mousemove is the fallback
+      const usePointerEvents = typeof global.PointerEvent !== 'undefined';
+
+      const capturePoint = (sample, rect, isTrusted) => {
+        const point = { x: sample.clientX - rect.left, y: sample.clientY - rect.top, t: eventTime(sample) };
+        if (usePointerEvents) {
+          point.movementX = sample.movementX || 0;
+          point.movementY = sample.movementY || 0;
+          point.buttons = sample.buttons || 0;
+          point.pointerType = sample.pointerType || '';
+          point.isTrusted = isTrusted;
+        }
+        if (!this.state.trace.push(point)) return false;
+        if (this.state.stream) this.state.stream.pending.push(point);
+        return true;
+      };
+
+      const onMove = (e) => {
+        if (!this.state.isCapturing || this.state.settled) return;
 
         const rect = area.getBoundingClientRect();
+        const coalesced = usePointerEvents && e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        const captured = coalesced.length > 0
+          ? coalesced.every(sample => capturePoint(sample, rect, e.isTrusted))
+          : capturePoint(e, rect, e.isTrusted);
+        if (!captured) {
+          this._handleFailure('too_many_points');
+          return;
+        }
+
+        // Events dispatched by page script; the server rejects them too
+        if (!e.isTrusted) {
+          this._handleFailure('untrusted_events');
+          return;
+        }
+
         const x = e.clientX - rect.left;
         const y = e.clientY - rect.top;
 
-        this.state.movementData.push({ x, y, t: Date.now() });
-
         // Check target hit
         const dist = Math.sqrt(
           Math.pow(x - this.state.targetX, 2) +
           Math.pow(y - this.state.targetY, 2)
         );
 
-        if (dist < 40 && this.state.targetMoveTime > 0) {
+        const hitRadius = this.state.targetSize / 2 + 10;
+        if (dist < hitRadius && this.state.targetMoveTime > 0) {
           const reactionTime = Date.now() - this.state.targetMoveTime;
           if (reactionTime > 150) {
-            this.state.reactionTimes.push(reactionTime);
-            this.state.targetHits++;
-            reactionEl.textContent = `Hits: ${this.state.targetHits}/${this.options.targetHitsRequired}`;
-
-            // Call onTargetHit callback if provided
-            console.log('Target hit!', this.state.targetHits, 'callback:', !!this.options.onTargetHit);
-            if (this.options.onTargetHit) {
-              try {
-                this.options.onTargetHit(
-                  this.state.targetHits,
-                  this.options.targetHitsRequired,
-                  [...this.state.movementData]
-                );
-              } catch (e) {
-                console.error('onTargetHit callback error:', e);
+            const stream = this.state.stream;
+            if (stream) {
+              // The server counts the hit and answers with the next target
+              if (!stream.awaitingTarget) {
+                stream.awaitingTarget = true;
+                stream.hitReaction = reactionTime;
+                targetEl.style.display = 'none';
+                sendChunk(false);
               }
+            } else {
+              this.state.targetHits++;
+              registerHit(reactionTime);
             }
-
-            moveTarget();
           }
         }
 
-        // Draw path
-        if (this.state.movementData.length > 300) {
-          this.state.movementData = this.state.movementData.slice(-300);
-        }
-
-        if (this.state.movementData.length > 1) {
-          let d = `M ${this.state.movementData[0].x} ${this.state.movementData[0].y}`;
-          for (let i = 1; i < this.state.movementData.length; i++) {
-            d += ` L ${this.state.movementData[i].x} ${this.state.movementData[i].y}`;
+        // Draw the most recent part of the path
+        const trace = this.state.trace;
+        if (trace.length > 1) {
+          const recent = trace.toArray(trace.length - this.options.previewPoints);
+          let d = `M ${recent[0].x} ${recent[0].y}`;
+          for (let i = 1; i < recent.length; i++) {
+            d += ` L ${recent[i].x} ${recent[i].y}`;
           }
           pathEl.setAttribute('d', d);
         }
       };
 
-      // Check conditions periodically
-      this.state.checkInterval = setInterval(() => {
-        if (this.state.movementData.length < 10) return;
-
-        const checks = this._analyzeMovement();
-        this._updateChecks(checks);
-
-        // All passed?
-        const allPassed = checks.speed && checks.curves && checks.jitter &&
-                          checks.timing && checks.continuous && checks.notRobotic &&
-                          this.state.targetHits >= this.options.targetHitsRequired;
+      if (usePointerEvents) {
+        area.onpointermove = onMove;
+      } else {
+        area.onmousemove = onMove;
+      }
 
-        if (allPassed) {
-          this._handleSuccess(checks);
+      // Check conditions periodically, analyzing only the points captured since the last
+      // check; the whole trace is analyzed once more when the checks pass
+      let windows = null;
+      this.state.checkInterval = setInterval(() => {
+        const trace = this.state.trace;
+        if (trace.length < 10) return;
+
+        const options = this._analysisOptions();
+        windows = detection.advanceWindows(windows, trace.toArray(windows ? windows.count : 0), options);
+        const worst = detection.worstWindow(windows, options);
+        this._updateChecks(worst.checks);
+
+        if (this._streamDecides()) return;
+        if (worst.passed && this.state.targetHits >= this.options.targetHitsRequired) {
+          const analysis = this._analyzeMovement();
+          if (analysis.verified) this._handleSuccess(analysis);
         }
       }, 100);
     }
 
-    _analyzeMovement() {
-      const points = this.state.movementData;
-      const checks = {
-        speed: false, curves: false, jitter: false,
-        timing: false, continuous: false, notRobotic: true
-      };
-
-      if (points.length < 15) return checks;
-
-      // 1. Speed variation (Fitts's Law)
-      const speeds = [];
-      for (let i = 1; i < points.length; i++) {
-        const dx = points[i].x - points[i - 1].x;
-        const dy = points[i].y - points[i - 1].y;
-        const dt = points[i].t - points[i - 1].t;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dt > 0 && dist > 0) speeds.push(dist / dt);
-      }
-
-      if (speeds.length > 10) {
-        const thirds = Math.floor(speeds.length / 3);
-        const avgFirst = speeds.slice(0, thirds).reduce((a, b) => a + b, 0) / thirds;
-        const avgLast = speeds.slice(-thirds).reduce((a, b) => a + b, 0) / thirds;
-        const hasVariation = Math.abs(avgFirst - avgLast) > 0.05;
-        const hasOverall = Math.max(...speeds) > Math.min(...speeds) * 1.5;
-        checks.speed = hasVariation || hasOverall;
-      }
-
-      // 2. Path curvature
-      let smoothCount = 0;
-      let angleCount = 0;
-      for (let i = 2; i < points.length; i++) {
-        const v1x = points[i - 1].x - points[i - 2].x;
-        const v1y = points[i - 1].y - points[i - 2].y;
-        const v2x = points[i].x - points[i - 1].x;
-        const v2y = points[i].y - points[i - 1].y;
-        const mag1 = Math.sqrt(v1x * v1x + v1y * v1y);
-        const mag2 = Math.sqrt(v2x * v2x + v2y * v2y);
-
-        if (mag1 > 0.5 && mag2 > 0.5) {
-          const dot = v1x * v2x + v1y * v2y;
-          const angle = Math.acos(Math.max(-1, Math.min(1, dot / (mag1 * mag2))));
-          angleCount++;
-          if (angle < 0.3) smoothCount++;
-        }
-      }
-      const smoothRatio = smoothCount / Math.max(1, angleCount);
-      checks.curves = smoothRatio > 0.3 && smoothRatio < 0.95;
-
-      // 3. Micro-movements (jitter)
-      let reversals = 0;
-      let lastDx = 0, lastDy = 0;
-      for (let i = 1; i < points.length; i++) {
-        const dx = points[i].x - points[i - 1].x;
-        const dy = points[i].y - points[i - 1].y;
-        if ((lastDx > 0 && dx < 0) || (lastDx < 0 && dx > 0)) reversals++;
-        if ((lastDy > 0 && dy < 0) || (lastDy < 0 && dy > 0)) reversals++;
-        lastDx = dx;
-        lastDy = dy;
-      }
-      const reversalRatio = reversals / points.length;
-      checks.jitter = reversalRatio < 0.6;
-
-      // 4. Timing
-      const duration = points[points.length - 1].t - points[0].t;
-      let pauseCount = 0;
-      let longPauseCount = 0;
-      for (let i = 1; i < points.length; i++) {
-        const dt = points[i].t - points[i - 1].t;
-        if (dt > 50) pauseCount++;
-        if (dt > 150) longPauseCount++;
-      }
-      const pauseRatio = pauseCount / points.length;
-      checks.timing = duration > 300 && pauseRatio < 0.3 && longPauseCount < points.length * 0.1;
-
-      // 5. Continuous flow
-      const timeGaps = [];
-      for (let i = 1; i < points.length; i++) {
-        timeGaps.push(points[i].t - points[i - 1].t);
-      }
-      const smallGaps = timeGaps.filter(g => g < 30).length;
-      const continuousRatio = smallGaps / timeGaps.length;
-      const pointsPerSecond = points.length / (duration / 1000);
-      checks.continuous = continuousRatio > 0.4 && pointsPerSecond > 15;
-
-      // 6. Straight line detection
-      // AI moves in straight lines with zero deviation
-      // Measure how much actual path deviates from best-fit line
-
-      const segmentSize = 20;
-      let tooStraightSegments = 0;
-      let totalSegments = 0;
-
-      for (let start = 0; start < points.length - segmentSize; start += 10) {
-        const segment = points.slice(start, start + segmentSize);
-
-        const x1 = segment[0].x, y1 = segment[0].y;
-        const x2 = segment[segment.length - 1].x, y2 = segment[segment.length - 1].y;
-        const lineLen = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
-
-        if (lineLen < 10) continue;
-
-        let totalDeviation = 0;
-        for (let i = 1; i < segment.length - 1; i++) {
-          const px = segment[i].x, py = segment[i].y;
-          const dist = Math.abs((y2 - y1) * px - (x2 - x1) * py + x2 * y1 - y2 * x1) / lineLen;
-          totalDeviation += dist;
-        }
-
-        const avgDeviation = totalDeviation / (segment.length - 2);
-        const deviationRatio = avgDeviation / lineLen;
-
-        totalSegments++;
-        // Only flag as too straight if deviation is < 0.5% AND < 2px absolute
-        if (deviationRatio < 0.005 && avgDeviation < 2) {
-          tooStraightSegments++;
-        }
-      }
+    // A live stream finishes when the server says so
+    _streamDecides() {
+      return Boolean(this.state.stream || (this.options.stream && !this.state.serverFailed));
+    }
 
-      const straightRatio = totalSegments > 0 ? tooStraightSegments / totalSegments : 0;
-      checks.notRobotic = straightRatio < 0.5;
+    _analysisOptions() {
+      return {
+        targetHitsRequired: this.options.targetHitsRequired,
+        config: this.options.detectionConfig || undefined,
+        window: this.options.analysisWindow || undefined
+      };
+    }
 
-      return checks;
+    // Same analysis as the server (detection-core.js): the worst window of the whole session
+    _analyzeMovement() {
+      return detection.analyzeWindows(this.state.trace.toArray(), {
+        ...this._analysisOptions(),
+        targetHits: this.state.targetHits
+      });
     }
 
     _updateChecks(checks) {
@@ -538,22 +816,77 @@ console.log('ai-mouse-check.js loading...');
       });
     }
 
-    _handleSuccess(checks) {
+    _handleSuccess(analysis) {
+      if (this._streamDecides() || this.state.settled) return;
+      this.state.settled = true;
       this._cleanup();
 
-      // Generate signature
-      const hash = this._generateHash(JSON.stringify(this.state.movementData));
-      const duration = Date.now() - this.state.startTime;
+      const result = this._successResult(analysis);
 
-      const result = {
+      if (!this.options.verifyEndpoint || this.state.serverFailed) {
+        this._finishSuccess(result);
+        return;
+      }
+
+      // The local hash proves nothing to anyone else; the server's signature does
+      const statusEl = this.state.modal.querySelector('.ai-mouse-check-status');
+      statusEl.textContent = 'Verifying...';
+
+      this._postTrace(result.movementData).then(response => this._handleServerResponse(response, result));
+    }
+
+    _successResult(analysis) {
+      const movementData = this.state.trace.toArray();
+      return {
         verified: true,
-        signature: hash,
-        checksPassed: 7,
-        duration,
+        signature: this._generateHash(JSON.stringify(movementData)),
+        token: null,
+        serverVerified: false,
+        checksPassed: analysis.checksPassed,
+        detectionVersion: detection.DETECTION_VERSION,
+        duration: Date.now() - this.state.startTime,
         targetHits: this.state.targetHits,
-        movementData: this.state.movementData.slice()
+        challengeId: this.state.challenge ? this.state.challenge.challengeId : null,
+        movementData,
+        localVerified: analysis.verified
       };
+    }
+
+    // Final answer from /api/verify or a finished stream; result is the local verdict
+    _handleServerResponse(response, result) {
+      if (!this.state.modal) return;
 
+      if (!response || response.status >= 500) {
+        if (this.options.networkErrorPolicy === 'local' && result.localVerified) {
+          this._finishSuccess(result);
+        } else {
+          this._finishFailure('network_error');
+        }
+        return;
+      }
+
+      const server = response.body;
+      if (server.verified) {
+        this._finishSuccess({
+          ...result,
+          signature: server.signature,
+          token: server.token,
+          sessionId: server.sessionId,
+          expiresAt: server.expiresAt,
+          checks: server.checks,
+          checksPassed: server.checksPassed,
+          serverVerified: true,
+          serverResult: server
+        });
+      } else {
+        // Server reasons pass straight through (checks_failed, replayed, challenge_expired,
+        // timing_mismatch, rate_limited, ...); 400s carry none and become invalid_request
+        this._finishFailure(server.reason || 'invalid_request', server);
+      }
+    }
+
+    _finishSuccess(result) {
+      delete result.localVerified;
       const statusEl = this.state.modal.querySelector('.ai-mouse-check-status');
       statusEl.innerHTML = `<span style="color: #06d6a0;">&#10003; Verified!</span>`;
 
@@ -565,22 +898,38 @@ console.log('ai-mouse-check.js loading...');
     }
 
     _handleFailure(reason) {
+      if (this.state.settled) return;
+      this.state.settled = true;
       this._cleanup();
 
-      const checks = this._analyzeMovement();
-      const aiFailures = [!checks.curves, !checks.continuous, !checks.notRobotic, !checks.timing].filter(Boolean).length;
-      const aiDetected = aiFailures >= 2;
-      const checksPassed = [checks.speed, checks.curves, checks.jitter, checks.timing, checks.continuous, checks.notRobotic].filter(Boolean).length +
-                           (this.state.targetHits >= this.options.targetHitsRequired ? 1 : 0);
+      // Close a live stream too, so the server logs the attempt
+      const stream = this.state.stream;
+      if (stream) {
+        this._post(`${this.options.streamEndpoint}/${stream.streamId}`, { ...this._traceBody(stream.pending), final: true });
+        this.state.stream = null;
+      }
+      this._finishFailure(reason);
+    }
+
+    _finishFailure(reason, server) {
+      const analysis = this._analyzeMovement();
+      const aiDetected = server ? Boolean(server.aiDetected) : analysis.aiDetected;
 
       const result = {
         verified: false,
         reason,
         aiDetected,
-        checksPassed,
+        checksPassed: server && server.checksPassed != null ? server.checksPassed : analysis.checksPassed,
+        detectionVersion: detection.DETECTION_VERSION,
         duration: Date.now() - this.state.startTime,
-        movementData: this.state.movementData.slice()
+        targetHits: this.state.targetHits,
+        challengeId: this.state.challenge ? this.state.challenge.challengeId : null,
+        movementData: this.state.trace.toArray()
       };
+      if (server) {
+        result.serverResult = server;
+        if (server.retryAfter) result.retryAfter = server.retryAfter;
+      }
 
       const statusEl = this.state.modal.querySelector('.ai-mouse-check-status');
       statusEl.innerHTML = `<span style="color: #ef476f;">&#10007; Failed${aiDetected ? ' - AI detected' : ''}</span>`;
@@ -592,6 +941,65 @@ console.log('ai-mouse-check.js loading...');
       }, 1500);
     }
 
+    // Rejects with serverResult set when the server refused, without it when it couldn't be reached
+    _fetchChallenge(area) {
+      return this._post(this.options.challengeEndpoint, {
+        width: area.width,
+        height: area.height,
+        siteKey: this.options.siteKey || undefined,
+        profile: this.options.profile || undefined,
+        stream: this.options.stream || undefined
+      }).then(response => {
+        if (!response || response.status >= 500) {
+          throw new Error(`Challenge server unreachable${response ? ` (${response.status})` : ''}`);
+        }
+        if (response.status !== 200) {
+          const error = new Error(`Challenge request failed (${response.status})`);
+          error.serverResult = response.body;
+          throw error;
+        }
+        return response.body;
+      });
+    }
+
+    _postTrace(points) {
+      return this._post(this.options.verifyEndpoint, {
+        ...this._traceBody(points),
+        challengeId: this.state.challenge ? this.state.challenge.challengeId : undefined,
+        recordId: this.options.recordId || undefined,
+        action: this.options.action || undefined,
+        clientDetectionVersion: detection.DETECTION_VERSION
+      });
+    }
+
+    // { trace } or { points }, depending on wireFormat
+    _traceBody(points) {
+      if (this.options.wireFormat === 'json') return { points };
+      return { trace: encodeTrace(points, { precision: this.options.tracePrecision }) };
+    }
+
+    // Resolves to { status, body }, or null if the server can't be reached in verifyTimeout
+    _post(url, data) {
+      const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), this.options.verifyTimeout) : null;
+
+      return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data),
+        signal: controller ? controller.signal : undefined
+      })
+        .then(res => res.json().then(body => ({ status: res.status, body })))
+        .catch(e => {
+          console.error('AIMouseCheck server error:', e);
+          return null;
+        })
+        .then(response => {
+          clearTimeout(timer);
+          return response;
+        });
+    }
+
     _cleanup() {
       if (this.state.checkInterval) {
         clearInterval(this.state.checkInterval);
@@ -601,6 +1009,10 @@ console.log('ai-mouse-check.js loading...');
         clearTimeout(this.state.timeoutId);
         this.state.timeoutId = null;
       }
+      if (this.state.streamIntervalId) {
+        clearInterval(this.state.streamIntervalId);
+        this.state.streamIntervalId = null;
+      }
     }
 
     _closeModal() {
@@ -623,6 +1035,10 @@ console.log('ai-mouse-check.js loading...');
     }
   }
 
+  AIMouseCheck.DETECTION_VERSION = detection && detection.DETECTION_VERSION;
+  AIMouseCheck.encodeTrace = encodeTrace;
+  AIMouseCheck.TraceBuffer = TraceBuffer;
+
   // Export
   if (typeof module !== 'undefined' && module.exports) {
     module.exports = AIMouseCheck;
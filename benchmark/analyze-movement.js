@@ -0,0 +1,184 @@
+/**
+ * AI Mouse Check - analyzeMovement benchmark
+ * Checks that the single-pass analyzer in detection-core.js returns exactly
+ * what the multi-pass reference returns (human-like, Bezier bot, straight-line
+ * bot and degenerate traces), then measures throughput at each trace size.
+ *
+ * Usage:
+ *   npm run benchmark
+ *   npm run benchmark -- --sizes 100,1000 --min-time 200 --no-reference
+ *
+ * Exits with 1 if any result differs from the reference.
+ */
+
+const assert = require('assert');
+const { analyzeMovement } = require('../detection-core');
+const reference = require('./reference-analyzer');
+
+const BENCHMARK_CONFIG = {
+  sizes: [100, 1000, 10000, 100000],
+  minTimeMs: 500,                  // Run each analyzer at least this long per size
+  equivalenceTraces: 50,           // Random traces per kind checked against the reference
+  seed: 42
+};
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : null;
+};
+const sizes = argValue('--sizes')
+  ? argValue('--sizes').split(',').map(Number)
+  : BENCHMARK_CONFIG.sizes;
+const minTimeMs = Number(argValue('--min-time')) || BENCHMARK_CONFIG.minTimeMs;
+const withReference = !args.includes('--no-reference');
+
+// ============================================================================
+// TRACE GENERATORS (seeded, so runs are comparable)
+// ============================================================================
+
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build a trace of `size` points from one movement generator
+ * @param {string} kind - 'human' | 'bezier' | 'linear' | 'degenerate'
+ * @param {number} size - Number of points
+ * @param {Function} random - Seeded random()
+ * @returns {Array} Array of {x, y, t}
+ */
+function makeTrace(kind, size, random) {
+  const between = (a, b) => a + random() * (b - a);
+  const points = [];
+  let x = 230, y = 180, t = 1700000000000;
+  let noiseX = 0, noiseY = 0;
+
+  while (points.length < size) {
+    const tx = between(60, 400), ty = between(60, 300);
+    const steps = Math.floor(between(25, 70));
+    const cx = (x + tx) / 2 + between(-80, 80), cy = (y + ty) / 2 + between(-80, 80);
+
+    for (let i = 1; i <= steps && points.length < size; i++) {
+      const u = i / steps;
+      if (kind === 'linear') {
+        t += 16;
+        points.push({ x: x + (tx - x) * u, y: y + (ty - y) * u, t });
+        continue;
+      }
+
+      const s = u < 0.5 ? 2 * u * u : 1 - Math.pow(-2 * u + 2, 2) / 2;
+      const bx = (1 - s) * (1 - s) * x + 2 * (1 - s) * s * cx + s * s * tx;
+      const by = (1 - s) * (1 - s) * y + 2 * (1 - s) * s * cy + s * s * ty;
+
+      if (kind === 'bezier') {
+        t += 16;
+        points.push({ x: bx + between(-1, 1), y: by + between(-1, 1), t });
+      } else if (kind === 'human') {
+        noiseX = noiseX * 0.7 + between(-1.5, 1.5);
+        noiseY = noiseY * 0.7 + between(-1.5, 1.5);
+        t += random() < 0.05 ? Math.round(between(40, 180)) : Math.round(between(6, 22));
+        points.push({ x: bx + noiseX, y: by + noiseY, t });
+      } else {
+        // Whole pixels, repeated points, repeated timestamps and long pauses
+        const r = random();
+        t += r < 0.1 ? 0 : r < 0.15 ? Math.round(between(120, 400)) : Math.round(between(1, 30));
+        const last = points[points.length - 1];
+        points.push(r > 0.9 && last ? { x: last.x, y: last.y, t } : { x: Math.round(bx), y: Math.round(by), t });
+      }
+    }
+    x = tx;
+    y = ty;
+  }
+  return points;
+}
+
+// ============================================================================
+// EQUIVALENCE
+// ============================================================================
+
+function checkEquivalence(random) {
+  const kinds = ['human', 'bezier', 'linear', 'degenerate'];
+  let checked = 0;
+  const failures = [];
+
+  const compare = (kind, points, options) => {
+    checked++;
+    try {
+      assert.deepStrictEqual(analyzeMovement(points, options), reference.analyzeMovement(points, options));
+    } catch (error) {
+      failures.push(`${kind} (${points.length} points): ${error.message.split('\n').slice(0, 8).join(' ')}`);
+    }
+  };
+
+  for (const kind of kinds) {
+    for (let i = 0; i < BENCHMARK_CONFIG.equivalenceTraces; i++) {
+      const size = 10 + Math.floor(random() * 590);
+      compare(kind, makeTrace(kind, size, random), { targetHits: i % 7 });
+    }
+    for (const size of sizes) {
+      if (withReference || size <= 10000) compare(kind, makeTrace(kind, size, random), { targetHits: 5 });
+    }
+  }
+
+  return { checked, failures };
+}
+
+// ============================================================================
+// THROUGHPUT
+// ============================================================================
+
+/**
+ * Run fn over the traces in turn until minTimeMs has passed
+ * @returns {Object} { runs, msPerRun }
+ */
+function measure(fn, traces) {
+  for (const points of traces) fn(points, { targetHits: 5 }); // Warm up
+
+  let runs = 0;
+  const start = process.hrtime.bigint();
+  let elapsedMs = 0;
+  while (elapsedMs < minTimeMs) {
+    fn(traces[runs % traces.length], { targetHits: 5 });
+    runs++;
+    elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  }
+  return { runs, msPerRun: elapsedMs / runs };
+}
+
+const format = (value, digits) => value.toFixed(digits).padStart(12);
+
+function runBenchmark(random) {
+  console.log('\n  points   single-pass ms    points/sec' + (withReference ? '  reference ms   speedup' : ''));
+  for (const size of sizes) {
+    const traces = ['human', 'bezier', 'degenerate'].map(kind => makeTrace(kind, size, random));
+    const current = measure(analyzeMovement, traces);
+    let line = String(size).padStart(8) + format(current.msPerRun, 3) + '  ' +
+      format(size / (current.msPerRun / 1000), 0);
+
+    if (withReference) {
+      const before = measure(reference.analyzeMovement, traces);
+      line += ' ' + format(before.msPerRun, 3) + format(before.msPerRun / current.msPerRun, 1) + 'x';
+    }
+    console.log(line);
+  }
+}
+
+const random = createRandom(BENCHMARK_CONFIG.seed);
+const { checked, failures } = checkEquivalence(random);
+
+if (failures.length > 0) {
+  console.error(`MISMATCH in ${failures.length} of ${checked} traces:`);
+  failures.slice(0, 10).forEach(f => console.error('  ' + f));
+  process.exit(1);
+}
+console.log(`Identical to the reference on ${checked} traces`);
+
+runBenchmark(random);
@@ -0,0 +1,790 @@
+/**
+ * AI Mouse Check - Detection core shared by the browser library and the server
+ * One implementation of the movement analysis, its config and its version, so
+ * a trace the modal shows as passed gets the same verdict from /api/verify.
+ * Loads as a CommonJS module in Node and as window.AIMouseCheckDetection in
+ * the browser (include it before ai-mouse-check.js).
+ *
+ * Usage:
+ *   // Node
+ *   const { analyzeMovement, DETECTION_VERSION } = require('./detection-core');
+ *
+ *   // Browser
+ *   <script src="detection-core.js"></script>
+ *   <script src="ai-mouse-check.js"></script>
+ *   AIMouseCheckDetection.analyzeMovement(points, { targetHits: 5 });
+ *
+ *   // A whole session: the worst 300-point window decides
+ *   AIMouseCheckDetection.analyzeWindows(points, { targetHits: 5 });
+ *
+ *   // The same, a few points at a time (each window is analyzed once)
+ *   let windows = AIMouseCheckDetection.advanceWindows(null, firstPoints);
+ *   windows = AIMouseCheckDetection.advanceWindows(windows, morePoints);
+ *   AIMouseCheckDetection.worstWindow(windows).passed;
+ */
+
+(function(global) {
+  'use strict';
+
+  // Detection version - increment when changing thresholds or signals
+  const DETECTION_VERSION = '1.7.0';
+  const DETECTION_CONFIG = {
+    signalThreshold: 4,              // Fail if 4+ signals trigger (raised from 3)
+    thresholds: {
+      // Adjusted based on confusion matrix analysis (v1.5.0)
+      // Analysis of 14 humans, 11 bots showed 71% false positive rate with v1.4.0
+      jerkSpikeRatio: 0.035,
+      accelSignChangeRate: 0.35,
+      curvatureChangeRate: 0.12,
+      velocityPeaksPerSecond: 2.0,
+      pathEfficiency: 0.75,
+      noiseAutocorr: 0.08,
+      directionEntropy: 1.2,         // Relaxed from 1.4 (43% of humans were <1.4, bots all <1.25)
+      reversalRate: 0.02,
+      jerkAutocorr: 0.12,
+      linearAccelRatio: 0.3,
+      symmetryRatio: 0.6,
+      xyNoiseCorr: 0.03,             // Relaxed from 0.10 (57% of humans were <0.10!)
+      perfectStartRatio: 0.9,
+      smoothStartRatio: 0.6,
+      fidgetRatio: 0.10,
+      // Strong signals with ZERO overlap (v1.4.0) - these work great
+      highReversalRatio: 0.15,       // Bots: 0.30-0.75, Humans: 0-0.024
+      lowSmoothRatio: 0.45,          // Bots: 0.12-0.35, Humans: 0.71-0.85
+      highCurvatureChange: 0.55      // Bots: 0.75-0.82, Humans: 0.20-0.41
+    }
+  };
+
+  // Long traces are judged window by window (analyzeWindows)
+  const WINDOW_CONFIG = {
+    size: 300,                       // Points per window (the length of the old rolling capture)
+    step: 100                        // Windows start this many points apart
+  };
+
+  // Names of the bot signals, in the order analyzeMovement evaluates them
+  // (each is named after the DETECTION_CONFIG threshold it uses)
+  const SIGNAL_NAMES = [
+    'jerkSpikeRatio', 'accelSignChangeRate', 'curvatureChangeRate', 'velocityPeaksPerSecond',
+    'pathEfficiency', 'noiseAutocorr', 'directionEntropy', 'reversalRate', 'jerkAutocorr',
+    'linearAccelRatio', 'symmetryRatio', 'xyNoiseCorr', 'perfectStartRatio', 'smoothStartRatio',
+    'fidgetRatio', 'highReversalRatio', 'lowSmoothRatio', 'highCurvatureChange'
+  ];
+
+  /**
+   * Analyze mouse movement data for human characteristics.
+   * Every metric is gathered in one pass over the points: running counters,
+   * the previous step/velocity/acceleration, and look-backs into the points
+   * and into typed arrays of the derived series for the windowed metrics.
+   * Statistics that need a mean first (jerk spikes, timing variance, noise
+   * correlations) finish with a pass over their stored series. The sums are
+   * taken in the same order as the original multi-pass version, so results
+   * are identical to it (see benchmark/analyze-movement.js).
+   * @param {Array} points - Array of {x, y, t} movement points
+   * @param {Object} options - Configuration options
+   * @returns {Object} Analysis result with checks and verification status
+   */
+  function analyzeMovement(points, options = {}) {
+    const targetHitsRequired = options.targetHitsRequired || 5;
+    const targetHits = options.targetHits || 0;
+    // Profiles pass their own config; thresholds default to DETECTION_CONFIG
+    const config = options.config || DETECTION_CONFIG;
+    const T = config.thresholds;
+
+    const checks = {
+      speed: false,
+      curves: false,
+      jitter: false,
+      timing: false,
+      continuous: false,
+      notRobotic: true
+    };
+
+    if (!points || points.length < 15) {
+      return {
+        verified: false,
+        reason: 'insufficient_data',
+        checks,
+        checksPassed: 0,
+        aiDetected: false,
+        triggeredSignals: [],
+        detectionVersion: DETECTION_VERSION,
+        detectionConfig: config
+      };
+    }
+
+    const n = points.length;
+    const duration = points[n - 1].t - points[0].t;
+
+    // Derived series (at most one entry per step)
+    const speeds = new Float64Array(n);          // 1. |step| / dt, moving steps only
+    const timeGaps = new Float64Array(n);        // 5, 9. dt of every step
+    const speedMagnitudes = new Float64Array(n); // 11, 16, 19, 23. |velocity|
+    const accelMags = new Float64Array(n);       // 18. |acceleration|
+    const jerks = new Float64Array(n);           // 7, 17. |jerk|
+    const residualX = new Float64Array(n);       // 13, 20. position noise
+    const residualY = new Float64Array(n);
+    let speedCount = 0, velocityCount = 0, accelCount = 0, jerkCount = 0, residualCount = 0;
+
+    let speedMax = -Infinity, speedMin = Infinity;
+    let smoothCount = 0, angleCount = 0;
+    let reversals = 0;
+    let pauseCount = 0, longPauseCount = 0, smallGaps = 0, gapSum = 0;
+    let tooStraightSegments = 0, totalSegments = 0;
+    let curvatureCount = 0, prevCurvature = 0, suddenCurvatureChanges = 0;
+    let smallChanges = 0, mediumChanges = 0, largeChanges = 0;
+    let totalPathLength = 0;
+    let jerkSum = 0;
+    let accelSignChanges = 0, lastAccelSignX = 0, lastAccelSignY = 0;
+    let velocityPeaks = 0, velocityReversals = 0, lastVelAngle = null;
+    let hesitations = 0, fidgetCount = 0, stillPeriods = 0;
+    let linearAccelSegments = 0, totalAccelSegments = 0;
+    let symmetricMovements = 0, totalMovements = 0;
+    let movementStart = 0, movementPeak = -Infinity, movementPeakIdx = -1;
+    let perfectStarts = 0, totalStarts = 0, smoothAccelStarts = 0, totalAccelStarts = 0;
+    let residualSumX = 0, residualSumY = 0;
+
+    let prevDx = 0, prevDy = 0, prevDist = 0;
+    let prevVx = 0, prevVy = 0, prevVt = 0;
+    let prevAx = 0, prevAy = 0, prevAt = 0;
+
+    // 19. Close a movement (speedMagnitudes[start..end)) and score its symmetry
+    const closeMovement = (start, end) => {
+      if (end - start < 10) return;
+      const length = end - start;
+      if (movementPeakIdx > 2 && movementPeakIdx < length - 2) {
+        const accelPhase = movementPeakIdx;
+        const decelPhase = length - movementPeakIdx;
+        const ratio = Math.min(accelPhase, decelPhase) / Math.max(accelPhase, decelPhase);
+
+        totalMovements++;
+        if (ratio > 0.7) symmetricMovements++; // Symmetric = bot-like
+      }
+    };
+
+    // 18. Linear regression R² of accelMags[start..start+15)
+    const accelSegmentSize = 15;
+    const scoreAccelSegment = (start) => {
+      const size = accelSegmentSize;
+      const sumX = size * (size - 1) / 2;
+      const sumX2 = size * (size - 1) * (2 * size - 1) / 6;
+      let sumY = 0, sumXY = 0;
+      for (let i = 0; i < size; i++) {
+        sumY += accelMags[start + i];
+        sumXY += i * accelMags[start + i];
+      }
+
+      const slope = (size * sumXY - sumX * sumY) / (size * sumX2 - sumX * sumX);
+      const intercept = (sumY - slope * sumX) / size;
+
+      let ssRes = 0, ssTot = 0;
+      const yMean = sumY / size;
+      for (let i = 0; i < size; i++) {
+        const predicted = intercept + slope * i;
+        ssRes += Math.pow(accelMags[start + i] - predicted, 2);
+        ssTot += Math.pow(accelMags[start + i] - yMean, 2);
+      }
+      const r2 = ssTot > 0 ? 1 - ssRes / ssTot : 0;
+
+      totalAccelSegments++;
+      if (r2 > 0.85) linearAccelSegments++; // High R² = linear = Bezier-like
+    };
+
+    // Called for every new |velocity| at index k, once its neighbours are known
+    const onSpeedMagnitude = (k) => {
+      const s = speedMagnitudes;
+
+      // 11. Velocity peaks (sub-movements): local maximum at k - 2
+      const p = k - 2;
+      if (p >= 2) {
+        const prev = (s[p - 2] + s[p - 1]) / 2;
+        const curr = s[p];
+        const next = (s[p + 1] + s[p + 2]) / 2;
+        if (curr > prev * 1.15 && curr > next * 1.15 && curr > 0.5) {
+          velocityPeaks++;
+        }
+      }
+
+      // 16. Hesitation and 23. fidgeting around k - 5
+      const h = k - 5;
+      if (h >= 5) {
+        let before = 0, after = 0;
+        for (let i = h - 5; i < h; i++) before += s[i];
+        for (let i = h + 1; i < h + 6; i++) after += s[i];
+        before /= 5;
+        after /= 5;
+        const at = s[h];
+        if (at < before * 0.5 && at < after * 0.5 && before > 0.3 && after > 0.3) {
+          hesitations++;
+        }
+
+        let localSpeed = 0;
+        for (let i = h - 2; i < h + 3; i++) localSpeed += s[i];
+        localSpeed /= 5;
+        if (localSpeed < 0.2) {
+          stillPeriods++;
+          // Indexes points by the velocity index, like the original analysis
+          const microDist = Math.sqrt(
+            Math.pow(points[h + 2].x - points[h - 2].x, 2) +
+            Math.pow(points[h + 2].y - points[h - 2].y, 2)
+          );
+          if (microDist > 1 && microDist < 10) fidgetCount++;
+        }
+      }
+
+      // 19. Movement boundaries (speed rises from near zero)
+      if (k >= 1 && s[k - 1] < 0.3 && s[k] > 0.5) {
+        closeMovement(movementStart, k);
+        movementStart = k;
+        movementPeak = -Infinity;
+        movementPeakIdx = -1;
+      }
+      if (s[k] > movementPeak) {
+        movementPeak = s[k];
+        movementPeakIdx = k - movementStart;
+      }
+    };
+
+    for (let i = 1; i < n; i++) {
+      const point = points[i];
+      const dx = point.x - points[i - 1].x;
+      const dy = point.y - points[i - 1].y;
+      const dt = point.t - points[i - 1].t;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+
+      // 1. Speed variation (Fitts's Law)
+      if (dt > 0 && dist > 0) {
+        const speed = dist / dt;
+        speeds[speedCount++] = speed;
+        if (speed > speedMax) speedMax = speed;
+        if (speed < speedMin) speedMin = speed;
+      }
+
+      if (i >= 2) {
+        // 2. Path curvature: angle between this step and the previous one
+        if (prevDist > 0.5 && dist > 0.5) {
+          const dot = prevDx * dx + prevDy * dy;
+          const angle = Math.acos(Math.max(-1, Math.min(1, dot / (prevDist * dist))));
+          angleCount++;
+          if (angle < 0.3) smoothCount++;
+        }
+
+        // 10. Curvature consistency and 14. direction change histogram
+        const cross = prevDx * dy - prevDy * dx;
+        const dot = prevDx * dx + prevDy * dy;
+        const curvature = Math.atan2(cross, dot);
+        if (curvatureCount > 0) {
+          if (Math.abs(curvature - prevCurvature) > 0.3) suddenCurvatureChanges++;
+          const change = Math.abs(curvature);
+          if (change < 0.05) smallChanges++;
+          else if (change < 0.2) mediumChanges++;
+          else largeChanges++;
+        }
+        curvatureCount++;
+        prevCurvature = curvature;
+      }
+
+      // 3. Micro-movements (physiological jitter)
+      if ((prevDx > 0 && dx < 0) || (prevDx < 0 && dx > 0)) reversals++;
+      if ((prevDy > 0 && dy < 0) || (prevDy < 0 && dy > 0)) reversals++;
+
+      // 4. Timing patterns and 5. continuous flow
+      if (dt > 50) pauseCount++;
+      if (dt > 150) longPauseCount++;
+      if (dt < 30) smallGaps++;
+      timeGaps[i - 1] = dt;
+      gapSum += dt;
+
+      // 6. Straight line detection over the 20-point window ending here
+      const segmentStart = i - 19;
+      if (segmentStart >= 0 && segmentStart % 10 === 0 && i < n - 1) {
+        const x1 = points[segmentStart].x, y1 = points[segmentStart].y;
+        const x2 = point.x, y2 = point.y;
+        const lineLen = Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2);
+
+        if (lineLen >= 10) {
+          let totalDeviation = 0;
+          for (let j = segmentStart + 1; j < i; j++) {
+            const px = points[j].x, py = points[j].y;
+            totalDeviation += Math.abs((y2 - y1) * px - (x2 - x1) * py + x2 * y1 - y2 * x1) / lineLen;
+          }
+
+          const avgDeviation = totalDeviation / 18;
+          const deviationRatio = avgDeviation / lineLen;
+          totalSegments++;
+          if (deviationRatio < 0.005 && avgDeviation < 2) {
+            tooStraightSegments++;
+          }
+        }
+      }
+
+      // 12. Path efficiency
+      totalPathLength += dist;
+
+      // 13. Noise residual of point i - 2 against its neighbours
+      const c = i - 2;
+      if (c >= 2) {
+        const expectedX = (points[c - 2].x + points[c - 1].x + points[c + 1].x + points[c + 2].x) / 4;
+        const expectedY = (points[c - 2].y + points[c - 1].y + points[c + 1].y + points[c + 2].y) / 4;
+        const rx = points[c].x - expectedX;
+        const ry = points[c].y - expectedY;
+        residualX[residualCount] = rx;
+        residualY[residualCount] = ry;
+        residualCount++;
+        residualSumX += rx;
+        residualSumY += ry;
+      }
+
+      // 21. Movement initiation and 22. initial acceleration after a pause
+      if (dt > 100) {
+        if (i < n - 10) {
+          const dir1 = Math.atan2(points[i + 2].y - point.y, points[i + 2].x - point.x);
+          const dir2 = Math.atan2(points[i + 7].y - points[i + 5].y, points[i + 7].x - points[i + 5].x);
+
+          let dirDiff = Math.abs(dir1 - dir2);
+          if (dirDiff > Math.PI) dirDiff = 2 * Math.PI - dirDiff;
+
+          totalStarts++;
+          // Bot: very consistent direction from start (< 20 degrees difference)
+          if (dirDiff < 0.35) perfectStarts++;
+        }
+
+        if (i < n - 8) {
+          let initCount = 0, lastInit = 0, monotonic = true;
+          for (let j = i; j < i + 6 && j < n; j++) {
+            const sdt = points[j].t - points[j - 1].t;
+            if (sdt > 0) {
+              const sdx = points[j].x - points[j - 1].x;
+              const sdy = points[j].y - points[j - 1].y;
+              const initSpeed = Math.sqrt(sdx * sdx + sdy * sdy) / sdt;
+              // Check if speeds are monotonically increasing (smooth start = bot)
+              if (initCount > 0 && initSpeed < lastInit * 0.9) monotonic = false; // Allow 10% tolerance
+              lastInit = initSpeed;
+              initCount++;
+            }
+          }
+
+          if (initCount >= 4) {
+            totalAccelStarts++;
+            if (monotonic) smoothAccelStarts++;
+          }
+        }
+      }
+
+      // 7. Velocity, acceleration and jerk
+      if (dt > 0) {
+        const vx = dx / dt;
+        const vy = dy / dt;
+        const k = velocityCount++;
+        speedMagnitudes[k] = Math.sqrt(vx * vx + vy * vy);
+
+        // 15. Overshoot: direction flips of more than 90 degrees
+        const velAngle = Math.atan2(vy, vx);
+        if (lastVelAngle !== null) {
+          let angleDiff = Math.abs(velAngle - lastVelAngle);
+          if (angleDiff > Math.PI) angleDiff = 2 * Math.PI - angleDiff;
+          if (angleDiff > Math.PI / 2) {
+            velocityReversals++;
+          }
+        }
+        lastVelAngle = velAngle;
+
+        if (k > 0) {
+          const vdt = point.t - prevVt;
+          if (vdt > 0) {
+            const ax = (vx - prevVx) / vdt;
+            const ay = (vy - prevVy) / vdt;
+            const a = accelCount++;
+            accelMags[a] = Math.sqrt(ax * ax + ay * ay);
+
+            // 8. Acceleration sign changes
+            const signX = Math.sign(ax);
+            const signY = Math.sign(ay);
+            if (lastAccelSignX !== 0 && signX !== 0 && signX !== lastAccelSignX) accelSignChanges++;
+            if (lastAccelSignY !== 0 && signY !== 0 && signY !== lastAccelSignY) accelSignChanges++;
+            if (signX !== 0) lastAccelSignX = signX;
+            if (signY !== 0) lastAccelSignY = signY;
+
+            if (a > 0) {
+              const adt = point.t - prevAt;
+              if (adt > 0) {
+                const jx = (ax - prevAx) / adt;
+                const jy = (ay - prevAy) / adt;
+                const jerk = Math.sqrt(jx * jx + jy * jy);
+                jerks[jerkCount++] = jerk;
+                jerkSum += jerk;
+              }
+            }
+
+            // 18. A window of 15 accelerations counts once one more follows it
+            const accelSegmentStart = a - accelSegmentSize;
+            if (accelSegmentStart >= 0 && accelSegmentStart % 10 === 0) {
+              scoreAccelSegment(accelSegmentStart);
+            }
+
+            prevAx = ax;
+            prevAy = ay;
+            prevAt = point.t;
+          }
+        }
+
+        prevVx = vx;
+        prevVy = vy;
+        prevVt = point.t;
+        onSpeedMagnitude(k);
+      }
+
+      prevDx = dx;
+      prevDy = dy;
+      prevDist = dist;
+    }
+    closeMovement(movementStart, velocityCount);
+
+    if (speedCount > 10) {
+      const thirds = Math.floor(speedCount / 3);
+      let sumFirst = 0, sumLast = 0;
+      for (let i = 0; i < thirds; i++) sumFirst += speeds[i];
+      for (let i = speedCount - thirds; i < speedCount; i++) sumLast += speeds[i];
+      const hasVariation = Math.abs(sumFirst / thirds - sumLast / thirds) > 0.05;
+      const hasOverall = speedMax > speedMin * 1.5;
+      checks.speed = hasVariation || hasOverall;
+    }
+
+    const smoothRatio = smoothCount / Math.max(1, angleCount);
+    checks.curves = smoothRatio > 0.3 && smoothRatio < 0.95;
+
+    const reversalRatio = reversals / n;
+    checks.jitter = reversalRatio < 0.6;
+
+    const pauseRatio = pauseCount / n;
+    checks.timing = duration > 300 && pauseRatio < 0.3 && longPauseCount < n * 0.1;
+
+    const gapCount = n - 1;
+    const continuousRatio = smallGaps / gapCount;
+    const pointsPerSecond = n / (duration / 1000);
+    checks.continuous = continuousRatio > 0.4 && pointsPerSecond > 15;
+
+    const straightRatio = totalSegments > 0 ? tooStraightSegments / totalSegments : 0;
+
+    // 7. Human jerk has high variance with sudden spikes; Bezier is smooth
+    // 17. Jerk autocorrelation - human jerk has temporal structure, bot jerk is white noise
+    let jerkSpikes = 0;
+    let jerkAutocorr = 0;
+    if (jerkCount > 10) {
+      const jerkMean = jerkSum / jerkCount;
+      let deviationSum = 0, autocorrNum = 0;
+      for (let i = 0; i < jerkCount; i++) {
+        deviationSum += Math.pow(jerks[i] - jerkMean, 2);
+        if (i > 0) autocorrNum += (jerks[i] - jerkMean) * (jerks[i - 1] - jerkMean);
+      }
+      const jerkStd = Math.sqrt(deviationSum / jerkCount);
+      // Count spikes (>2 std from mean)
+      for (let i = 0; i < jerkCount; i++) {
+        if (Math.abs(jerks[i] - jerkMean) > 2 * jerkStd) jerkSpikes++;
+      }
+      if (jerkCount > 20) {
+        jerkAutocorr = deviationSum > 0 ? autocorrNum / deviationSum : 0;
+      }
+    }
+    const jerkSpikeRatio = jerkCount > 0 ? jerkSpikes / jerkCount : 0;
+
+    const accelSignChangeRate = accelCount > 0 ? accelSignChanges / accelCount : 0;
+
+    // 9. Timing regularity: bots often have very regular timing even with Gaussian noise
+    let timingVariance = 0;
+    if (gapCount > 10) {
+      const timingMean = gapSum / gapCount;
+      let deviationSum = 0;
+      for (let i = 0; i < gapCount; i++) deviationSum += Math.pow(timeGaps[i] - timingMean, 2);
+      timingVariance = deviationSum / gapCount;
+    }
+    const timingCV = timingVariance > 0 ? Math.sqrt(timingVariance) / (gapSum / gapCount) : 0;
+
+    const curvatureChangeRate = curvatureCount > 0 ? suddenCurvatureChanges / curvatureCount : 0;
+    const velocityPeaksPerSecond = velocityPeaks / (duration / 1000);
+
+    const directDistance = Math.sqrt(
+      Math.pow(points[n - 1].x - points[0].x, 2) +
+      Math.pow(points[n - 1].y - points[0].y, 2)
+    );
+    const pathEfficiency = directDistance > 0 ? directDistance / totalPathLength : 0;
+
+    // 13. Noise autocorrelation: bot noise is white, human tremor is correlated
+    // 20. X-Y noise correlation: human tremor moves X and Y together
+    let autocorrSum = 0;
+    let varianceSum = 0;
+    let xyNoiseCorr = 0;
+    if (residualCount > 10) {
+      const meanX = residualSumX / residualCount;
+      const meanY = residualSumY / residualCount;
+      let covXY = 0, varX = 0, varY = 0;
+      for (let i = 0; i < residualCount; i++) {
+        const ex = residualX[i] - meanX;
+        const ey = residualY[i] - meanY;
+        if (i > 0) {
+          autocorrSum += ex * (residualX[i - 1] - meanX);
+          autocorrSum += ey * (residualY[i - 1] - meanY);
+        }
+        varianceSum += Math.pow(ex, 2) + Math.pow(ey, 2);
+        covXY += ex * ey;
+        varX += Math.pow(ex, 2);
+        varY += Math.pow(ey, 2);
+      }
+      xyNoiseCorr = (varX > 0 && varY > 0) ? Math.abs(covXY / Math.sqrt(varX * varY)) : 0;
+    }
+    const noiseAutocorr = varianceSum > 0 ? autocorrSum / varianceSum : 0;
+
+    // 14. Direction changes too clustered (low entropy)
+    const total = (curvatureCount > 0 ? curvatureCount - 1 : 0) || 1;
+    const directionEntropy = -[smallChanges/total, mediumChanges/total, largeChanges/total]
+      .filter(p => p > 0)
+      .reduce((s, p) => s + p * Math.log2(p), 0);
+
+    const reversalRate = velocityCount > 0 ? velocityReversals / velocityCount : 0;
+    const hesitationRate = velocityCount > 0 ? hesitations / velocityCount : 0;
+    const linearAccelRatio = totalAccelSegments > 0 ? linearAccelSegments / totalAccelSegments : 0;
+    const symmetryRatio = totalMovements > 0 ? symmetricMovements / totalMovements : 0;
+    const perfectStartRatio = totalStarts > 0 ? perfectStarts / totalStarts : 0;
+    const smoothStartRatio = totalAccelStarts > 0 ? smoothAccelStarts / totalAccelStarts : 0;
+    const fidgetRatio = stillPeriods > 0 ? fidgetCount / stillPeriods : 0;
+
+    // Combined anti-Bezier check with signals for bot detection
+    // Updated in v1.5.0 based on confusion matrix analysis (14 humans, 11 bots)
+    // Key changes: raised threshold to 4, relaxed overlapping signals
+    const bezierSignals = [
+      // Original signals (weak - have some overlap with humans)
+      jerkSpikeRatio < T.jerkSpikeRatio,                  // 0: Too smooth jerk
+      accelSignChangeRate < T.accelSignChangeRate,        // 1: Too few direction corrections
+      curvatureChangeRate < T.curvatureChangeRate,        // 2: Too smooth curves
+      velocityPeaksPerSecond < T.velocityPeaksPerSecond,  // 3: Not enough sub-movements
+      pathEfficiency > T.pathEfficiency,                  // 4: Too efficient/direct path
+      Math.abs(noiseAutocorr) < T.noiseAutocorr,          // 5: Uncorrelated position noise
+      directionEntropy < T.directionEntropy,              // 6: Too predictable (relaxed from 1.4)
+      reversalRate < T.reversalRate,                      // 7: No overshoot corrections
+      Math.abs(jerkAutocorr) < T.jerkAutocorr,            // 8: Jerk is white noise
+      linearAccelRatio > T.linearAccelRatio,              // 9: Too many linear accel segments
+      symmetryRatio > T.symmetryRatio,                    // 10: Too symmetric velocity profiles
+      xyNoiseCorr < T.xyNoiseCorr,                        // 11: X-Y noise uncorrelated (relaxed from 0.10)
+      perfectStartRatio > T.perfectStartRatio,            // 12: Too many perfect starts
+      smoothStartRatio > T.smoothStartRatio,              // 13: Too many smooth starts
+      fidgetRatio < T.fidgetRatio,                        // 14: No fidgeting during pauses
+      // STRONG signals with ZERO overlap between humans and bots:
+      reversalRatio > T.highReversalRatio,                // 15: HIGH reversal = BOT (0/14 humans, 11/11 bots)
+      smoothRatio < T.lowSmoothRatio,                     // 16: LOW smooth = BOT (0/14 humans, 11/11 bots)
+      curvatureChangeRate > T.highCurvatureChange         // 17: HIGH curvature change = BOT (0/14 humans, 11/11 bots)
+    ];
+    const bezierSignalCount = bezierSignals.filter(Boolean).length;
+
+    // Count strong signals (15, 16, 17) - these have ZERO overlap with humans
+    // v1.6.0: If 2+ strong signals trigger, it's definitely a bot (0 humans have 2+ strong signals)
+    const strongSignalCount = [bezierSignals[15], bezierSignals[16], bezierSignals[17]].filter(Boolean).length;
+    const hasStrongBotSignature = strongSignalCount >= 2;
+
+    const isBezierLike = bezierSignalCount >= config.signalThreshold || hasStrongBotSignature; // Fail if signalThreshold+ signals (4 by default) OR 2+ strong signals
+
+    const isTimingTooRegular = timingCV < 0.12;
+
+    checks.notRobotic = straightRatio < 0.5 && !isBezierLike && !isTimingTooRegular;
+
+    // Calculate results
+    const checkValues = [checks.speed, checks.curves, checks.jitter, checks.timing, checks.continuous, checks.notRobotic];
+    const targetCheck = targetHits >= targetHitsRequired;
+    const checksPassed = checkValues.filter(Boolean).length + (targetCheck ? 1 : 0);
+
+    // AI detection: if 2+ of the AI-sensitive checks fail
+    const aiFailures = [!checks.curves, !checks.continuous, !checks.notRobotic, !checks.timing].filter(Boolean).length;
+    const aiDetected = aiFailures >= 2;
+
+    const allPassed = checkValues.every(Boolean) && targetCheck;
+
+    return {
+      verified: allPassed,
+      checks,
+      checksPassed,
+      totalChecks: 7,
+      aiDetected,
+      triggeredSignals: SIGNAL_NAMES.filter((name, i) => bezierSignals[i]),
+      duration,
+      pointCount: points.length,
+      detectionVersion: DETECTION_VERSION,
+      detectionConfig: config,
+      metrics: {
+        speedVariation: speedCount > 0 ? speedMax / speedMin : 0,
+        smoothRatio,
+        reversalRatio,
+        continuousRatio,
+        pointsPerSecond,
+        straightRatio,
+        // Anti-Bezier metrics
+        jerkSpikeRatio,
+        accelSignChangeRate,
+        curvatureChangeRate,
+        timingCV,
+        velocityPeaksPerSecond,
+        pathEfficiency,
+        noiseAutocorr,
+        directionEntropy,
+        reversalRate,
+        hesitationRate,
+        // New metrics
+        jerkAutocorr,
+        linearAccelRatio,
+        symmetryRatio,
+        xyNoiseCorr,
+        // Movement initiation metrics
+        perfectStartRatio,
+        smoothStartRatio,
+        fidgetRatio,
+        bezierSignalCount,
+        strongSignalCount,
+        hasStrongBotSignature,
+        isBezierLike,
+        isTimingTooRegular,
+        // v1.4.0: Signal trigger details for debugging
+        triggeredSignals: bezierSignals.map((triggered, i) => triggered ? i : -1).filter(i => i >= 0)
+      }
+    };
+  }
+
+  /**
+   * Analyze a whole session as overlapping windows and report the worst one,
+   * so a robotic stretch can't be averaged away by human-looking movement
+   * elsewhere in the trace. Traces no longer than one window get exactly the
+   * analyzeMovement result. The worst window passes the fewest checks (ties:
+   * more bot signals, then the earliest).
+   * @param {Array} points - Array of {x, y, t} movement points
+   * @param {Object} options - As for analyzeMovement, plus window: { size, step }
+   *   overriding WINDOW_CONFIG
+   * @returns {Object} The worst window's analysis, with window: { index, start,
+   *   end, count, size, step } (start/end index into points, end exclusive)
+   */
+  function analyzeWindows(points, options = {}) {
+    const size = (options.window && options.window.size) || WINDOW_CONFIG.size;
+    const step = (options.window && options.window.step) || WINDOW_CONFIG.step;
+
+    const starts = [0];
+    if (points.length > size) {
+      for (let start = step; start + size < points.length; start += step) starts.push(start);
+      starts.push(points.length - size);
+    }
+
+    let worst = null;
+    let worstIndex = 0;
+    starts.forEach((start, index) => {
+      const result = analyzeMovement(points.length > size ? points.slice(start, start + size) : points, options);
+      if (!worst ||
+          result.checksPassed < worst.checksPassed ||
+          (result.checksPassed === worst.checksPassed &&
+           result.metrics.bezierSignalCount > worst.metrics.bezierSignalCount)) {
+        worst = result;
+        worstIndex = index;
+      }
+    });
+
+    const start = starts[worstIndex];
+    return {
+      ...worst,
+      window: {
+        index: worstIndex,
+        start,
+        end: Math.min(start + size, points.length),
+        count: starts.length,
+        size,
+        step
+      }
+    };
+  }
+
+  /**
+   * Summary of one analysis window, enough to rank it against the others
+   * (targetHits is left at 0: it adds the same to every window, so the
+   * ranking and checks don't depend on it)
+   */
+  function windowSummary(points, start, options) {
+    const result = analyzeMovement(points, {
+      targetHitsRequired: options.targetHitsRequired,
+      config: options.config
+    });
+    return {
+      start,
+      checks: result.checks,
+      checksPassed: result.checksPassed,
+      // Too few points for metrics ('insufficient_data') only happens while the trace is short
+      bezierSignalCount: result.metrics ? result.metrics.bezierSignalCount : 0
+    };
+  }
+
+  // Same order as analyzeWindows: fewest checks passed, then most bot signals, then earliest
+  function worseWindow(worst, next) {
+    return (!worst ||
+      next.checksPassed < worst.checksPassed ||
+      (next.checksPassed === worst.checksPassed && next.bezierSignalCount > worst.bezierSignalCount))
+      ? next : worst;
+  }
+
+  /**
+   * Continue analyzeWindows over the next points of a growing trace (a live
+   * capture or a stream). Every window that is complete is analyzed once and
+   * only the worst is kept, together with the points later windows still need.
+   * The state is plain JSON, so the server can store it between chunks.
+   * @param {Object|null} state - State from the previous call (null to start)
+   * @param {Array} points - Next {x, y, t} movement points
+   * @param {Object} options - { targetHitsRequired, config, window: { size, step } }
+   * @returns {Object} State { count, start, recent, next, worst } (recent holds
+   *   the points from index start on; next is the start of the next window)
+   */
+  function advanceWindows(state, points, options = {}) {
+    const size = (options.window && options.window.size) || WINDOW_CONFIG.size;
+    const step = (options.window && options.window.step) || WINDOW_CONFIG.step;
+    const current = state || { count: 0, start: 0, recent: [], next: 0, worst: null };
+
+    const recent = current.recent.concat(points);
+    const count = current.count + points.length;
+    let { next, worst } = current;
+    while (next + size <= count) {
+      const offset = next - current.start;
+      worst = worseWindow(worst, windowSummary(recent.slice(offset, offset + size), next, options));
+      next += step;
+    }
+
+    const start = Math.min(next, Math.max(0, count - size));
+    return { count, start, recent: recent.slice(start - current.start), next, worst };
+  }
+
+  /**
+   * The worst window so far: the same window analyzeWindows would pick over
+   * all points passed to advanceWindows
+   * @param {Object} state - State from advanceWindows
+   * @param {Object} options - As for advanceWindows
+   * @returns {Object|null} { start, checks, checksPassed, bezierSignalCount, passed }
+   *   (checksPassed without the target check; passed = every movement check passed)
+   */
+  function worstWindow(state, options = {}) {
+    if (!state || state.count === 0) return null;
+    const size = (options.window && options.window.size) || WINDOW_CONFIG.size;
+
+    // The last window ends at the newest point, wherever the regular ones stop
+    const tailStart = Math.max(0, state.count - size);
+    const tail = windowSummary(state.recent.slice(tailStart - state.start), tailStart, options);
+    const worst = worseWindow(state.worst, tail);
+    return { ...worst, passed: Object.values(worst.checks).every(Boolean) };
+  }
+
+  const core = {
+    DETECTION_VERSION,
+    DETECTION_CONFIG,
+    WINDOW_CONFIG,
+    SIGNAL_NAMES,
+    analyzeMovement,
+    analyzeWindows,
+    advanceWindows,
+    worstWindow
+  };
+
+  // Export
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = core;
+  } else {
+    global.AIMouseCheckDetection = core;
+  }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,185 @@
+/**
+ * AI Mouse Check - Admin authentication and audit trail
+ * Admin routes need a bearer token with the right scope. 'read' can view
+ * raw movements, keys and the audit trail; 'write' can also change data.
+ * Every admin action is appended to an audit file.
+ *
+ * Tokens come from ADMIN_TOKENS as comma-separated name:scope:token entries,
+ * e.g. ADMIN_TOKENS="alice:write:s3cret,dashboard:read:t0ken". The older
+ * ADMIN_TOKEN is still accepted as a write token named 'admin'.
+ *
+ * A registered site's secret key also works as a write token, but only for
+ * that site's own data (req.admin.site is set to its site key).
+ *
+ * Usage:
+ *   const { createAdminAuth } = require('./auth');
+ *   const adminAuth = createAdminAuth({ env: process.env, auditFile: 'admin-audit.log' });
+ *   app.post('/api/reset-matrix', adminAuth.requireScope('write'), handler);
+ *   adminAuth.audit(req, 'reset_matrix', { ... });
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Each scope includes the scopes listed for it
+const SCOPES = {
+  read: ['read'],
+  write: ['read', 'write']
+};
+
+/**
+ * Parse admin tokens from environment variables
+ * @param {Object} env - process.env
+ * @returns {Array} Array of { name, scope, token }
+ */
+function parseAdminTokens(env) {
+  const tokens = [];
+
+  if (env.ADMIN_TOKENS) {
+    for (const entry of env.ADMIN_TOKENS.split(',')) {
+      const [name, scope, ...rest] = entry.trim().split(':');
+      const token = rest.join(':');
+      if (!name || !SCOPES[scope] || !token) {
+        console.warn('Ignoring malformed ADMIN_TOKENS entry for', name || '(no name)');
+        continue;
+      }
+      tokens.push({ name, scope, token });
+    }
+  }
+
+  if (env.ADMIN_TOKEN) {
+    tokens.push({ name: 'admin', scope: 'write', token: env.ADMIN_TOKEN });
+  }
+
+  return tokens;
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Create admin middleware and the audit trail writer
+ * @param {Object} options - { env, auditFile, findSite } where findSite(secret)
+ *   resolves to the site a secret key belongs to
+ * @returns {Object} { requireScope, audit, readAudit, enabled }
+ */
+function createAdminAuth(options = {}) {
+  const tokens = parseAdminTokens(options.env || {});
+  const { auditFile, findSite } = options;
+
+  if (tokens.length === 0) {
+    console.warn('No ADMIN_TOKENS configured - admin and write endpoints are disabled');
+  }
+
+  /**
+   * Find the admin a bearer token belongs to
+   * @returns {Promise<Object|null>} { name, scope, site }
+   */
+  async function authenticate(req) {
+    const header = req.get('Authorization') || '';
+    if (!header.startsWith('Bearer ')) return null;
+    const presented = header.slice(7);
+    // Compare against every token so timing doesn't reveal which one matched
+    let match = null;
+    for (const entry of tokens) {
+      if (safeEqual(presented, entry.token) && !match) match = entry;
+    }
+    if (match) return { name: match.name, scope: match.scope, site: null };
+
+    const site = findSite ? await findSite(presented) : null;
+    return site ? { name: 'site:' + site.name, scope: 'write', site: site.siteKey } : null;
+  }
+
+  /**
+   * Append an audit entry for an admin action
+   * @param {Object} req - Express request (req.admin set by requireScope)
+   * @param {string} action - What was done, e.g. 'reset_matrix'
+   * @param {Object} details - Extra context for the entry
+   */
+  function audit(req, action, details = {}) {
+    const entry = {
+      timestamp: Date.now(),
+      actor: req.admin ? req.admin.name : null,
+      scope: req.admin ? req.admin.scope : null,
+      site: req.admin ? req.admin.site : null,
+      ip: req.ip,
+      action,
+      details
+    };
+    if (!auditFile) return;
+    try {
+      fs.appendFileSync(auditFile, JSON.stringify(entry) + '\n');
+    } catch (e) {
+      console.error('Error writing audit entry:', e);
+    }
+  }
+
+  /**
+   * Read the most recent audit entries
+   * @param {number} limit - Maximum number of entries
+   * @returns {Array} Entries, most recent first
+   */
+  function readAudit(limit = 100) {
+    try {
+      if (!auditFile || !fs.existsSync(auditFile)) return [];
+      return fs.readFileSync(auditFile, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .slice(-limit)
+        .map(line => JSON.parse(line))
+        .reverse();
+    } catch (e) {
+      console.error('Error reading audit trail:', e);
+      return [];
+    }
+  }
+
+  /**
+   * Middleware requiring an admin token with the given scope
+   * @param {string} scope - 'read' or 'write'
+   * @param {Object} options - { allowSiteKeys: false } to refuse site secret keys
+   */
+  function requireScope(scope, options = {}) {
+    const allowSiteKeys = options.allowSiteKeys !== false;
+    return async (req, res, next) => {
+      try {
+        const admin = await authenticate(req);
+        if (!admin) {
+          return res.status(401).json({ error: 'Admin token required' });
+        }
+        req.admin = admin;
+        if (!SCOPES[admin.scope].includes(scope)) {
+          audit(req, 'denied', { method: req.method, path: req.path, required: scope });
+          return res.status(403).json({ error: `Token lacks '${scope}' scope` });
+        }
+        if (admin.site && !allowSiteKeys) {
+          audit(req, 'denied', { method: req.method, path: req.path, required: 'admin' });
+          return res.status(403).json({ error: 'Site keys cannot use this endpoint' });
+        }
+        next();
+      } catch (error) {
+        console.error('Admin auth error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    };
+  }
+
+  return {
+    requireScope,
+    audit,
+    readAudit,
+    enabled: tokens.length > 0
+  };
+}
+
+module.exports = {
+  SCOPES,
+  parseAdminTokens,
+  createAdminAuth
+};
@@ -0,0 +1,162 @@
+/**
+ * AI Mouse Check - Server-issued challenges
+ * The server decides where the targets appear, so target hits (check 7) are
+ * recomputed from the submitted points instead of trusted from the client.
+ *
+ * Usage:
+ *   const { createChallenge, countTargetHits } = require('./challenge');
+ *   const challenge = createChallenge({ width: 460, height: 360 });
+ *   const targetHits = countTargetHits(points, challenge);
+ */
+
+const crypto = require('crypto');
+
+const CHALLENGE_CONFIG = {
+  ttl: 60000,                      // Challenge must be answered within 60s
+  targetHitsRequired: 5,
+  margin: 80,                      // Keep targets away from the area edges
+  sizes: [50, 65, 80, 100],        // Target diameters in px
+  hitSlop: 10,                     // Hit radius = size / 2 + hitSlop (same as client)
+  minReactionMs: 150,              // Hits faster than this after a target appears don't count
+  minArea: { width: 240, height: 240 },
+  maxArea: { width: 4000, height: 4000 },
+  defaultArea: { width: 460, height: 360 }
+};
+
+/**
+ * Clamp a requested capture area dimension to the allowed range
+ * @param {*} value - Requested dimension from the client
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @param {number} fallback - Used when value is not a finite number
+ * @returns {number} Dimension in whole pixels
+ */
+function clampDimension(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.round(Math.max(min, Math.min(max, n)));
+}
+
+/**
+ * Random integer in [min, max] from a CSPRNG (targets must not be predictable)
+ */
+function randomBetween(min, max) {
+  return crypto.randomInt(Math.floor(min), Math.floor(max) + 1);
+}
+
+/**
+ * Create a new challenge with a server-generated target schedule
+ * @param {Object} options - { width, height } of the client capture area,
+ *   plus optional { targetHitsRequired, ttl, profile } from the verification profile
+ * @returns {Object} Challenge including its target schedule
+ */
+function createChallenge(options = {}) {
+  const { minArea, maxArea, defaultArea, margin, sizes } = CHALLENGE_CONFIG;
+  const width = clampDimension(options.width, minArea.width, maxArea.width, defaultArea.width);
+  const height = clampDimension(options.height, minArea.height, maxArea.height, defaultArea.height);
+  const targetHitsRequired = options.targetHitsRequired || CHALLENGE_CONFIG.targetHitsRequired;
+
+  const targets = [];
+  for (let i = 0; i < targetHitsRequired; i++) {
+    targets.push({
+      x: randomBetween(margin, width - margin),
+      y: randomBetween(margin, height - margin),
+      size: sizes[crypto.randomInt(sizes.length)]
+    });
+  }
+
+  const issuedAt = Date.now();
+  return {
+    challengeId: crypto.randomBytes(16).toString('hex'),
+    issuedAt,
+    expiresAt: issuedAt + (options.ttl || CHALLENGE_CONFIG.ttl),
+    area: { width, height },
+    profile: options.profile || null,
+    targetHitsRequired,
+    minReactionMs: CHALLENGE_CONFIG.minReactionMs,
+    hitSlop: CHALLENGE_CONFIG.hitSlop,
+    targets
+  };
+}
+
+/**
+ * Replay the challenge against submitted points and count target hits.
+ * Mirrors the client: target N+1 appears at the moment target N is hit,
+ * and the first target appears with the first captured point.
+ * @param {Array} points - Array of {x, y, t} movement points
+ * @param {Object} challenge - Challenge returned by createChallenge
+ * @returns {number} Number of targets hit in order
+ */
+function countTargetHits(points, challenge) {
+  return advanceTargetHits(null, points, challenge).hits;
+}
+
+/**
+ * Continue countTargetHits over the next points of a trace, so a stream can
+ * count hits chunk by chunk without going over earlier points again
+ * @param {Object|null} state - { hits, shownAt } from the previous call (null to start)
+ * @param {Array} points - Next {x, y, t} movement points
+ * @param {Object} challenge - Challenge returned by createChallenge
+ * @returns {Object} { hits, shownAt } after these points
+ */
+function advanceTargetHits(state, points, challenge) {
+  if (!points || points.length === 0) return state || { hits: 0, shownAt: null };
+
+  let { hits, shownAt } = state && state.shownAt !== null ? state : { hits: 0, shownAt: points[0].t };
+
+  for (let i = 0; i < points.length && hits < challenge.targets.length; i++) {
+    const target = challenge.targets[hits];
+    const dist = Math.sqrt(
+      Math.pow(points[i].x - target.x, 2) +
+      Math.pow(points[i].y - target.y, 2)
+    );
+    const hitRadius = target.size / 2 + challenge.hitSlop;
+
+    if (dist < hitRadius && points[i].t - shownAt > challenge.minReactionMs) {
+      hits++;
+      shownAt = points[i].t;
+    }
+  }
+
+  return { hits, shownAt };
+}
+
+/**
+ * Check that the submitted points could have been captured while the
+ * challenge was open (the trace can't span longer than the challenge TTL)
+ * @param {Array} points - Array of {x, y, t} movement points
+ * @param {Object} challenge - Challenge returned by createChallenge
+ * @returns {boolean} Whether the trace duration fits the challenge window
+ */
+function fitsChallengeWindow(points, challenge) {
+  if (!points || points.length === 0) return true;
+  const duration = points[points.length - 1].t - points[0].t;
+  return duration <= challenge.expiresAt - challenge.issuedAt;
+}
+
+/**
+ * Strip server-only fields before sending a challenge to the client
+ * @param {Object} challenge - Challenge returned by createChallenge
+ * @returns {Object} Public challenge
+ */
+function publicChallenge(challenge) {
+  return {
+    challengeId: challenge.challengeId,
+    expiresAt: challenge.expiresAt,
+    area: challenge.area,
+    profile: challenge.profile,
+    targetHitsRequired: challenge.targetHitsRequired,
+    minReactionMs: challenge.minReactionMs,
+    hitSlop: challenge.hitSlop,
+    targets: challenge.targets
+  };
+}
+
+module.exports = {
+  CHALLENGE_CONFIG,
+  createChallenge,
+  countTargetHits,
+  advanceTargetHits,
+  fitsChallengeWindow,
+  publicChallenge
+};
@@ -0,0 +1,135 @@
+/**
+ * AI Mouse Check - Append-only decision log
+ * One JSON line per /api/verify decision, so auditors can reconstruct why
+ * a given action was approved or rejected. Files rotate daily (UTC) and
+ * when they grow past maxBytes:
+ *
+ *   decisions-2025-01-31.jsonl, decisions-2025-01-31.1.jsonl, ...
+ *
+ * Usage:
+ *   const { createDecisionLog } = require('./decisions');
+ *   const decisions = createDecisionLog({ dir: 'decision-logs' });
+ *   decisions.append({ requestId, outcome: 'pass', ... });
+ *   const entries = decisions.query({ from, to, outcome: 'fail' });
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DECISION_LOG_CONFIG = {
+  maxBytes: 10 * 1024 * 1024,      // Start a new file past 10 MB
+  maxResults: 1000                 // Upper bound on entries returned by one query
+};
+
+const FILE_PATTERN = /^decisions-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.jsonl$/;
+
+const dayOf = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+/**
+ * Create a decision log writing to a directory
+ * @param {Object} options - { dir, maxBytes, maxResults }
+ * @returns {Object} Log with append and query
+ */
+function createDecisionLog(options = {}) {
+  const config = { ...DECISION_LOG_CONFIG, ...options };
+  const { dir } = config;
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  // Log files sorted oldest first: [{ name, day, index }]
+  function files() {
+    return fs.readdirSync(dir)
+      .map(name => {
+        const match = FILE_PATTERN.exec(name);
+        return match ? { name, day: match[1], index: parseInt(match[2] || '0', 10) } : null;
+      })
+      .filter(Boolean)
+      .sort((a, b) => (a.day === b.day ? a.index - b.index : a.day < b.day ? -1 : 1));
+  }
+
+  const fileName = (day, index) => `decisions-${day}${index > 0 ? '.' + index : ''}.jsonl`;
+
+  // Pick up where the last run left off for today
+  let current = { day: null, index: 0, size: 0 };
+  const latest = files().pop();
+  if (latest) {
+    current = {
+      day: latest.day,
+      index: latest.index,
+      size: fs.statSync(path.join(dir, latest.name)).size
+    };
+  }
+
+  /**
+   * Append one decision
+   * @param {Object} entry - Decision fields; timestamp is added if missing
+   */
+  function append(entry) {
+    const record = { timestamp: Date.now(), ...entry };
+    const line = JSON.stringify(record) + '\n';
+    const bytes = Buffer.byteLength(line);
+    const day = dayOf(record.timestamp);
+
+    if (day !== current.day) {
+      current = { day, index: 0, size: 0 };
+    } else if (current.size > 0 && current.size + bytes > config.maxBytes) {
+      current = { day, index: current.index + 1, size: 0 };
+    }
+
+    try {
+      fs.appendFileSync(path.join(dir, fileName(current.day, current.index)), line);
+      current.size += bytes;
+    } catch (e) {
+      console.error('Error writing decision log:', e);
+    }
+  }
+
+  /**
+   * Find decisions, most recent first
+   * @param {Object} filter - { from, to (ms), outcome, recordId, siteKey, limit }
+   * @returns {Array} Matching entries
+   */
+  function query(filter = {}) {
+    const from = filter.from || 0;
+    const to = filter.to || Date.now();
+    const limit = Math.min(filter.limit || 100, config.maxResults);
+    const fromDay = dayOf(from);
+    const toDay = dayOf(to);
+    const results = [];
+
+    // Newest files first so the limit keeps the most recent entries
+    const candidates = files().filter(f => f.day >= fromDay && f.day <= toDay).reverse();
+    for (const file of candidates) {
+      const lines = fs.readFileSync(path.join(dir, file.name), 'utf8').split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (e) {
+          continue; // A torn last line after a crash
+        }
+        if (entry.timestamp < from || entry.timestamp > to) continue;
+        if (filter.outcome && entry.outcome !== filter.outcome) continue;
+        if (filter.recordId && entry.recordId !== filter.recordId) continue;
+        if (filter.siteKey !== undefined && entry.siteKey !== filter.siteKey) continue;
+        results.push(entry);
+        if (results.length >= limit) return results;
+      }
+    }
+
+    return results;
+  }
+
+  return {
+    append,
+    query
+  };
+}
+
+module.exports = {
+  DECISION_LOG_CONFIG,
+  createDecisionLog
+};
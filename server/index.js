@@ -13,23 +13,105 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
-const { analyzeMovement, generateSignature, verifySignature } = require('./detection');
+const crypto = require('crypto');
+const { analyzeWindows, generateSignature, verifySignature, verifyToken, hashMovement, hashAction, DETECTION_VERSION, TOKEN_TTL } = require('./detection');
+const { createChallenge, countTargetHits, advanceTargetHits, fitsChallengeWindow, publicChallenge } = require('./challenge');
+const { createReplayStore } = require('./replay');
+const { loadKeyring } = require('./keyring');
+const { createStore } = require('./store');
+const { createRateLimiter, rateLimitConfigFromEnv } = require('./ratelimit');
+const { createAdminAuth } = require('./auth');
+const { validatePoints, validateCaptureArea, validateAction, validateRecordId } = require('./validation');
+const { pointsFromBody } = require('./trace-codec');
+const { summarizePointerEvents } = require('./pointer-events');
+const { loadProfiles } = require('./profiles');
+const { createSiteRegistry, normalizeOrigin, publicSite } = require('./sites');
+const { createWebhooks, checkWebhookUrl, EVENTS: WEBHOOK_EVENTS } = require('./webhooks');
+const { createMetrics } = require('./metrics');
+const { createDecisionLog } = require('./decisions');
+const { createLedger } = require('./ledger');
+const { createRevocationList, REVOCATION_TYPES } = require('./revocations');
+const { createStreamSessions, clockDrift, advanceWindows, worstWindow, STREAM_CONFIG } = require('./stream');
+
+// Only these files of the repo root are served; everything else there stays private
+const PUBLIC_ROOT = path.join(__dirname, '..');
+const PUBLIC_FILES = ['index.html', 'server-test.html', 'analyses.html', 'ai-mouse-check.js', 'detection-core.js'];
+// Keys, stores, logs and saved movements; never served
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+const MATRIX_FILE = path.join(DATA_DIR, 'confusion-matrix.json');
+const MOVEMENTS_DIR = path.join(DATA_DIR, 'movements');
+const KEYRING_FILE = process.env.VERIFICATION_KEYRING_FILE || path.join(DATA_DIR, 'keyring.json');
+const STORE_FILE = process.env.STORE_FILE || path.join(DATA_DIR, 'store.json');
+const STORE_TYPE = process.env.STORE_TYPE || 'file';
+const ADMIN_AUDIT_FILE = process.env.ADMIN_AUDIT_FILE || path.join(DATA_DIR, 'admin-audit.log');
+const PROFILES_FILE = process.env.PROFILES_FILE || path.join(__dirname, '..', 'profiles.json');
+// Each registered site keeps its confusion matrix and movements in SITES_DATA_DIR/<siteKey>/
+const SITES_DATA_DIR = process.env.SITES_DATA_DIR || path.join(DATA_DIR, 'sites-data');
+const LEDGER_FILE = process.env.LEDGER_FILE || path.join(DATA_DIR, 'ledger.jsonl');
+const DECISION_LOG_DIR = process.env.DECISION_LOG_DIR || path.join(DATA_DIR, 'decision-logs');
 
-const MATRIX_FILE = path.join(__dirname, '..', 'confusion-matrix.json');
-const MOVEMENTS_DIR = path.join(__dirname, '..', 'movements');
+/**
+ * Exit if a state file would sit where public files are served from
+ * @param {string} name - Setting name for the message
+ * @param {string} file - Configured path
+ */
+function requirePrivatePath(name, file) {
+  const resolved = path.resolve(file);
+  if (path.dirname(resolved) === path.resolve(PUBLIC_ROOT) ||
+      PUBLIC_FILES.some(f => path.resolve(PUBLIC_ROOT, f) === resolved)) {
+    console.error(`${name} (${resolved}) is next to the public files; move it into DATA_DIR (${path.resolve(DATA_DIR)})`);
+    process.exit(1);
+  }
+}
+
+requirePrivatePath('VERIFICATION_KEYRING_FILE', KEYRING_FILE);
+requirePrivatePath('STORE_FILE', STORE_FILE);
+requirePrivatePath('SITES_DATA_DIR', SITES_DATA_DIR);
+requirePrivatePath('ADMIN_AUDIT_FILE', ADMIN_AUDIT_FILE);
+requirePrivatePath('DECISION_LOG_DIR', DECISION_LOG_DIR);
+requirePrivatePath('LEDGER_FILE', LEDGER_FILE);
+
+// Older versions kept their state in the repo root
+const LEGACY_STATE = [
+  'keyring.json', 'store.json', 'sites-data', 'movements', 'confusion-matrix.json', 'admin-audit.log',
+  'decision-logs', 'ledger.jsonl'
+];
+for (const legacy of LEGACY_STATE) {
+  if (fs.existsSync(path.join(PUBLIC_ROOT, legacy))) {
+    console.warn(`Found ${legacy} in the repo root from an older version; move it to ${path.resolve(DATA_DIR)} to keep using it`);
+  }
+}
+
+fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
 
 // Ensure movements directory exists
 if (!fs.existsSync(MOVEMENTS_DIR)) {
   fs.mkdirSync(MOVEMENTS_DIR, { recursive: true });
 }
 
+/**
+ * Movements directory for a site (null = the default, site-less data)
+ * @param {string|null} siteKey - Site key
+ * @returns {string} Directory path
+ */
+function movementsDir(siteKey) {
+  if (!siteKey) return MOVEMENTS_DIR;
+  const dir = path.join(SITES_DATA_DIR, siteKey, 'movements');
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  return dir;
+}
+
 /**
  * Save movement data to a file
+ * @param {string|null} siteKey - Site the movement belongs to
  * @param {string} id - Unique identifier for this movement session
  * @param {object} data - Movement data including points, isHuman, passed, etc.
  */
-function saveMovement(id, data) {
-  const filename = path.join(MOVEMENTS_DIR, `${id}.json`);
+function saveMovement(siteKey, id, data) {
+  const filename = path.join(movementsDir(siteKey), `${id}.json`);
   try {
     fs.writeFileSync(filename, JSON.stringify(data, null, 2));
     return true;
@@ -42,8 +124,24 @@ function saveMovement(id, data) {
 const app = express();
 const PORT = process.env.PORT || 3847;
 
-// Secret key for signing (in production, use environment variable)
-const SECRET_KEY = process.env.VERIFICATION_SECRET || 'change-this-in-production-' + Math.random().toString(36);
+// Signing keys (seeded from VERIFICATION_SECRET on first run, then kept in KEYRING_FILE)
+// Tokens are self-verifying, so every instance sharing the keyring can check them
+const keyring = loadKeyring({
+  file: KEYRING_FILE,
+  seedSecret: process.env.VERIFICATION_SECRET,
+  retireAfter: TOKEN_TTL
+});
+
+// Verification profiles (strict/balanced/lenient plus custom ones from PROFILES_FILE)
+const profiles = loadProfiles({
+  file: PROFILES_FILE,
+  defaultProfile: process.env.DEFAULT_PROFILE
+});
+
+// Behind a reverse proxy, set TRUST_PROXY so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors());
@@ -59,16 +157,99 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.static(path.join(__dirname, '..')));
+app.get('/', (req, res) => res.sendFile(path.join(PUBLIC_ROOT, 'index.html')));
+for (const file of PUBLIC_FILES) {
+  app.get('/' + file, (req, res) => res.sendFile(path.join(PUBLIC_ROOT, file)));
+}
+
+// Challenges, seen traces and other short-lived state (STORE_TYPE=memory|file).
+// For Redis, pass a connected client: createStore({ type: 'redis', client })
+const store = createStore({ type: STORE_TYPE, file: STORE_FILE });
+if (STORE_TYPE === 'file' && process.env.NODE_ENV === 'production') {
+  console.warn('The file store rewrites STORE_FILE synchronously as state grows; use Redis in production');
+}
+
+// Every trace submitted to /api/verify, so recorded sessions can't be reused
+const replayStore = createReplayStore(store);
+
+const challengeKey = (challengeId) => 'challenge:' + challengeId;
+
+// Normalized Origin header of a request (null when absent)
+const requestOrigin = (req) => (req.get('Origin') ? normalizeOrigin(req.get('Origin')) : null);
+
+// Limits on /api/verify per IP and recordId (RATE_LIMIT_* env vars)
+const rateLimiter = createRateLimiter(store, rateLimitConfigFromEnv(process.env));
+
+// Registered sites with their site keys and (hashed) secret keys
+const sites = createSiteRegistry(store);
+
+// Signed POSTs to registered URLs for every verification outcome
+// WEBHOOK_ALLOW_PRIVATE_URLS=true for receivers on this host or network (e.g. npm run webhook-receiver)
+const webhookOptions = { allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true' };
+const webhooks = createWebhooks(store, webhookOptions);
+
+// Counters and histograms served by GET /metrics
+const metrics = createMetrics();
+
+// Every issued signature, hash-chained so edits and deletions are detectable
+const ledger = createLedger({ file: LEDGER_FILE });
+
+// Tokens revoked before their expiry (by sessionId, recordId or detectionVersion)
+const revocations = createRevocationList(store, { maxTokenAge: TOKEN_TTL });
+
+// Verifications streamed chunk by chunk over /api/stream
+const streams = createStreamSessions(store);
+
+// One JSON line per /api/verify decision, rotated daily and by size (DECISION_LOG_MAX_BYTES)
+const decisionLog = createDecisionLog({
+  dir: DECISION_LOG_DIR,
+  ...(process.env.DECISION_LOG_MAX_BYTES && { maxBytes: parseInt(process.env.DECISION_LOG_MAX_BYTES, 10) })
+});
+
+// Admin tokens with read/write scopes (ADMIN_TOKENS), every admin action is audited.
+// A site's secret key works as a token for that site's own data.
+const adminAuth = createAdminAuth({
+  env: process.env,
+  auditFile: ADMIN_AUDIT_FILE,
+  findSite: (secret) => sites.findBySecret(secret)
+});
 
-// Store verified sessions (in production, use Redis or database)
-const verifiedSessions = new Map();
+/**
+ * Middleware that picks the site whose data a request works on (req.siteKey,
+ * null = the default data). Site secret keys are pinned to their own site;
+ * admin tokens choose one with siteKey in the query or body.
+ */
+async function withSite(req, res, next) {
+  try {
+    if (req.admin && req.admin.site) {
+      req.siteKey = req.admin.site;
+      return next();
+    }
+    const siteKey = req.query.siteKey || (req.body && req.body.siteKey);
+    if (!siteKey) {
+      req.siteKey = null;
+      return next();
+    }
+    if (!(await sites.get(siteKey))) {
+      return res.status(404).json({ error: 'Unknown site key' });
+    }
+    req.siteKey = siteKey;
+    next();
+  } catch (error) {
+    console.error('Site lookup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
 
 // Confusion matrix tracking - load from file or initialize
-function loadConfusionMatrix() {
+function matrixFile(siteKey) {
+  return siteKey ? path.join(SITES_DATA_DIR, siteKey, 'confusion-matrix.json') : MATRIX_FILE;
+}
+
+function loadConfusionMatrix(siteKey) {
   try {
-    if (fs.existsSync(MATRIX_FILE)) {
-      const data = fs.readFileSync(MATRIX_FILE, 'utf8');
+    if (fs.existsSync(matrixFile(siteKey))) {
+      const data = fs.readFileSync(matrixFile(siteKey), 'utf8');
       return JSON.parse(data);
     }
   } catch (e) {
@@ -84,104 +265,783 @@ function loadConfusionMatrix() {
   };
 }
 
-function saveConfusionMatrix() {
+function saveConfusionMatrix(siteKey) {
   try {
-    fs.writeFileSync(MATRIX_FILE, JSON.stringify(confusionMatrix, null, 2));
+    fs.mkdirSync(path.dirname(matrixFile(siteKey)), { recursive: true });
+    fs.writeFileSync(matrixFile(siteKey), JSON.stringify(getConfusionMatrix(siteKey), null, 2));
   } catch (e) {
     console.error('Error saving confusion matrix:', e);
   }
 }
 
-const confusionMatrix = loadConfusionMatrix();
+// Matrices are loaded on first use and kept in memory (key '' = default data)
+const confusionMatrices = new Map();
+
+function getConfusionMatrix(siteKey) {
+  const key = siteKey || '';
+  if (!confusionMatrices.has(key)) {
+    confusionMatrices.set(key, loadConfusionMatrix(siteKey));
+  }
+  return confusionMatrices.get(key);
+}
+
+const defaultMatrix = getConfusionMatrix(null);
 console.log('Loaded confusion matrix:', {
-  humanPassed: confusionMatrix.humanPassed,
-  humanFailed: confusionMatrix.humanFailed,
-  botPassed: confusionMatrix.botPassed,
-  botFailed: confusionMatrix.botFailed
+  humanPassed: defaultMatrix.humanPassed,
+  humanFailed: defaultMatrix.humanFailed,
+  botPassed: defaultMatrix.botPassed,
+  botFailed: defaultMatrix.botFailed
 });
 
+/**
+ * POST /api/challenge
+ * Issue a challenge: a nonce plus the server-generated target schedule
+ *
+ * Request body:
+ *   - width: Width of the client capture area in px
+ *   - height: Height of the client capture area in px
+ *   - siteKey: Optional public site key; the request Origin must be one of the
+ *     site's origins, and the site's verification profile is used
+ *   - profile: Optional profile ID, used when no siteKey is given
+ *   - stream: true to verify over /api/stream; targets are then revealed one
+ *     at a time as they are reached instead of listed in the response
+ *
+ * The challenge (and the token it leads to) is bound to the site and Origin.
+ *
+ * Response:
+ *   - challengeId: string (send back to /api/verify)
+ *   - expiresAt: number (from the profile's maxSessionAge)
+ *   - area: { width, height } the targets were placed in
+ *   - profile: name of the verification profile
+ *   - targets: Array of {x, y, size}, shown one at a time in order (omitted for stream challenges)
+ *   - targetHitsRequired, minReactionMs, hitSlop: hit rules
+ */
+app.post('/api/challenge', async (req, res) => {
+  try {
+    const { width, height, siteKey, profile: profileId, stream } = req.body || {};
+    const origin = requestOrigin(req);
+
+    let site = null;
+    if (siteKey) {
+      site = await sites.get(siteKey);
+      if (!site) {
+        return res.status(400).json({
+          error: 'Unknown site key'
+        });
+      }
+      if (!sites.originAllowed(site, origin)) {
+        return res.status(403).json({
+          error: 'Origin not allowed for this site key'
+        });
+      }
+    }
+
+    const profile = profiles.resolve(site ? site.profile : profileId);
+    if (!profile) {
+      return res.status(400).json({
+        error: 'Unknown profile'
+      });
+    }
+
+    const challenge = createChallenge({
+      width,
+      height,
+      targetHitsRequired: profile.targetHitsRequired,
+      ttl: profile.maxSessionAge,
+      profile: profile.name
+    });
+    // The profile's detection settings, site and origin stay server-side with the challenge
+    challenge.detectionConfig = profile.detectionConfig;
+    challenge.siteKey = site ? site.siteKey : null;
+    challenge.origin = origin;
+    challenge.stream = stream === true;
+    await store.set(challengeKey(challenge.challengeId), challenge, challenge.expiresAt - challenge.issuedAt);
+
+    // The client reports back which detection version it ran (see /api/verify)
+    const body = { ...publicChallenge(challenge), detectionVersion: DETECTION_VERSION };
+    if (challenge.stream) {
+      delete body.targets;
+      body.stream = true;
+    }
+    return res.json(body);
+  } catch (error) {
+    console.error('Challenge error:', error);
+    return res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * Send a /api/verify decision to subscribed webhooks (never blocks the response)
+ * @param {Object} body - Response body of the decision
+ * @param {string} recordId - recordId from the request
+ * @param {Object|null} challenge - Challenge the request used, if it was found
+ */
+function notifyWebhooks(body, recordId, challenge) {
+  const events = [body.verified ? 'pass' : 'fail'];
+  if (body.aiDetected) events.push('aiDetected');
+
+  webhooks.dispatch(events, {
+    recordId: recordId || 'anonymous',
+    verified: body.verified,
+    aiDetected: Boolean(body.aiDetected),
+    reason: body.reason || null,
+    sessionId: body.sessionId || null,
+    checks: body.checks || null,
+    checksPassed: body.checksPassed ?? null,
+    triggeredSignals: body.triggeredSignals || [],
+    targetHits: body.targetHits ?? null,
+    profile: challenge ? challenge.profile : null,
+    siteKey: challenge ? challenge.siteKey : null,
+    detectionVersion: body.detectionVersion || DETECTION_VERSION
+  }, challenge ? challenge.siteKey : null).catch(e => console.error('Webhook dispatch error:', e));
+}
+
+/**
+ * Per-request plumbing shared by /api/verify and the streaming endpoints: a
+ * request ID, one decision-log line per outcome, and respond(), which also
+ * feeds the failure lockout, the webhooks and /metrics.
+ * Set decision.challenge, movementHash and actionHash as they become known,
+ * and decision.scored once the trace is judged against a valid challenge
+ * (only those outcomes count towards the lockout).
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} fields - { recordId, challengeId, clientDetectionVersion } from the request
+ * @returns {Object} Decision context
+ */
+function createDecision(req, res, { recordId, challengeId, clientDetectionVersion }) {
+  const requestId = 'req_' + crypto.randomBytes(12).toString('hex');
+  res.set('X-Request-Id', requestId);
+
+  // A client on another detection version saw different verdicts than we return
+  const clientVersion = typeof clientDetectionVersion === 'string' && clientDetectionVersion.length <= 32
+    ? clientDetectionVersion
+    : null;
+  const detectionVersionMismatch = clientVersion ? clientVersion !== DETECTION_VERSION : null;
+
+  const decision = {
+    requestId,
+    challenge: null,
+    movementHash: null,
+    actionHash: null,
+    scored: false
+  };
+
+  // Every request leaves one line in the decision log, including rejected ones
+  decision.log = (outcome, body) => decisionLog.append({
+    requestId,
+    recordId: recordId || 'anonymous',
+    siteKey: decision.challenge ? decision.challenge.siteKey : null,
+    origin: requestOrigin(req),
+    ip: req.ip,
+    challengeId: typeof challengeId === 'string' ? challengeId : null,
+    profile: decision.challenge ? decision.challenge.profile : null,
+    outcome,
+    reason: body.reason || null,
+    aiDetected: Boolean(body.aiDetected),
+    sessionId: body.sessionId || null,
+    checks: body.checks || null,
+    checksPassed: body.checksPassed ?? null,
+    triggeredSignals: body.triggeredSignals || [],
+    targetHits: body.targetHits ?? null,
+    metrics: body.metrics || null,
+    detectionVersion: body.detectionVersion || DETECTION_VERSION,
+    clientDetectionVersion: clientVersion,
+    detectionVersionMismatch,
+    streamId: body.streamId || null,
+    pointer: body.pointer || null,
+    movementHash: decision.movementHash,
+    actionHash: decision.actionHash
+  });
+
+  // Every pass/fail feeds the webhooks, /metrics and the decision log; scored ones the lockout too
+  decision.respond = async (body) => {
+    if (decision.scored) await rateLimiter.recordResult(req.ip, body.verified);
+    notifyWebhooks(body, recordId, decision.challenge);
+    decision.log(body.verified ? 'pass' : 'fail', body);
+    body.detectionVersion = body.detectionVersion || DETECTION_VERSION;
+    body.detectionVersionMismatch = detectionVersionMismatch;
+    body.requestId = requestId;
+    if (detectionVersionMismatch) metrics.detectionVersionMismatches.inc();
+    metrics.verifyRequests.inc({ outcome: body.verified ? 'pass' : 'fail', reason: body.reason || 'none' });
+    if (body.aiDetected) metrics.aiDetected.inc();
+    for (const signal of body.triggeredSignals || []) metrics.signalTriggers.inc({ signal });
+    return res.json(body);
+  };
+
+  // Rejected before analysis (400): logged and counted, but no lockout or webhooks
+  decision.reject = (status, reason, body) => {
+    metrics.verifyRequests.inc({ outcome: 'invalid', reason });
+    decision.log('invalid', { reason });
+    return res.status(status).json({ ...body, requestId });
+  };
+
+  // Refused by the rate limiter or the lockout (429)
+  decision.rateLimited = (limit) => {
+    res.set('Retry-After', String(limit.retryAfter));
+    metrics.verifyRequests.inc({ outcome: 'rate_limited', reason: limit.reason });
+    decision.log('rate_limited', { reason: limit.reason });
+    return res.status(429).json({
+      verified: false,
+      reason: limit.reason,
+      retryAfter: limit.retryAfter,
+      requestId
+    });
+  };
+
+  return decision;
+}
+
+/**
+ * Score a complete trace against its (already consumed) challenge and sign
+ * it if every check passes. Shared by /api/verify and streaming sessions.
+ * @param {Array} points - Validated {x, y, t} points
+ * @param {Object} challenge - Challenge from the store
+ * @param {Object} options - { recordId, action, actionHash }
+ * @returns {Promise<Object>} Response body for decision.respond()
+ */
+async function scoreTrace(points, challenge, { recordId, action, actionHash }) {
+  // Script-dispatched events (isTrusted false) never come from a real pointer
+  const pointer = summarizePointerEvents(points);
+  if (pointer && pointer.untrusted > 0) {
+    return {
+      verified: false,
+      reason: 'untrusted_events',
+      aiDetected: true,
+      pointer
+    };
+  }
+
+  if (!fitsChallengeWindow(points, challenge)) {
+    return {
+      verified: false,
+      reason: 'challenge_window_exceeded'
+    };
+  }
+
+  // Reject traces we've already seen (exact copies or shifted/jittered ones)
+  const replay = await replayStore.check(points);
+  if (replay.replayed) {
+    return {
+      verified: false,
+      reason: 'replayed',
+      replayMatch: replay.match
+    };
+  }
+  await replayStore.remember(points);
+
+  // Target hits come from replaying the challenge, never from the client
+  const targetHits = countTargetHits(points, challenge);
+
+  // Run server-side detection (same algorithms as client) with the challenge's profile;
+  // the worst window of the session decides
+  const analyzeStart = process.hrtime.bigint();
+  const result = analyzeWindows(points, {
+    targetHits,
+    targetHitsRequired: challenge.targetHitsRequired,
+    config: challenge.detectionConfig
+  });
+  metrics.analyzeDuration.observe(Number(process.hrtime.bigint() - analyzeStart) / 1e9);
+
+  // If verified, generate cryptographic signature
+  if (result.verified) {
+    const { kid, secret } = keyring.signingKey();
+    const sigData = generateSignature(secret, {
+      kid,
+      points,
+      recordId: recordId || 'anonymous',
+      profile: challenge.profile,
+      siteKey: challenge.siteKey,
+      origin: challenge.origin,
+      action,
+      checksPassed: result.checksPassed
+    });
+    const ledgerEntry = ledger.append(sigData);
+
+    // Nothing is stored: the token carries everything needed to check it later
+    const sessionId = sigData.signature.slice(0, 16);
+
+    return {
+      verified: true,
+      signature: sigData.signature,
+      token: sigData.token,
+      sessionId,
+      timestamp: sigData.timestamp,
+      expiresAt: sigData.expiresAt,
+      ledgerSeq: ledgerEntry.seq,
+      actionHash,
+      checks: result.checks,
+      checksPassed: result.checksPassed,
+      triggeredSignals: result.triggeredSignals,
+      targetHits,
+      profile: challenge.profile,
+      siteKey: challenge.siteKey,
+      metrics: result.metrics,
+      window: result.window,
+      pointer,
+      detectionVersion: result.detectionVersion,
+      detectionConfig: result.detectionConfig
+    };
+  }
+
+  // Not verified
+  return {
+    verified: false,
+    aiDetected: result.aiDetected,
+    checks: result.checks,
+    checksPassed: result.checksPassed,
+    triggeredSignals: result.triggeredSignals,
+    targetHits,
+    profile: challenge.profile,
+    reason: result.reason || 'checks_failed',
+    metrics: result.metrics,
+    window: result.window,
+    pointer,
+    detectionVersion: result.detectionVersion,
+    detectionConfig: result.detectionConfig
+  };
+}
+
 /**
  * POST /api/verify
  * Verify mouse movement data server-side
  *
  * Request body:
- *   - points: Array of {x, y, t} movement points
- *   - targetHits: Number of targets hit
- *   - recordId: Optional ID to associate with verification
+ *   - points: Array of {x, y, t} movement points, optionally with the pointer event's
+ *     movementX, movementY, buttons, pointerType and isTrusted
+ *   - trace: the same points in the compact encoding (see trace-codec.js), instead of points
+ *   - challengeId: ID from POST /api/challenge (single-use; hits are recomputed from it)
+ *   - recordId: Optional ID to associate with verification (string, at most 128 characters)
+ *   - action: Optional action descriptor, e.g. { type: 'approve_invoice', invoiceId: 123, amount: 500 }.
+ *     Its canonical hash is signed into the token, which then only verifies for that action.
+ *   - clientDetectionVersion: Optional DETECTION_VERSION of the detection-core.js the page ran
  *
  * Response:
  *   - verified: boolean
  *   - signature: string (if verified)
- *   - checks: object with individual check results
+ *   - ledgerSeq: position of the signature in the ledger (if verified)
+ *   - actionHash: hash of the action the token is bound to (null without action)
+ *   - checks: object with individual check results (of the worst window, see analyzeWindows)
+ *   - window: { index, start, end, count, size, step } of that window
+ *   - pointer: { samples, untrusted, pointerTypes, pressedRatio } when the points carry
+ *     pointer event fields (movementX/Y, buttons, pointerType, isTrusted), else null
  *   - aiDetected: boolean
+ *   - profile: verification profile the challenge was issued under
+ *   - detectionVersion: detection version the server ran
+ *   - detectionVersionMismatch: true if the client reported a different one (null if it didn't report)
+ *   - reason: string (if not verified), e.g. 'replayed' for a resubmitted trace,
+ *     'untrusted_events' if any point came from a script-dispatched event
+ *   - requestId: ID of the decision in the decision log (also the X-Request-Id header)
+ *
+ * Malformed points (non-finite values, timestamps going backwards, points
+ * outside the challenge area, impossible sampling rates, too many points)
+ * malformed actions and recordIds that aren't short strings get 400 with
+ * details: [{ field, error }].
+ *
+ * Rate limited per IP and recordId; repeated failed traces from one IP add
+ * an escalating cooldown. Limited requests get 429 with retryAfter (seconds).
  */
-app.post('/api/verify', (req, res) => {
+app.post('/api/verify', async (req, res) => {
   try {
-    const { points, targetHits, recordId } = req.body;
+    const { challengeId, recordId, action, clientDetectionVersion } = req.body;
+    const { points, errors: traceErrors } = pointsFromBody(req.body);
+    // Checked first: recordId keys the rate limit and ends up in tokens, logs and webhooks
+    const recordIdErrors = validateRecordId(recordId);
+    const decision = createDecision(req, res, {
+      recordId: recordIdErrors.length === 0 ? recordId : null,
+      challengeId,
+      clientDetectionVersion
+    });
+    const { requestId } = decision;
+    if (recordIdErrors.length > 0) {
+      return decision.reject(400, 'invalid_record_id', {
+        error: 'Invalid recordId',
+        details: recordIdErrors
+      });
+    }
 
-    if (!points || !Array.isArray(points)) {
-      return res.status(400).json({
-        error: 'Missing or invalid points array'
+    const limit = await rateLimiter.check(req.ip, recordId);
+    if (!limit.allowed) {
+      return decision.rateLimited(limit);
+    }
+
+    // Malformed traces would otherwise reach analyzeMovement as NaN metrics
+    const pointErrors = traceErrors.length > 0 ? traceErrors : validatePoints(points);
+    if (pointErrors.length > 0) {
+      return decision.reject(400, 'invalid_points', {
+        error: 'Invalid points',
+        details: pointErrors
+      });
+    }
+
+    const actionErrors = validateAction(action);
+    if (actionErrors.length > 0) {
+      return decision.reject(400, 'invalid_action', {
+        error: 'Invalid action',
+        details: actionErrors
+      });
+    }
+
+    metrics.verifyPoints.observe(points.length);
+    decision.movementHash = hashMovement(points);
+    decision.actionHash = action != null ? hashAction(action) : null;
+
+    if (!challengeId || typeof challengeId !== 'string') {
+      return decision.reject(400, 'missing_challenge', {
+        error: 'Missing challengeId (request one from POST /api/challenge)'
+      });
+    }
+
+    const challenge = await store.get(challengeKey(challengeId));
+
+    // Challenges are single-use: only the request that deletes it may proceed
+    if (!challenge || !(await store.delete(challengeKey(challengeId)))) {
+      return decision.respond({
+        verified: false,
+        reason: 'challenge_not_found'
+      });
+    }
+    decision.challenge = challenge;
+
+    if (challenge.expiresAt < Date.now()) {
+      return decision.respond({
+        verified: false,
+        reason: 'challenge_expired'
+      });
+    }
+
+    // A challenge only counts from the origin it was issued to
+    if (requestOrigin(req) !== challenge.origin) {
+      return decision.respond({
+        verified: false,
+        reason: 'origin_mismatch'
       });
     }
 
-    // Run server-side detection (same algorithms as client)
-    const result = analyzeMovement(points, {
-      targetHits: targetHits || 0,
-      targetHitsRequired: 5
+    // Streaming challenges never showed their targets up front; they only finish over /api/stream
+    if (challenge.stream) {
+      return decision.respond({
+        verified: false,
+        reason: 'stream_required'
+      });
+    }
+
+    const areaErrors = validateCaptureArea(points, challenge.area);
+    if (areaErrors.length > 0) {
+      return decision.reject(400, 'outside_capture_area', {
+        error: 'Points outside the capture area',
+        details: areaErrors
+      });
+    }
+
+    decision.scored = true;
+    return decision.respond(await scoreTrace(points, challenge, {
+      recordId,
+      action,
+      actionHash: decision.actionHash
+    }));
+
+  } catch (error) {
+    console.error('Verification error:', error);
+    metrics.verifyRequests.inc({ outcome: 'error', reason: 'internal_error' });
+    return res.status(500).json({
+      error: 'Internal server error'
     });
+  }
+});
+
+/**
+ * Analysis options of a streamed challenge, for advanceWindows and worstWindow
+ * @param {Object} challenge - Challenge of the stream
+ * @returns {Object} Options
+ */
+function streamAnalysisOptions(challenge) {
+  return {
+    targetHitsRequired: challenge.targetHitsRequired,
+    config: challenge.detectionConfig
+  };
+}
+
+/**
+ * Progress sent back after each streamed chunk, from the session's running
+ * state (only the newest window is analyzed here, never the whole trace)
+ * @param {Object} session - Stream session
+ * @returns {Object} Response body
+ */
+function streamProgress(session) {
+  const { challenge } = session;
+  const targetHits = session.hits ? session.hits.hits : 0;
+  const worst = worstWindow(session.windows, streamAnalysisOptions(challenge));
 
-    // If verified, generate cryptographic signature
-    if (result.verified) {
-      const sigData = generateSignature(SECRET_KEY, {
-        points,
-        recordId: recordId || 'anonymous',
-        checksPassed: result.checksPassed
+  return {
+    done: false,
+    streamId: session.streamId,
+    pointCount: session.pointCount,
+    targetHits,
+    targetHitsRequired: challenge.targetHitsRequired,
+    nextTarget: challenge.targets[Math.min(targetHits, challenge.targets.length - 1)],
+    checks: worst ? worst.checks : null,
+    verified: worst !== null && worst.passed && targetHits >= challenge.targetHitsRequired
+  };
+}
+
+/**
+ * POST /api/stream
+ * Open a streaming verification on a challenge (consumes it, like /api/verify)
+ *
+ * Request body:
+ *   - challengeId: ID from POST /api/challenge (ideally requested with stream: true)
+ *   - recordId, action, clientDetectionVersion: as for /api/verify
+ *
+ * Response:
+ *   - streamId: send chunks to POST /api/stream/:streamId
+ *   - expiresAt: the challenge's expiry
+ *   - nextTarget: {x, y, size} of the first target
+ *   - targetHitsRequired
+ */
+app.post('/api/stream', async (req, res) => {
+  try {
+    const { challengeId, recordId, action, clientDetectionVersion } = req.body;
+    const recordIdErrors = validateRecordId(recordId);
+    const decision = createDecision(req, res, {
+      recordId: recordIdErrors.length === 0 ? recordId : null,
+      challengeId,
+      clientDetectionVersion
+    });
+    if (recordIdErrors.length > 0) {
+      return decision.reject(400, 'invalid_record_id', {
+        error: 'Invalid recordId',
+        details: recordIdErrors
       });
+    }
+
+    const limit = await rateLimiter.check(req.ip, recordId);
+    if (!limit.allowed) {
+      return decision.rateLimited(limit);
+    }
 
-      // Store session for later verification
-      const sessionId = sigData.signature.slice(0, 16);
-      verifiedSessions.set(sessionId, {
-        signature: sigData.signature,
-        timestamp: sigData.timestamp,
-        recordId,
-        expiresAt: Date.now() + 3600000 // 1 hour
+    const actionErrors = validateAction(action);
+    if (actionErrors.length > 0) {
+      return decision.reject(400, 'invalid_action', {
+        error: 'Invalid action',
+        details: actionErrors
       });
+    }
+    decision.actionHash = action != null ? hashAction(action) : null;
 
-      // Clean expired sessions
-      for (const [key, value] of verifiedSessions) {
-        if (value.expiresAt < Date.now()) {
-          verifiedSessions.delete(key);
-        }
-      }
+    if (!challengeId || typeof challengeId !== 'string') {
+      return decision.reject(400, 'missing_challenge', {
+        error: 'Missing challengeId (request one from POST /api/challenge)'
+      });
+    }
 
-      return res.json({
-        verified: true,
-        signature: sigData.signature,
-        sessionId,
-        timestamp: sigData.timestamp,
-        checks: result.checks,
-        checksPassed: result.checksPassed,
-        metrics: result.metrics,
-        detectionVersion: result.detectionVersion,
-        detectionConfig: result.detectionConfig
+    const challenge = await store.get(challengeKey(challengeId));
+    if (!challenge || !(await store.delete(challengeKey(challengeId)))) {
+      return decision.respond({
+        verified: false,
+        reason: 'challenge_not_found'
+      });
+    }
+    decision.challenge = challenge;
+
+    if (challenge.expiresAt < Date.now()) {
+      return decision.respond({
+        verified: false,
+        reason: 'challenge_expired'
+      });
+    }
+    if (requestOrigin(req) !== challenge.origin) {
+      return decision.respond({
+        verified: false,
+        reason: 'origin_mismatch'
       });
     }
 
-    // Not verified
+    const session = await streams.open(challenge, {
+      recordId,
+      action,
+      clientDetectionVersion
+    });
+
     return res.json({
-      verified: false,
-      aiDetected: result.aiDetected,
-      checks: result.checks,
-      checksPassed: result.checksPassed,
-      reason: result.reason || 'checks_failed',
-      metrics: result.metrics,
-      detectionVersion: result.detectionVersion,
-      detectionConfig: result.detectionConfig
+      streamId: session.streamId,
+      expiresAt: challenge.expiresAt,
+      nextTarget: challenge.targets[0],
+      targetHitsRequired: challenge.targetHitsRequired,
+      requestId: decision.requestId
+    });
+  } catch (error) {
+    console.error('Stream open error:', error);
+    return res.status(500).json({
+      error: 'Internal server error'
+    });
+  }
+});
+
+/**
+ * POST /api/stream/:streamId
+ * Send the next chunk of points while the user is still moving
+ *
+ * Request body:
+ *   - points: Array of {x, y, t} captured since the previous chunk (or trace, as for /api/verify)
+ *   - final: true to finish now (e.g. on timeout) even if checks are still failing
+ *
+ * Response while running:
+ *   - done: false, pointCount, targetHits, targetHitsRequired, checks
+ *   - nextTarget: {x, y, size} of the target to show now
+ *
+ * Response once finished: done: true plus the same body as /api/verify. The
+ * session finishes as soon as every check passes, on final, when the challenge
+ * expires, or with reason 'timing_mismatch' when chunk arrival times drift
+ * away from the client timestamps (a recorded trace played back at the wrong speed).
+ * Chunks sent after that get the same result again.
+ *
+ * Malformed chunks get 400 with details and are logged like rejected
+ * /api/verify requests; the stream stays open. Chunks count against a per-IP
+ * chunk limit (429). A chunk sent while the previous one of the same stream
+ * is still being processed gets 409.
+ */
+app.post('/api/stream/:streamId', async (req, res) => {
+  try {
+    const { final } = req.body;
+    const current = await streams.get(req.params.streamId);
+    if (!current) {
+      return res.status(404).json({
+        error: 'Stream not found'
+      });
+    }
+    // Before looking at the body: another origin learns nothing about the stream
+    if (requestOrigin(req) !== current.challenge.origin) {
+      return res.status(403).json({
+        error: 'Origin does not match the stream'
+      });
+    }
+    if (current.done) {
+      return res.json({ done: true, ...current.result });
+    }
+
+    const decision = createDecision(req, res, {
+      recordId: current.recordId,
+      challengeId: current.challenge.challengeId,
+      clientDetectionVersion: current.clientDetectionVersion
     });
+    decision.challenge = current.challenge;
+    decision.actionHash = current.action != null ? hashAction(current.action) : null;
 
+    const limit = await rateLimiter.checkChunk(req.ip);
+    if (!limit.allowed) {
+      return decision.rateLimited(limit);
+    }
+
+    // Each chunk must continue the trace received so far; only a final chunk may be empty
+    const { points, errors: traceErrors } = pointsFromBody(req.body);
+    const chunk = points === undefined && final === true ? [] : points;
+    let pointErrors = traceErrors;
+    if (pointErrors.length === 0) {
+      pointErrors = Array.isArray(chunk) && chunk.length === 0 && final !== true
+        ? [{ field: 'points', error: 'must contain at least one point' }]
+        : validatePoints(chunk, {}, { count: current.pointCount, firstT: current.firstT, lastT: current.lastT });
+    }
+    const areaErrors = pointErrors.length === 0 ? validateCaptureArea(chunk, current.challenge.area) : [];
+    if (pointErrors.length > 0) {
+      return decision.reject(400, 'invalid_points', {
+        error: 'Invalid points',
+        details: pointErrors
+      });
+    }
+    if (areaErrors.length > 0) {
+      return decision.reject(400, 'outside_capture_area', {
+        error: 'Points outside the capture area',
+        details: areaErrors
+      });
+    }
+
+    let session = current;
+    if (chunk.length > 0) {
+      const appended = await streams.append(current, chunk, {
+        hits: advanceTargetHits(current.hits, chunk, current.challenge),
+        windows: advanceWindows(current.windows, chunk, streamAnalysisOptions(current.challenge))
+      });
+      if (appended.status === 'finished') {
+        return res.json({ done: true, ...appended.session.result });
+      }
+      if (appended.status === 'conflict') {
+        return res.status(409).json({
+          error: 'Another chunk of this stream is being processed; send chunks one at a time'
+        });
+      }
+      if (appended.status === 'not_found') {
+        return res.status(404).json({
+          error: 'Stream not found'
+        });
+      }
+      if (appended.status === 'too_many_chunks') {
+        return decision.reject(400, 'too_many_chunks', {
+          error: `Streams take at most ${STREAM_CONFIG.maxChunks} chunks`
+        });
+      }
+      session = appended.session;
+    }
+
+    const { challenge } = session;
+
+    // The whole trace is only read back once, when the session finishes
+    let trace = null;
+    const loadTrace = async () => {
+      if (!trace) {
+        trace = await streams.points(session);
+        decision.movementHash = trace.length > 0 ? hashMovement(trace) : null;
+      }
+      return trace;
+    };
+
+    const finishWith = async (body) => {
+      await loadTrace();
+      if (!(await streams.finish(session, { ...body, streamId: session.streamId }))) {
+        // A chunk that arrived in the meantime decides instead
+        const latest = await streams.get(session.streamId);
+        if (latest && latest.done) return res.json({ done: true, ...latest.result });
+        return res.status(409).json({
+          error: 'Another chunk of this stream is being processed; send chunks one at a time'
+        });
+      }
+      if (trace.length > 0) metrics.verifyPoints.observe(trace.length);
+      return decision.respond({ done: true, streamId: session.streamId, ...body });
+    };
+
+    if (challenge.expiresAt < Date.now()) {
+      return finishWith({
+        verified: false,
+        reason: 'challenge_expired'
+      });
+    }
+
+    if (clockDrift(session.arrivals) > STREAM_CONFIG.maxClockDriftMs) {
+      decision.scored = true;
+      return finishWith({
+        verified: false,
+        reason: 'timing_mismatch',
+        clockDriftMs: clockDrift(session.arrivals)
+      });
+    }
+
+    // An untrusted event ends the session at once (scoreTrace fails it)
+    const progress = streamProgress(session);
+    if (progress.verified || final === true || chunk.some(p => p.isTrusted === false)) {
+      decision.scored = true;
+      return finishWith(await scoreTrace(await loadTrace(), challenge, {
+        recordId: session.recordId,
+        action: session.action,
+        actionHash: decision.actionHash
+      }));
+    }
+
+    delete progress.verified;
+    return res.json(progress);
   } catch (error) {
-    console.error('Verification error:', error);
+    console.error('Stream chunk error:', error);
+    metrics.verifyRequests.inc({ outcome: 'error', reason: 'internal_error' });
     return res.status(500).json({
       error: 'Internal server error'
     });
@@ -190,41 +1050,71 @@ app.post('/api/verify', (req, res) => {
 
 /**
  * POST /api/verify-signature
- * Verify a previously issued signature
+ * Verify a previously issued token (works on any instance with the same key)
+ *
+ * Request body:
+ *   - token: string returned by /api/verify
+ *   - secret: the site's secret key (required for tokens issued to a site)
+ *   - action: the action being authorized; must match the action the token was
+ *     issued for (omit only for tokens issued without one)
+ *
+ * Response:
+ *   - valid: boolean
+ *   - reason: string (if not valid), 'wrong_site' if the token belongs to another site,
+ *     'wrong_action' if it was issued for a different action, 'token_revoked'
+ *     if it was revoked with POST /api/revoke
+ *   - recordId, timestamp, expiresAt, detectionVersion, profile, siteKey,
+ *     origin, movementHash, actionHash (if valid)
  */
-app.post('/api/verify-signature', (req, res) => {
+app.post('/api/verify-signature', async (req, res) => {
   try {
-    const { sessionId, signature } = req.body;
+    const { token, secret, action } = req.body;
 
-    if (!sessionId || !signature) {
+    if (!token || typeof token !== 'string') {
+      metrics.signatureVerifications.inc({ result: 'missing_token' });
       return res.status(400).json({
-        error: 'Missing sessionId or signature'
+        error: 'Missing token'
       });
     }
 
-    const session = verifiedSessions.get(sessionId);
+    const result = verifyToken(keyring.getSecret, token, {
+      action,
+      revocations: await revocations.list()
+    });
 
-    if (!session) {
+    if (!result.valid) {
+      metrics.signatureVerifications.inc({ result: result.reason });
       return res.json({
         valid: false,
-        reason: 'session_not_found'
+        reason: result.reason
       });
     }
 
-    if (session.expiresAt < Date.now()) {
-      verifiedSessions.delete(sessionId);
-      return res.json({
-        valid: false,
-        reason: 'session_expired'
-      });
+    // Site tokens are only valid for the site's own secret key, and a
+    // secret key only accepts its own site's tokens
+    if (result.payload.siteKey || secret) {
+      const site = await sites.get(result.payload.siteKey);
+      if (!site || !sites.checkSecret(site, secret)) {
+        metrics.signatureVerifications.inc({ result: 'wrong_site' });
+        return res.json({
+          valid: false,
+          reason: 'wrong_site'
+        });
+      }
     }
 
-    const valid = session.signature === signature;
-
+    metrics.signatureVerifications.inc({ result: 'valid' });
     return res.json({
-      valid,
-      recordId: valid ? session.recordId : null,
-      timestamp: valid ? session.timestamp : null
+      valid: true,
+      recordId: result.payload.recordId,
+      timestamp: result.payload.timestamp,
+      expiresAt: result.payload.expiresAt,
+      detectionVersion: result.payload.detectionVersion,
+      profile: result.payload.profile || null,
+      siteKey: result.payload.siteKey || null,
+      origin: result.payload.origin || null,
+      movementHash: result.payload.movementHash,
+      actionHash: result.payload.actionHash || null
     });
 
   } catch (error) {
@@ -235,6 +1125,404 @@ app.post('/api/verify-signature', (req, res) => {
   }
 });
 
+/**
+ * POST /api/revoke
+ * Revoke tokens before they expire. Tokens issued after the call are not
+ * affected, so revoking a detectionVersion only kills tokens already out.
+ * Site secret keys can only revoke their own site's tokens.
+ *
+ * Request body (exactly one of):
+ *   - sessionId: revoke one token (sessionId from /api/verify)
+ *   - recordId: revoke every token issued for this recordId
+ *   - detectionVersion: revoke every token issued under this detection version
+ * Plus:
+ *   - siteKey: only tokens of this site (admin tokens; default every site)
+ *   - reason: optional note, kept with the rule
+ *
+ * Response:
+ *   - revocation: { id, type, value, siteKey, reason, createdAt, expiresAt }
+ */
+app.post('/api/revoke', adminAuth.requireScope('write'), withSite, async (req, res) => {
+  try {
+    const given = REVOCATION_TYPES.filter(type => req.body[type] !== undefined);
+    if (given.length !== 1) {
+      return res.status(400).json({ error: `Give exactly one of ${REVOCATION_TYPES.join(', ')}` });
+    }
+    const type = given[0];
+    const value = req.body[type];
+    if (typeof value !== 'string' || !value) {
+      return res.status(400).json({ error: `${type} must be a non-empty string` });
+    }
+    if (req.body.reason !== undefined && typeof req.body.reason !== 'string') {
+      return res.status(400).json({ error: 'reason must be a string' });
+    }
+
+    const revocation = await revocations.revoke({
+      type,
+      value,
+      siteKey: req.siteKey,
+      reason: req.body.reason
+    });
+    adminAuth.audit(req, 'revoke', revocation);
+    res.json({ success: true, revocation });
+  } catch (error) {
+    console.error('Revoke error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/revocations
+ * Revocation rules in force, for offline validators
+ * (verifyToken(..., { revocations })). Site secret keys get the rules that
+ * apply to their site.
+ */
+app.get('/api/revocations', adminAuth.requireScope('read'), async (req, res) => {
+  try {
+    res.json({ revocations: await revocations.list(req.admin.site || undefined) });
+  } catch (error) {
+    console.error('List revocations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/ledger/verify
+ * Check the whole signature ledger chain
+ *
+ * Query:
+ *   - head: Optional head hash recorded earlier; a mismatch means the tail was cut off
+ *
+ * Response:
+ *   - valid, length, head, error: { seq, reason } for the first bad entry
+ */
+app.get('/api/admin/ledger/verify', adminAuth.requireScope('read', { allowSiteKeys: false }), (req, res) => {
+  try {
+    res.json(ledger.verify(req.query.head));
+  } catch (error) {
+    console.error('Ledger verify error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/ledger/proof/:signature
+ * Prove that a signature was issued, long after its token expired
+ * (site secret keys only see their own site's signatures)
+ *
+ * Response:
+ *   - issued: boolean
+ *   - entry: { seq, timestamp, signature, payload, prevHash, hash } (if issued)
+ *   - payload: the parsed signed payload (recordId, movementHash, siteKey, ...)
+ *   - signatureValid: HMAC check of payload against signature, or null once the key is retired
+ *   - head: { seq, hash, length } of the ledger now
+ */
+app.get('/api/admin/ledger/proof/:signature', adminAuth.requireScope('read'), (req, res) => {
+  try {
+    const entry = ledger.find(req.params.signature);
+    const payload = entry ? JSON.parse(entry.payload) : null;
+
+    if (!entry || (req.admin.site && payload.siteKey !== req.admin.site)) {
+      return res.json({ issued: false, head: ledger.head() });
+    }
+
+    const secret = keyring.getSecret(payload.kid);
+    res.json({
+      issued: true,
+      entry,
+      payload,
+      signatureValid: secret ? verifySignature(secret, entry.signature, entry.payload) : null,
+      head: ledger.head()
+    });
+  } catch (error) {
+    console.error('Ledger proof error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/keys
+ * List signing keys (IDs and lifetimes only, never secrets)
+ */
+app.get('/api/admin/keys', adminAuth.requireScope('read', { allowSiteKeys: false }), (req, res) => {
+  keyring.prune();
+  res.json({ keys: keyring.list() });
+});
+
+/**
+ * POST /api/admin/rotate-key
+ * Start signing with a new key. The previous key keeps verifying until
+ * the tokens it signed have expired.
+ */
+app.post('/api/admin/rotate-key', adminAuth.requireScope('write', { allowSiteKeys: false }), (req, res) => {
+  try {
+    const rotated = keyring.rotate();
+    adminAuth.audit(req, 'rotate_key', rotated);
+    res.json({ success: true, ...rotated, keys: keyring.list() });
+  } catch (error) {
+    console.error('Rotate key error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ * Most recent admin actions (query: limit, default 100)
+ */
+app.get('/api/admin/audit', adminAuth.requireScope('read', { allowSiteKeys: false }), (req, res) => {
+  const limit = Math.min(1000, parseInt(req.query.limit, 10) || 100);
+  res.json({ entries: adminAuth.readAudit(limit) });
+});
+
+/**
+ * POST /api/admin/sites
+ * Register a site
+ *
+ * Request body:
+ *   - name: string
+ *   - origins: Array of origins allowed to use the site key, e.g. ['https://shop.example'] ('*' = any)
+ *   - profile: Optional verification profile (default profile if omitted)
+ *
+ * Response:
+ *   - site: { siteKey, name, origins, profile, createdAt }
+ *   - secretKey: string (only returned here; store it on the site's backend)
+ */
+app.post('/api/admin/sites', adminAuth.requireScope('write', { allowSiteKeys: false }), async (req, res) => {
+  try {
+    const { name, origins, profile } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!Array.isArray(origins) || origins.length === 0) {
+      return res.status(400).json({ error: "origins must list at least one origin (or '*')" });
+    }
+    const normalized = origins.map(normalizeOrigin);
+    if (normalized.includes(null)) {
+      return res.status(400).json({ error: 'origins must be http(s) origins like https://example.com' });
+    }
+    if (profile && !profiles.get(profile)) {
+      return res.status(400).json({ error: 'Unknown profile' });
+    }
+
+    const created = await sites.create({ name, origins: normalized, profile });
+    adminAuth.audit(req, 'create_site', created.site);
+
+    res.json(created);
+  } catch (error) {
+    console.error('Create site error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/sites
+ * List registered sites (no secrets)
+ */
+app.get('/api/admin/sites', adminAuth.requireScope('read', { allowSiteKeys: false }), async (req, res) => {
+  try {
+    res.json({ sites: await sites.list() });
+  } catch (error) {
+    console.error('List sites error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/admin/sites/:siteKey/rotate-secret
+ * Issue a new secret key for a site; the old one stops working immediately
+ */
+app.post('/api/admin/sites/:siteKey/rotate-secret', adminAuth.requireScope('write', { allowSiteKeys: false }), async (req, res) => {
+  try {
+    const secretKey = await sites.rotateSecret(req.params.siteKey);
+    if (!secretKey) {
+      return res.status(404).json({ error: 'Unknown site key' });
+    }
+    adminAuth.audit(req, 'rotate_site_secret', { siteKey: req.params.siteKey });
+    res.json({ siteKey: req.params.siteKey, secretKey });
+  } catch (error) {
+    console.error('Rotate site secret error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/admin/sites/:siteKey
+ * Remove a site. Its tokens stop validating; its stored data is kept on disk.
+ */
+app.delete('/api/admin/sites/:siteKey', adminAuth.requireScope('write', { allowSiteKeys: false }), async (req, res) => {
+  try {
+    const site = await sites.get(req.params.siteKey);
+    if (!site || !(await sites.remove(req.params.siteKey))) {
+      return res.status(404).json({ error: 'Unknown site key' });
+    }
+    adminAuth.audit(req, 'delete_site', publicSite(site));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete site error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/admin/webhooks
+ * Register a webhook for /api/verify outcomes
+ *
+ * Request body:
+ *   - url: http(s) URL that receives the signed POSTs; must not resolve to a
+ *     loopback, private or link-local address (see WEBHOOK_ALLOW_PRIVATE_URLS)
+ *   - events: Array of 'pass', 'fail', 'aiDetected'
+ *   - siteKey: Optional site to limit it to (admin tokens only; site secret
+ *     keys always register for their own site)
+ *
+ * Response:
+ *   - webhook: { id, url, events, siteKey, createdAt }
+ *   - secret: signing secret (only returned here)
+ */
+app.post('/api/admin/webhooks', adminAuth.requireScope('write'), withSite, async (req, res) => {
+  try {
+    const { url, events } = req.body;
+
+    const urlError = typeof url === 'string' ? await checkWebhookUrl(url, webhookOptions) : 'url must be an http(s) URL';
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+    if (!Array.isArray(events) || events.length === 0 || !events.every(e => WEBHOOK_EVENTS.includes(e))) {
+      return res.status(400).json({ error: `events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')}` });
+    }
+
+    const created = await webhooks.create({ url, events: [...new Set(events)], siteKey: req.siteKey });
+    adminAuth.audit(req, 'create_webhook', created.webhook);
+
+    res.json(created);
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/webhooks
+ * List webhooks (site secret keys only see their own site's)
+ */
+app.get('/api/admin/webhooks', adminAuth.requireScope('read'), async (req, res) => {
+  try {
+    const siteKey = req.admin.site || undefined;
+    res.json({ webhooks: await webhooks.list(siteKey) });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Look up a webhook the request may manage (404 for another site's webhook)
+ */
+async function findWebhook(req, res) {
+  const webhook = await webhooks.get(req.params.id);
+  if (!webhook || (req.admin.site && webhook.siteKey !== req.admin.site)) {
+    res.status(404).json({ error: 'Webhook not found' });
+    return null;
+  }
+  return webhook;
+}
+
+/**
+ * GET /api/admin/webhooks/:id/deliveries
+ * Delivery log for a webhook, most recent attempt first
+ */
+app.get('/api/admin/webhooks/:id/deliveries', adminAuth.requireScope('read'), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    res.json({ webhook, deliveries: await webhooks.deliveries(webhook.id) });
+  } catch (error) {
+    console.error('Webhook deliveries error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/admin/webhooks/:id
+ * Remove a webhook; pending retries are dropped
+ */
+app.delete('/api/admin/webhooks/:id', adminAuth.requireScope('write'), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req, res);
+    if (!webhook) return;
+    await webhooks.remove(webhook.id);
+    adminAuth.audit(req, 'delete_webhook', webhook);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/admin/decisions
+ * Search the decision log, most recent first (site secret keys only see their own site's)
+ *
+ * Query:
+ *   - from, to: Time range as unix ms or ISO 8601 (default: everything up to now)
+ *   - outcome: pass, fail, invalid or rate_limited
+ *   - recordId: Only decisions for this recordId
+ *   - siteKey: Only decisions for this site ('none' for requests without a site)
+ *   - limit: Maximum entries (default 100, max 1000)
+ *
+ * Response:
+ *   - decisions: Array of decision log entries
+ */
+app.get('/api/admin/decisions', adminAuth.requireScope('read'), (req, res) => {
+  try {
+    // Beyond 8.64e15 ms a Date is invalid and can't name a log file
+    const MAX_TIME = 8.64e15;
+    const parseTime = (value) => {
+      if (value === undefined) return null;
+      if (typeof value !== 'string') return NaN;
+      const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+      return Number.isFinite(time) && time >= 0 && time <= MAX_TIME ? time : NaN;
+    };
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+      return res.status(400).json({ error: 'from and to must be unix ms or ISO 8601 times between 1970 and 275760' });
+    }
+    if (from !== null && to !== null && from > to) {
+      return res.status(400).json({ error: 'from must not be after to' });
+    }
+
+    let siteKey;
+    if (req.admin.site) {
+      siteKey = req.admin.site;
+    } else if (req.query.siteKey) {
+      siteKey = req.query.siteKey === 'none' ? null : req.query.siteKey;
+    }
+
+    res.json({
+      decisions: decisionLog.query({
+        from,
+        to,
+        outcome: req.query.outcome,
+        recordId: req.query.recordId,
+        siteKey,
+        limit: parseInt(req.query.limit, 10) || 100
+      })
+    });
+  } catch (error) {
+    console.error('Decision log error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /metrics
+ * Verification metrics in Prometheus text format (counters reset on restart)
+ */
+app.get('/metrics', (req, res) => {
+  res.type(metrics.contentType).send(metrics.render());
+});
+
 /**
  * GET /api/health
  * Health check endpoint
@@ -243,7 +1531,20 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     serverSideVerification: true,
-    activeSessions: verifiedSessions.size
+    statelessTokens: true,
+    store: STORE_TYPE,
+    adminAuth: adminAuth.enabled,
+    defaultProfile: profiles.defaultProfile,
+    profiles: profiles.list(),
+    rateLimits: {
+      windowMs: rateLimiter.config.windowMs,
+      perIp: rateLimiter.config.perIp,
+      perRecordId: rateLimiter.config.perRecordId,
+      chunksPerIp: rateLimiter.config.chunksPerIp,
+      failuresBeforeLockout: rateLimiter.config.failuresBeforeLockout,
+      baseCooldownMs: rateLimiter.config.baseCooldownMs,
+      maxCooldownMs: rateLimiter.config.maxCooldownMs
+    }
   });
 });
 
@@ -256,9 +1557,14 @@ app.get('/api/health', (req, res) => {
  *   - passed: boolean (true if the test passed verification)
  *   - points: array of {x, y, t} movement points (optional but recommended)
  *   - metrics: object (optional metrics for analysis)
+ *   - siteKey: Optional site to record for (admin tokens only)
+ *
+ * Requires an admin token with 'write' scope, or a site's secret key
+ * (which records into that site's matrix).
  */
-app.post('/api/record-result', (req, res) => {
+app.post('/api/record-result', adminAuth.requireScope('write'), withSite, (req, res) => {
   try {
+    const confusionMatrix = getConfusionMatrix(req.siteKey);
     const { isHuman, passed, points, metrics, detectionVersion, detectionConfig } = req.body;
 
     if (typeof isHuman !== 'boolean' || typeof passed !== 'boolean') {
@@ -282,7 +1588,7 @@ app.post('/api/record-result', (req, res) => {
 
     // Save movement data to separate file if provided
     if (points && Array.isArray(points) && points.length > 0) {
-      saveMovement(movementId, {
+      saveMovement(req.siteKey, movementId, {
         id: movementId,
         isHuman,
         passed,
@@ -318,7 +1624,8 @@ app.post('/api/record-result', (req, res) => {
     }
 
     // Save to file
-    saveConfusionMatrix();
+    saveConfusionMatrix(req.siteKey);
+    adminAuth.audit(req, 'record_result', { siteKey: req.siteKey, movementId, isHuman, passed, pointCount: record.pointCount });
 
     return res.json({
       success: true,
@@ -338,9 +1645,14 @@ app.post('/api/record-result', (req, res) => {
 
 /**
  * GET /api/confusion-matrix
- * Get the current confusion matrix
+ * Get the current confusion matrix. The default matrix is public; a site's
+ * matrix (?siteKey=) needs its secret key or an admin token with 'read' scope.
  */
-app.get('/api/confusion-matrix', (req, res) => {
+app.get('/api/confusion-matrix', (req, res, next) => {
+  const isSiteRequest = req.query.siteKey || (req.get('Authorization') || '').startsWith('Bearer ');
+  return isSiteRequest ? adminAuth.requireScope('read')(req, res, next) : next();
+}, withSite, (req, res) => {
+  const confusionMatrix = getConfusionMatrix(req.siteKey);
   const { humanPassed, humanFailed, botPassed, botFailed } = confusionMatrix;
 
   const totalHuman = humanPassed + humanFailed;
@@ -376,9 +1688,18 @@ app.get('/api/confusion-matrix', (req, res) => {
 
 /**
  * POST /api/reset-matrix
- * Reset the confusion matrix
+ * Reset the confusion matrix (admin 'write' scope or the site's secret key)
  */
-app.post('/api/reset-matrix', (req, res) => {
+app.post('/api/reset-matrix', adminAuth.requireScope('write'), withSite, (req, res) => {
+  const confusionMatrix = getConfusionMatrix(req.siteKey);
+  adminAuth.audit(req, 'reset_matrix', {
+    siteKey: req.siteKey,
+    humanPassed: confusionMatrix.humanPassed,
+    humanFailed: confusionMatrix.humanFailed,
+    botPassed: confusionMatrix.botPassed,
+    botFailed: confusionMatrix.botFailed
+  });
+
   confusionMatrix.humanPassed = 0;
   confusionMatrix.humanFailed = 0;
   confusionMatrix.botPassed = 0;
@@ -386,7 +1707,7 @@ app.post('/api/reset-matrix', (req, res) => {
   confusionMatrix.humanResults = [];
   confusionMatrix.botResults = [];
 
-  saveConfusionMatrix();
+  saveConfusionMatrix(req.siteKey);
   res.json({ success: true, message: 'Confusion matrix reset' });
 });
 
@@ -397,12 +1718,16 @@ app.post('/api/reset-matrix', (req, res) => {
  * Query params:
  *   - type: 'human', 'bot', or 'all' (default: 'all')
  *   - result: 'pass', 'fail', or 'all' (default: 'all')
+ *   - siteKey: site whose movements to list (admin tokens only)
+ *
+ * Requires an admin token with 'read' scope (raw traces could be replayed),
+ * or a site's secret key for its own movements.
  */
-app.get('/api/movements', (req, res) => {
+app.get('/api/movements', adminAuth.requireScope('read'), withSite, (req, res) => {
   try {
     const { type = 'all', result = 'all' } = req.query;
 
-    const files = fs.readdirSync(MOVEMENTS_DIR)
+    const files = fs.readdirSync(movementsDir(req.siteKey))
       .filter(f => f.endsWith('.json'))
       .filter(f => {
         if (type !== 'all') {
@@ -443,14 +1768,15 @@ app.get('/api/movements', (req, res) => {
 
 /**
  * GET /api/movements/:id
- * Get a specific movement session with full point data
+ * Get a specific movement session with full point data (admin 'read' scope)
  */
-app.get('/api/movements/:id', (req, res) => {
+app.get('/api/movements/:id', adminAuth.requireScope('read'), withSite, (req, res) => {
   try {
     const { id } = req.params;
-    const filename = path.join(MOVEMENTS_DIR, `${id}.json`);
+    const filename = path.join(movementsDir(req.siteKey), `${id}.json`);
 
-    if (!fs.existsSync(filename)) {
+    // IDs look like human_pass_1700000000000; anything else could escape the directory
+    if (!/^(human|bot)_(pass|fail)_\d+$/.test(id) || !fs.existsSync(filename)) {
       return res.status(404).json({ error: 'Movement not found' });
     }
 
@@ -464,12 +1790,14 @@ app.get('/api/movements/:id', (req, res) => {
 
 /**
  * DELETE /api/movements
- * Delete all movement files (called with reset-matrix optionally)
+ * Delete all movement files (called with reset-matrix optionally, admin 'write' scope)
  */
-app.delete('/api/movements', (req, res) => {
+app.delete('/api/movements', adminAuth.requireScope('write'), withSite, (req, res) => {
   try {
-    const files = fs.readdirSync(MOVEMENTS_DIR).filter(f => f.endsWith('.json'));
-    files.forEach(f => fs.unlinkSync(path.join(MOVEMENTS_DIR, f)));
+    const dir = movementsDir(req.siteKey);
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+    files.forEach(f => fs.unlinkSync(path.join(dir, f)));
+    adminAuth.audit(req, 'delete_movements', { siteKey: req.siteKey, deleted: files.length });
     res.json({ success: true, deleted: files.length });
   } catch (error) {
     console.error('Delete movements error:', error);
@@ -534,9 +1862,9 @@ app.get('/api/analyses/:version', (req, res) => {
 
 /**
  * POST /api/analyses
- * Create a new analysis from current confusion matrix data
+ * Create a new analysis from current confusion matrix data (admin 'write' scope)
  */
-app.post('/api/analyses', (req, res) => {
+app.post('/api/analyses', adminAuth.requireScope('write', { allowSiteKeys: false }), (req, res) => {
   try {
     const { keyFindings, changes, metricComparison, expectedImprovement, detectionVersion } = req.body;
 
@@ -549,7 +1877,7 @@ app.post('/api/analyses', (req, res) => {
       ? Math.max(...data.analyses.map(a => a.version)) + 1
       : 1;
 
-    const { humanPassed, humanFailed, botPassed, botFailed } = confusionMatrix;
+    const { humanPassed, humanFailed, botPassed, botFailed } = getConfusionMatrix(null);
     const totalHuman = humanPassed + humanFailed;
     const totalBot = botPassed + botFailed;
 
@@ -579,6 +1907,7 @@ app.post('/api/analyses', (req, res) => {
 
     data.analyses.push(newAnalysis);
     saveAnalyses(data);
+    adminAuth.audit(req, 'create_analysis', { version: nextVersion });
 
     res.json({ success: true, analysis: newAnalysis });
   } catch (error) {
@@ -587,9 +1916,18 @@ app.post('/api/analyses', (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`
+// Flush the store before exiting so state survives restarts
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    await store.close();
+    process.exit(0);
+  });
+}
+
+// Start server (tests load the app and listen on a port of their own)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`
 ╔═══════════════════════════════════════════════════════════╗
 ║           AI Mouse Check - Verification Server            ║
 ╠═══════════════════════════════════════════════════════════╣
@@ -597,11 +1935,15 @@ app.listen(PORT, () => {
 ║  Demo page: http://localhost:${PORT}/index.html              ║
 ║                                                           ║
 ║  Endpoints:                                               ║
+║    POST /api/challenge       - Issue a target challenge   ║
 ║    POST /api/verify          - Verify movement data       ║
+║    POST /api/stream          - Stream movement data       ║
 ║    POST /api/verify-signature - Verify a signature        ║
 ║    GET  /api/health          - Health check               ║
+║    GET  /metrics             - Prometheus metrics         ║
 ╚═══════════════════════════════════════════════════════════╝
-  `);
-});
+    `);
+  });
+}
 
 module.exports = app;
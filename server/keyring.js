@@ -0,0 +1,201 @@
+/**
+ * AI Mouse Check - Signing keyring with key IDs
+ * One key signs new tokens; older keys keep verifying until the tokens they
+ * signed have expired, so rotation never invalidates outstanding tokens.
+ * Instances sharing the keyring file re-read it whenever it has changed, so
+ * a rotation done on one is used by all of them for the next token. The file
+ * is replaced in one rename, never rewritten in place, and a file that can't
+ * be parsed stops the server instead of being replaced with a fresh key
+ * (which would invalidate every outstanding token).
+ *
+ * Usage:
+ *   const { loadKeyring } = require('./keyring');
+ *   const keyring = loadKeyring({ file: 'keyring.json', retireAfter: TOKEN_TTL });
+ *   const { kid, secret } = keyring.signingKey();
+ *   keyring.rotate();
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { TOKEN_TTL } = require('./detection');
+
+/**
+ * Generate a new key entry
+ * @returns {Object} { kid, secret, createdAt, retiresAt }
+ */
+function generateKey() {
+  const createdAt = Date.now();
+  return {
+    kid: createdAt.toString(36) + '-' + crypto.randomBytes(3).toString('hex'),
+    secret: crypto.randomBytes(32).toString('hex'),
+    createdAt,
+    retiresAt: null
+  };
+}
+
+/**
+ * Check the parsed contents of a keyring file
+ * @param {*} data - Parsed JSON
+ * @returns {boolean} Whether it has keys and its active key among them
+ */
+function isKeyring(data) {
+  return Boolean(data) && Array.isArray(data.keys) &&
+    data.keys.every(k => k && typeof k.kid === 'string' && typeof k.secret === 'string' && k.secret) &&
+    data.keys.some(k => k.kid === data.activeKid);
+}
+
+/**
+ * Load the keyring from disk, seeding it if the file doesn't exist yet.
+ * Seed order: VERIFICATION_SECRET (kid 'default'), then a random key.
+ * @param {Object} options - { file, seedSecret, retireAfter (ms a rotated-out key
+ *   keeps verifying, default TOKEN_TTL) }
+ * @returns {Object} Keyring with signingKey, getSecret, rotate, list, prune
+ * @throws {Error} If the file exists but is not a readable keyring
+ */
+function loadKeyring(options = {}) {
+  const { file, seedSecret } = options;
+  const retireAfter = options.retireAfter ?? TOKEN_TTL;
+  if (!Number.isFinite(retireAfter) || retireAfter <= 0) {
+    throw new Error('Keyring retireAfter must be a positive number of ms');
+  }
+  let state = null;
+  let loadedVersion = null; // mtime and size of the file as last read or written
+
+  const versionOf = () => {
+    try {
+      const stat = fs.statSync(file);
+      return stat.mtimeMs + ':' + stat.size;
+    } catch (e) {
+      return null;
+    }
+  };
+
+  // null if there is no file yet; throws if there is one but it isn't a keyring
+  function read() {
+    if (!file || !fs.existsSync(file)) return null;
+    const version = versionOf();
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      data = null;
+    }
+    if (!isKeyring(data)) {
+      throw new Error(`Keyring file ${file} is corrupt; restore it from a backup (removing it creates a new key and invalidates every outstanding token)`);
+    }
+    loadedVersion = version;
+    return data;
+  }
+
+  function save() {
+    if (!file) return;
+    try {
+      // Write then rename, so other instances never read a half-written keyring
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state, null, 2), { mode: 0o600 });
+      fs.renameSync(tmp, file);
+      loadedVersion = versionOf();
+    } catch (e) {
+      console.error('Error saving keyring:', e);
+    }
+  }
+
+  // Pick up a rotation or prune written by another instance (one stat when nothing changed)
+  function refresh() {
+    if (!file) return;
+    const version = versionOf();
+    if (version === null || version === loadedVersion) return;
+    try {
+      state = read();
+    } catch (e) {
+      // Keep signing with the keys already loaded rather than failing every request
+      console.error('Error reloading keyring:', e);
+      loadedVersion = version;
+    }
+  }
+
+  state = read();
+  if (!state) {
+    const key = seedSecret
+      ? { kid: 'default', secret: seedSecret, createdAt: Date.now(), retiresAt: null }
+      : generateKey();
+    state = { activeKid: key.kid, keys: [key] };
+    save();
+  }
+
+  /**
+   * Drop keys whose retirement time has passed
+   */
+  function prune() {
+    refresh();
+    const now = Date.now();
+    const before = state.keys.length;
+    state.keys = state.keys.filter(k => k.kid === state.activeKid || !k.retiresAt || k.retiresAt > now);
+    if (state.keys.length !== before) save();
+  }
+
+  /**
+   * Key that signs new tokens
+   * @returns {Object} { kid, secret }
+   */
+  function signingKey() {
+    refresh();
+    const key = state.keys.find(k => k.kid === state.activeKid);
+    return { kid: key.kid, secret: key.secret };
+  }
+
+  /**
+   * Secret for a key ID, or null if unknown or retired
+   * @param {string} kid - Key ID from a token
+   * @returns {string|null} Secret
+   */
+  function getSecret(kid) {
+    refresh();
+    const key = state.keys.find(k => k.kid === kid);
+    if (!key) return null;
+    if (key.retiresAt && key.retiresAt < Date.now()) return null;
+    return key.secret;
+  }
+
+  /**
+   * Make a new key the signing key. The previous key keeps verifying until
+   * every token it signed has expired.
+   * @returns {Object} { kid, previousKid }
+   */
+  function rotate() {
+    prune();
+    const previous = state.keys.find(k => k.kid === state.activeKid);
+    const key = generateKey();
+    previous.retiresAt = Date.now() + retireAfter;
+    state.keys.push(key);
+    state.activeKid = key.kid;
+    save();
+    return { kid: key.kid, previousKid: previous.kid };
+  }
+
+  /**
+   * Key metadata without secrets
+   * @returns {Array} Array of { kid, active, createdAt, retiresAt }
+   */
+  function list() {
+    refresh();
+    return state.keys.map(k => ({
+      kid: k.kid,
+      active: k.kid === state.activeKid,
+      createdAt: k.createdAt,
+      retiresAt: k.retiresAt
+    }));
+  }
+
+  return {
+    signingKey,
+    getSecret,
+    rotate,
+    list,
+    prune
+  };
+}
+
+module.exports = {
+  loadKeyring
+};
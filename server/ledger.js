@@ -0,0 +1,265 @@
+/**
+ * AI Mouse Check - Hash-chained ledger of issued signatures
+ * Every signature /api/verify issues is appended to a JSONL file together
+ * with the exact payload it signs. Each entry includes the hash of the
+ * previous one, so deleting, reordering or editing any entry breaks every
+ * hash after it. Tokens expire; the ledger entry is the long-term proof
+ * that a signature was issued.
+ *
+ * Instances may share one ledger file on a shared disk. Appends take a lock
+ * file (<file>.lock) and first read whatever other instances appended, so
+ * the chain never forks. The lock relies on O_EXCL, which network file
+ * systems without proper locking (older NFS) don't honor.
+ *
+ * Entry:
+ *   { seq, timestamp, signature, payload, prevHash, hash }
+ *   hash = sha256 of the entry without "hash" (fields in this order)
+ *
+ * Usage:
+ *   const { createLedger, verifyChain } = require('./ledger');
+ *   const ledger = createLedger({ file: 'ledger.jsonl' });
+ *   ledger.append({ signature, payload });
+ *   ledger.find(signature);       // entry or null
+ *   ledger.verify();              // { valid, length, head, error }
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+const LEDGER_CONFIG = {
+  lockTimeoutMs: 2000,             // Give up on an append after waiting this long for the lock
+  staleLockMs: 10000,              // A lock this old was left behind by a crashed instance
+  lockRetryMs: 5                   // Pause between attempts to take the lock
+};
+
+const pause = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+/**
+ * Hash an entry (everything but its own hash)
+ * @param {Object} entry - Ledger entry
+ * @returns {string} Hex SHA-256
+ */
+function hashEntry(entry) {
+  return crypto.createHash('sha256').update(JSON.stringify({
+    seq: entry.seq,
+    timestamp: entry.timestamp,
+    signature: entry.signature,
+    payload: entry.payload,
+    prevHash: entry.prevHash
+  })).digest('hex');
+}
+
+/**
+ * Check a chain of entries from the first one on
+ * @param {Array} entries - Entries in file order
+ * @param {string} expectedHead - Optional head hash recorded elsewhere; catches a truncated tail
+ * @returns {Object} { valid, length, head, error: { seq, reason } | null }
+ */
+function verifyChain(entries, expectedHead) {
+  let prevHash = GENESIS_HASH;
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    const fail = (reason) => ({ valid: false, length: entries.length, head: prevHash, error: { seq: i, reason } });
+
+    if (!entry || entry.seq !== i) return fail('missing_or_reordered_entry');
+    if (entry.prevHash !== prevHash) return fail('broken_link');
+    if (entry.hash !== hashEntry(entry)) return fail('entry_modified');
+    prevHash = entry.hash;
+  }
+
+  if (expectedHead && expectedHead !== prevHash) {
+    return { valid: false, length: entries.length, head: prevHash, error: { seq: entries.length, reason: 'head_mismatch' } };
+  }
+
+  return { valid: true, length: entries.length, head: prevHash, error: null };
+}
+
+/**
+ * Read a ledger file
+ * @param {string} file - Path to the JSONL file
+ * @returns {Array} Entries (null for a line that isn't valid JSON)
+ */
+function readLedger(file) {
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => {
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      return null;
+    }
+  });
+}
+
+/**
+ * Open (or start) the ledger file
+ * @param {Object} options - { file } plus overrides for LEDGER_CONFIG
+ * @returns {Object} Ledger with append, find, head and verify
+ */
+function createLedger(options = {}) {
+  const config = { ...LEDGER_CONFIG, ...options };
+  const { file } = config;
+  const lockFile = file + '.lock';
+
+  // Signatures are looked up by byte offset so entries aren't kept in memory
+  const index = new Map(); // signature -> { offset, length }
+  let size = 0;            // Bytes of the file read so far (always up to a newline)
+  let head = { seq: -1, hash: GENESIS_HASH };
+
+  /**
+   * Index the complete lines other writers (or a previous run) appended
+   * since the file was last read
+   */
+  function catchUp() {
+    let fd;
+    try {
+      fd = fs.openSync(file, 'r');
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+    try {
+      const total = fs.fstatSync(fd).size;
+      if (total < size) {
+        throw new Error(`Ledger ${file} shrank from ${size} to ${total} bytes; it was truncated or replaced`);
+      }
+      if (total === size) return;
+
+      const content = Buffer.alloc(total - size);
+      fs.readSync(fd, content, 0, content.length, size);
+      let start = 0;
+      let end;
+      // A line without its newline is still being written
+      while ((end = content.indexOf(0x0a, start)) !== -1) {
+        try {
+          const entry = JSON.parse(content.slice(start, end).toString('utf8'));
+          index.set(entry.signature, { offset: size + start, length: end - start });
+          head = { seq: entry.seq, hash: entry.hash };
+        } catch (e) {
+          // Left for verify() to report
+        }
+        start = end + 1;
+      }
+      size += start;
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  function lock() {
+    const started = Date.now();
+    for (;;) {
+      try {
+        fs.closeSync(fs.openSync(lockFile, 'wx'));
+        return;
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e;
+      }
+      try {
+        if (Date.now() - fs.statSync(lockFile).mtimeMs > config.staleLockMs) {
+          fs.unlinkSync(lockFile);
+          continue;
+        }
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+        continue; // Released in the meantime
+      }
+      if (Date.now() - started > config.lockTimeoutMs) {
+        throw new Error(`Ledger ${file} is locked by another instance (${lockFile})`);
+      }
+      pause(config.lockRetryMs);
+    }
+  }
+
+  function unlock() {
+    try {
+      fs.unlinkSync(lockFile);
+    } catch (e) {
+      console.error('Error releasing ledger lock:', e);
+    }
+  }
+
+  if (fs.existsSync(file)) {
+    catchUp();
+    const check = verifyChain(readLedger(file));
+    if (!check.valid) {
+      console.error(`Ledger ${file} is broken at entry ${check.error.seq}: ${check.error.reason}`);
+    }
+  }
+
+  /**
+   * Append an issued signature after whatever other instances appended
+   * @param {Object} data - { signature, payload } as returned by generateSignature
+   * @returns {Object} The new entry
+   */
+  function append({ signature, payload }) {
+    lock();
+    try {
+      catchUp();
+      const entry = {
+        seq: head.seq + 1,
+        timestamp: Date.now(),
+        signature,
+        payload,
+        prevHash: head.hash
+      };
+      entry.hash = hashEntry(entry);
+
+      const line = JSON.stringify(entry);
+      fs.appendFileSync(file, line + '\n');
+      index.set(signature, { offset: size, length: Buffer.byteLength(line) });
+      size += Buffer.byteLength(line) + 1;
+      head = { seq: entry.seq, hash: entry.hash };
+      return entry;
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Entry for a signature
+   * @param {string} signature - Hex signature
+   * @returns {Object|null} Entry, or null if it was never issued
+   */
+  function find(signature) {
+    if (!index.has(signature)) catchUp();
+    const location = index.get(signature);
+    if (!location) return null;
+
+    const buffer = Buffer.alloc(location.length);
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, location.length, location.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    // The file was edited underneath us if the line there isn't this signature's
+    try {
+      const entry = JSON.parse(buffer.toString('utf8'));
+      return entry.signature === signature ? entry : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  return {
+    append,
+    find,
+    head: () => {
+      catchUp();
+      return { ...head, length: head.seq + 1 };
+    },
+    verify: (expectedHead) => verifyChain(readLedger(file), expectedHead)
+  };
+}
+
+module.exports = {
+  LEDGER_CONFIG,
+  GENESIS_HASH,
+  hashEntry,
+  verifyChain,
+  readLedger,
+  createLedger
+};
@@ -0,0 +1,133 @@
+/**
+ * AI Mouse Check - Prometheus metrics for verification traffic
+ * Counters and histograms kept in memory and rendered in the Prometheus
+ * text exposition format by GET /metrics. Values reset on restart, which
+ * Prometheus handles for counters.
+ *
+ * Usage:
+ *   const { createMetrics } = require('./metrics');
+ *   const metrics = createMetrics();
+ *   metrics.verifyRequests.inc({ outcome: 'pass', reason: 'none' });
+ *   res.type(metrics.contentType).send(metrics.render());
+ */
+
+const { SIGNAL_NAMES } = require('./detection');
+
+const METRICS_CONFIG = {
+  prefix: 'aimc_',
+  analyzeBuckets: [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],  // Seconds
+  pointBuckets: [15, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 20000]
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return '{' + entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',') + '}';
+}
+
+/**
+ * Counter with labels
+ */
+function createCounter(name, help, labelNames = []) {
+  const values = new Map(); // serialized labels -> { labels, value }
+
+  function inc(labels = {}, amount = 1) {
+    const picked = {};
+    for (const label of labelNames) picked[label] = labels[label] ?? '';
+    const key = JSON.stringify(picked);
+    const entry = values.get(key) || { labels: picked, value: 0 };
+    entry.value += amount;
+    values.set(key, entry);
+  }
+
+  function render() {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+    for (const { labels, value } of values.values()) {
+      lines.push(`${name}${formatLabels(labels)} ${value}`);
+    }
+    return lines.join('\n');
+  }
+
+  return { inc, render };
+}
+
+/**
+ * Histogram with fixed buckets (no labels)
+ */
+function createHistogram(name, help, buckets) {
+  const counts = buckets.map(() => 0);
+  let sum = 0;
+  let count = 0;
+
+  function observe(value) {
+    for (let i = 0; i < buckets.length; i++) {
+      if (value <= buckets[i]) counts[i]++;
+    }
+    sum += value;
+    count++;
+  }
+
+  function render() {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+    buckets.forEach((le, i) => lines.push(`${name}_bucket{le="${le}"} ${counts[i]}`));
+    lines.push(`${name}_bucket{le="+Inf"} ${count}`);
+    lines.push(`${name}_sum ${sum}`);
+    lines.push(`${name}_count ${count}`);
+    return lines.join('\n');
+  }
+
+  return { observe, render };
+}
+
+/**
+ * Create the verification metrics
+ * @param {Object} options - Overrides for METRICS_CONFIG
+ * @returns {Object} Instruments plus render() and contentType
+ */
+function createMetrics(options = {}) {
+  const config = { ...METRICS_CONFIG, ...options };
+  const p = config.prefix;
+
+  const verifyRequests = createCounter(p + 'verify_requests_total',
+    'Requests to /api/verify by outcome (pass, fail, invalid, rate_limited, error) and reason',
+    ['outcome', 'reason']);
+  const aiDetected = createCounter(p + 'verify_ai_detected_total',
+    'Verifications flagged as AI-controlled');
+  const signalTriggers = createCounter(p + 'signal_triggered_total',
+    'Bot signals that fired during analyzeMovement, by signal', ['signal']);
+  const analyzeDuration = createHistogram(p + 'analyze_movement_duration_seconds',
+    'Time spent in analyzeMovement', config.analyzeBuckets);
+  const verifyPoints = createHistogram(p + 'verify_points',
+    'Points per trace submitted to /api/verify', config.pointBuckets);
+  const signatureVerifications = createCounter(p + 'signature_verifications_total',
+    'Token checks by /api/verify-signature by result (valid or the rejection reason)', ['result']);
+  const detectionVersionMismatches = createCounter(p + 'detection_version_mismatch_total',
+    'Verifications whose client ran a different detection version than the server');
+
+  // Start every signal at zero so rate() works before the first trigger
+  for (const signal of SIGNAL_NAMES) signalTriggers.inc({ signal }, 0);
+  aiDetected.inc({}, 0);
+  detectionVersionMismatches.inc({}, 0);
+
+  const instruments = [verifyRequests, aiDetected, signalTriggers, analyzeDuration, verifyPoints, signatureVerifications,
+    detectionVersionMismatches];
+
+  return {
+    verifyRequests,
+    aiDetected,
+    signalTriggers,
+    analyzeDuration,
+    verifyPoints,
+    signatureVerifications,
+    detectionVersionMismatches,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8',
+    render: () => instruments.map(i => i.render()).join('\n\n') + '\n'
+  };
+}
+
+module.exports = {
+  METRICS_CONFIG,
+  createMetrics
+};
@@ -0,0 +1,113 @@
+/**
+ * AI Mouse Check - Express middleware for routes that need a verified human
+ * Reads the token /api/verify issued from a header or body field, checks it
+ * locally with the keyring or against the verification server, enforces
+ * freshness, action, profile and single use, and attaches the verification
+ * to req.humanVerification.
+ *
+ * Usage:
+ *   const { requireHumanVerification } = require('./server/middleware');
+ *
+ *   // Check against the verification server (or pass getSecret: keyring.getSecret
+ *   // to check locally with a copy of its keyring)
+ *   const verifier = { serverUrl: 'https://verify.example', secret: process.env.SITE_SECRET_KEY };
+ *
+ *   app.post('/invoices/:id/approve', requireHumanVerification({
+ *     ...verifier,
+ *     maxAge: 120000,
+ *     action: (req) => ({ type: 'approve_invoice', invoiceId: req.params.id, amount: req.body.amount }),
+ *     profile: 'strict'
+ *   }), handler);
+ */
+
+const { createClient, VerificationError } = require('./sdk');
+const { createStore } = require('./store');
+
+const MIDDLEWARE_CONFIG = {
+  header: 'x-human-verification',  // Token is read from this header,
+  bodyField: 'humanVerificationToken', // or else from this JSON body field
+  maxAge: 5 * 60000                // Tokens older than 5 minutes are refused
+};
+
+// Used tokens, shared by every route in the process unless a store is passed
+let defaultStore = null;
+
+/**
+ * Create a middleware that lets a request through only with a valid, unused token
+ * @param {Object} options
+ *   - getSecret: keyring.getSecret (or a single secret) to check tokens locally
+ *   - serverUrl: verification server to ask instead, e.g. 'https://verify.example'
+ *   - secret: the site's secret key, sent to serverUrl (required for site tokens)
+ *   - siteKey: only accept tokens issued to this site (required with getSecret for
+ *     site tokens: the keyring signs every site's tokens alike)
+ *   - revocations, adminToken: revocation rules for local checks (see ./sdk)
+ *   - maxAge: maximum token age in ms
+ *   - action: action the token must be bound to, or a function req => action
+ *     (without it, only tokens issued without an action are accepted)
+ *   - profile: required profile name, or an array of accepted ones
+ *   - store: store from ./store that remembers used tokens (in memory by default;
+ *     pass a shared one when several instances serve the same routes)
+ *   - header, bodyField: where to read the token
+ * @returns {Function} Express middleware
+ */
+function requireHumanVerification(options = {}) {
+  const config = { ...MIDDLEWARE_CONFIG, ...options };
+
+  if (!config.getSecret && !config.serverUrl) {
+    throw new Error('requireHumanVerification needs getSecret or serverUrl');
+  }
+
+  if (!config.store && !defaultStore) {
+    defaultStore = createStore({ type: 'memory' });
+  }
+  const client = createClient({
+    getSecret: config.getSecret,
+    serverUrl: config.serverUrl,
+    secret: config.secret,
+    adminToken: config.adminToken,
+    siteKey: config.siteKey,
+    revocations: config.revocations,
+    store: config.store || defaultStore
+  });
+
+  return async (req, res, next) => {
+    const token = req.get(config.header) || (req.body && req.body[config.bodyField]);
+
+    try {
+      const action = typeof config.action === 'function' ? config.action(req) : config.action;
+      const verification = await client.verifyToken(token, {
+        action,
+        maxAge: config.maxAge,
+        profile: config.profile
+      });
+
+      req.humanVerification = {
+        recordId: verification.recordId,
+        timestamp: verification.timestamp,
+        expiresAt: verification.expiresAt,
+        detectionVersion: verification.detectionVersion,
+        profile: verification.profile || null,
+        siteKey: verification.siteKey || null,
+        origin: verification.origin || null,
+        movementHash: verification.movementHash,
+        actionHash: verification.actionHash || null,
+        signature: verification.signature
+      };
+      next();
+    } catch (error) {
+      if (error instanceof VerificationError) {
+        return res.status(error.reason === 'missing_token' ? 401 : 403).json({
+          error: 'Human verification required',
+          reason: error.reason
+        });
+      }
+      console.error('Human verification error:', error);
+      res.status(503).json({ error: 'Verification unavailable' });
+    }
+  };
+}
+
+module.exports = {
+  MIDDLEWARE_CONFIG,
+  requireHumanVerification
+};
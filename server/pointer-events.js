@@ -0,0 +1,81 @@
+/**
+ * AI Mouse Check - Pointer event details
+ * Browsers that capture through Pointer Events send, with every point, what
+ * the event itself said: movementX/Y, buttons, pointerType and isTrusted.
+ * Traces from older clients (or hand-built ones) simply lack these fields.
+ *
+ * isTrusted is false only for events created by page script
+ * (dispatchEvent(new PointerEvent(...))), never for real input, so a single
+ * untrusted point fails the trace.
+ *
+ * Usage:
+ *   const { summarizePointerEvents } = require('./pointer-events');
+ *   const pointer = summarizePointerEvents(points);
+ *   if (pointer && pointer.untrusted > 0) ...
+ */
+
+const POINTER_TYPES = ['mouse', 'pen', 'touch'];
+
+/**
+ * Validate the optional pointer fields of one point
+ * @param {Object} point - Point that is already an object
+ * @param {number} i - Index of the point, for the field names
+ * @returns {Array} Array of { field, error }; empty when valid or absent
+ */
+function validatePointerFields(point, i) {
+  const errors = [];
+  for (const key of ['movementX', 'movementY']) {
+    if (point[key] !== undefined && !(typeof point[key] === 'number' && Number.isFinite(point[key]))) {
+      errors.push({ field: `points[${i}].${key}`, error: 'must be a finite number' });
+    }
+  }
+  if (point.buttons !== undefined && !(Number.isInteger(point.buttons) && point.buttons >= 0 && point.buttons < 32)) {
+    errors.push({ field: `points[${i}].buttons`, error: 'must be an integer between 0 and 31' });
+  }
+  if (point.pointerType !== undefined && !POINTER_TYPES.includes(point.pointerType) && point.pointerType !== '') {
+    errors.push({ field: `points[${i}].pointerType`, error: `must be one of ${POINTER_TYPES.join(', ')}` });
+  }
+  if (point.isTrusted !== undefined && typeof point.isTrusted !== 'boolean') {
+    errors.push({ field: `points[${i}].isTrusted`, error: 'must be a boolean' });
+  }
+  return errors;
+}
+
+/**
+ * Summarize the pointer fields of a trace
+ * @param {Array} points - Validated points
+ * @returns {Object|null} { samples, untrusted, pointerTypes, pressedRatio }, or
+ *   null when no point carries pointer fields
+ *   - samples: points with pointer fields
+ *   - untrusted: points with isTrusted false
+ *   - pointerTypes: distinct pointerType values, e.g. ['mouse']
+ *   - pressedRatio: share of samples captured with a button held down
+ */
+function summarizePointerEvents(points) {
+  let samples = 0;
+  let untrusted = 0;
+  let pressed = 0;
+  const pointerTypes = new Set();
+
+  for (const p of points) {
+    if (p.isTrusted === undefined && p.pointerType === undefined) continue;
+    samples++;
+    if (p.isTrusted === false) untrusted++;
+    if (p.buttons) pressed++;
+    if (p.pointerType) pointerTypes.add(p.pointerType);
+  }
+
+  if (samples === 0) return null;
+  return {
+    samples,
+    untrusted,
+    pointerTypes: [...pointerTypes],
+    pressedRatio: pressed / samples
+  };
+}
+
+module.exports = {
+  POINTER_TYPES,
+  validatePointerFields,
+  summarizePointerEvents
+};
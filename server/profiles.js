@@ -0,0 +1,170 @@
+/**
+ * AI Mouse Check - Verification profiles
+ * A profile sets how hard a check is: target hits, how many bot signals
+ * may trigger, per-signal thresholds and how long a challenge session may
+ * last. A registered site uses the profile it was registered with; other
+ * clients may pick one by profile ID, or get the default profile.
+ *
+ * Profiles file (PROFILES_FILE):
+ *   {
+ *     "profiles": {
+ *       "checkout": { "extends": "strict", "targetHitsRequired": 8, "thresholds": { "pathEfficiency": 0.7 } }
+ *     }
+ *   }
+ *
+ * Usage:
+ *   const { loadProfiles } = require('./profiles');
+ *   const profiles = loadProfiles({ file: 'profiles.json', defaultProfile: 'balanced' });
+ *   const profile = profiles.resolve(profileId);  // null if unknown
+ */
+
+const fs = require('fs');
+const { DETECTION_CONFIG } = require('./detection');
+
+// Built-in profiles; thresholds not listed come from DETECTION_CONFIG
+const PROFILES = {
+  strict: {
+    targetHitsRequired: 7,
+    signalThreshold: 3,            // Fail on 3+ bot signals
+    thresholds: {},
+    maxSessionAge: 45000           // Challenge must be answered within 45s
+  },
+  balanced: {
+    targetHitsRequired: 5,
+    signalThreshold: DETECTION_CONFIG.signalThreshold,
+    thresholds: {},
+    maxSessionAge: 60000
+  },
+  lenient: {
+    targetHitsRequired: 3,
+    signalThreshold: 6,
+    thresholds: {},
+    maxSessionAge: 120000
+  }
+};
+
+const LIMITS = {
+  targetHitsRequired: [1, 20],
+  signalThreshold: [1, 18],        // There are 18 bot signals
+  maxSessionAge: [5000, 600000]
+};
+
+/**
+ * Merge a profile definition onto its base and check every value
+ * @param {string} name - Profile name
+ * @param {Object} definition - Profile fields (may include "extends")
+ * @param {Object} base - Resolved profile it extends
+ * @returns {Object} { name, targetHitsRequired, maxSessionAge, detectionConfig }
+ */
+function buildProfile(name, definition, base) {
+  const merged = {
+    targetHitsRequired: definition.targetHitsRequired ?? base.targetHitsRequired,
+    signalThreshold: definition.signalThreshold ?? base.detectionConfig.signalThreshold,
+    maxSessionAge: definition.maxSessionAge ?? base.maxSessionAge
+  };
+
+  for (const [field, [min, max]] of Object.entries(LIMITS)) {
+    const value = merged[field];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Profile '${name}': ${field} must be an integer between ${min} and ${max}`);
+    }
+  }
+
+  const thresholds = { ...base.detectionConfig.thresholds };
+  for (const [key, value] of Object.entries(definition.thresholds || {})) {
+    if (!(key in DETECTION_CONFIG.thresholds)) {
+      throw new Error(`Profile '${name}': unknown threshold '${key}'`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Profile '${name}': threshold '${key}' must be a number`);
+    }
+    thresholds[key] = value;
+  }
+
+  return {
+    name,
+    targetHitsRequired: merged.targetHitsRequired,
+    maxSessionAge: merged.maxSessionAge,
+    detectionConfig: {
+      signalThreshold: merged.signalThreshold,
+      thresholds
+    }
+  };
+}
+
+/**
+ * Load built-in and custom profiles
+ * @param {Object} options - { file, defaultProfile }
+ * @returns {Object} Profiles with resolve, get, list and defaultProfile
+ */
+function loadProfiles(options = {}) {
+  const { file } = options;
+  let custom = {};
+
+  if (file && fs.existsSync(file)) {
+    custom = JSON.parse(fs.readFileSync(file, 'utf8')).profiles || {};
+  }
+
+  const baseline = { targetHitsRequired: 5, maxSessionAge: 60000, detectionConfig: DETECTION_CONFIG };
+  const profiles = {};
+  for (const [name, definition] of Object.entries(PROFILES)) {
+    profiles[name] = buildProfile(name, definition, baseline);
+  }
+
+  // Custom profiles may extend built-ins or each other, in file order
+  for (const [name, definition] of Object.entries(custom)) {
+    const baseName = definition.extends || 'balanced';
+    if (!profiles[baseName]) {
+      throw new Error(`Profile '${name}' extends unknown profile '${baseName}'`);
+    }
+    profiles[name] = buildProfile(name, definition, profiles[baseName]);
+  }
+
+  const defaultProfile = options.defaultProfile || 'balanced';
+  if (!profiles[defaultProfile]) {
+    throw new Error(`Default profile '${defaultProfile}' does not exist`);
+  }
+
+  /**
+   * Profile by name
+   * @param {string} name - Profile name
+   * @returns {Object|null} Profile
+   */
+  function get(name) {
+    return Object.prototype.hasOwnProperty.call(profiles, name) ? profiles[name] : null;
+  }
+
+  /**
+   * Pick the profile for a request
+   * @param {string} name - Profile ID, or empty for the default profile
+   * @returns {Object|null} Profile, or null for an unknown profile ID
+   */
+  function resolve(name) {
+    return get(name || defaultProfile);
+  }
+
+  /**
+   * Profile summaries (no thresholds)
+   * @returns {Array} Array of { name, targetHitsRequired, signalThreshold, maxSessionAge }
+   */
+  function list() {
+    return Object.values(profiles).map(p => ({
+      name: p.name,
+      targetHitsRequired: p.targetHitsRequired,
+      signalThreshold: p.detectionConfig.signalThreshold,
+      maxSessionAge: p.maxSessionAge
+    }));
+  }
+
+  return {
+    resolve,
+    get,
+    list,
+    defaultProfile
+  };
+}
+
+module.exports = {
+  PROFILES,
+  loadProfiles
+};
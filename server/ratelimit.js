@@ -0,0 +1,182 @@
+/**
+ * AI Mouse Check - Rate limiting and failure lockout for /api/verify
+ * Caps requests per IP and per recordId in a fixed window (stream chunks
+ * have their own, larger per-IP cap), and locks an IP
+ * out for an escalating cooldown after repeated failed verifications, so a
+ * bot can't brute-force small variations of a trace.
+ *
+ * The lockout is per IP only: a recordId is whatever the client sends, so a
+ * lockout keyed on it would let anyone lock a user out with a few junk
+ * requests. The caller only reports traces that were scored against a valid
+ * challenge; a stale or unknown challenge says nothing about the trace.
+ *
+ * Usage:
+ *   const { createRateLimiter } = require('./ratelimit');
+ *   const limiter = createRateLimiter(store, { perIp: 30 });
+ *   const { allowed, retryAfter } = await limiter.check(ip, recordId);
+ *   await limiter.checkChunk(ip);    // For each chunk POSTed to a stream
+ *   await limiter.recordResult(ip, verified);
+ */
+
+const RATE_LIMIT_CONFIG = {
+  windowMs: 60000,                 // Fixed counting window
+  perIp: 30,                       // Verify requests per IP per window
+  perRecordId: 10,                 // Verify requests per recordId per window
+  chunksPerIp: 1200,               // Stream chunks per IP per window (a stream sends up to 10 a second)
+  failuresBeforeLockout: 3,        // Consecutive failures per IP that start the first cooldown
+  baseCooldownMs: 5000,            // First cooldown; doubles with each further failure
+  maxCooldownMs: 15 * 60000,       // Cooldowns never exceed 15 minutes
+  exemptIps: []                    // e.g. ['127.0.0.1', '::1'] for the bulk bot tests
+};
+
+/**
+ * Read rate limit overrides from environment variables
+ * @param {Object} env - process.env
+ * @returns {Object} Overrides for RATE_LIMIT_CONFIG
+ */
+function rateLimitConfigFromEnv(env) {
+  const overrides = {};
+  const map = {
+    RATE_LIMIT_WINDOW_MS: 'windowMs',
+    RATE_LIMIT_PER_IP: 'perIp',
+    RATE_LIMIT_PER_RECORD_ID: 'perRecordId',
+    RATE_LIMIT_CHUNKS_PER_IP: 'chunksPerIp',
+    RATE_LIMIT_FAILURES_BEFORE_LOCKOUT: 'failuresBeforeLockout',
+    RATE_LIMIT_BASE_COOLDOWN_MS: 'baseCooldownMs',
+    RATE_LIMIT_MAX_COOLDOWN_MS: 'maxCooldownMs'
+  };
+  for (const [name, key] of Object.entries(map)) {
+    const value = parseInt(env[name], 10);
+    if (Number.isFinite(value) && value > 0) overrides[key] = value;
+  }
+  if (env.RATE_LIMIT_EXEMPT_IPS) {
+    overrides.exemptIps = env.RATE_LIMIT_EXEMPT_IPS.split(',').map(ip => ip.trim()).filter(Boolean);
+  }
+  return overrides;
+}
+
+/**
+ * Create a rate limiter on top of a key/value store
+ * @param {Object} store - Store from ./store
+ * @param {Object} options - Overrides for RATE_LIMIT_CONFIG
+ * @returns {Object} Limiter with check, checkChunk, recordResult and config
+ */
+function createRateLimiter(store, options = {}) {
+  const config = { ...RATE_LIMIT_CONFIG, ...options };
+
+  const lockoutKey = (ip) => `lockout:ip:${ip}`;
+
+  // Subjects are rate-limited independently; recordId is optional
+  const subjects = (ip, recordId) => {
+    const list = [{ name: 'ip', id: ip, limit: config.perIp }];
+    if (recordId) list.push({ name: 'recordId', id: recordId, limit: config.perRecordId });
+    return list;
+  };
+
+  /**
+   * Atomically add one to a counter
+   * @returns {Promise<number>} New count
+   */
+  async function increment(key, ttlMs) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const current = await store.get(key);
+      const next = (current || 0) + 1;
+      if (await store.checkAndSet(key, current, next, ttlMs)) return next;
+    }
+    // Heavy contention on one key is itself a sign of abuse
+    return Infinity;
+  }
+
+  // A locked-out IP is refused first; otherwise every subject is counted
+  async function checkSubjects(ip, list) {
+    if (config.exemptIps.includes(ip)) {
+      return { allowed: true, reason: null, retryAfter: 0 };
+    }
+
+    const now = Date.now();
+
+    const lockout = await store.get(lockoutKey(ip));
+    if (lockout && lockout.lockedUntil > now) {
+      return {
+        allowed: false,
+        reason: 'too_many_failures',
+        retryAfter: Math.ceil((lockout.lockedUntil - now) / 1000)
+      };
+    }
+
+    const windowStart = Math.floor(now / config.windowMs) * config.windowMs;
+    for (const subject of list) {
+      const count = await increment(`ratelimit:${subject.name}:${subject.id}:${windowStart}`, config.windowMs);
+      if (count > subject.limit) {
+        return {
+          allowed: false,
+          reason: 'rate_limited',
+          retryAfter: Math.ceil((windowStart + config.windowMs - now) / 1000)
+        };
+      }
+    }
+
+    return { allowed: true, reason: null, retryAfter: 0 };
+  }
+
+  /**
+   * Count a request and decide whether it may proceed
+   * @param {string} ip - Client IP
+   * @param {string} recordId - Optional recordId from the request
+   * @returns {Promise<Object>} { allowed, reason, retryAfter } (retryAfter in seconds)
+   */
+  async function check(ip, recordId) {
+    return checkSubjects(ip, subjects(ip, recordId));
+  }
+
+  /**
+   * Count a chunk POSTed to an open stream. Opening the stream went through
+   * check(); chunks only count against their own per-IP cap and the lockout.
+   * @param {string} ip - Client IP
+   * @returns {Promise<Object>} { allowed, reason, retryAfter } (retryAfter in seconds)
+   */
+  async function checkChunk(ip) {
+    return checkSubjects(ip, [{ name: 'chunks:ip', id: ip, limit: config.chunksPerIp }]);
+  }
+
+  /**
+   * Record the outcome of a scored trace. Failures escalate the IP's
+   * cooldown, a success clears it.
+   * @param {string} ip - Client IP
+   * @param {boolean} verified - Whether verification passed
+   */
+  async function recordResult(ip, verified) {
+    if (config.exemptIps.includes(ip)) return;
+    const key = lockoutKey(ip);
+
+    if (verified) {
+      await store.delete(key);
+      return;
+    }
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const current = await store.get(key);
+      const failures = (current ? current.failures : 0) + 1;
+      const over = failures - config.failuresBeforeLockout;
+      const cooldown = over >= 0
+        ? Math.min(config.maxCooldownMs, config.baseCooldownMs * Math.pow(2, over))
+        : 0;
+      const next = { failures, lockedUntil: Date.now() + cooldown };
+      // Failure streaks are forgotten once the longest cooldown has passed
+      if (await store.checkAndSet(key, current, next, config.maxCooldownMs * 2)) return;
+    }
+  }
+
+  return {
+    check,
+    checkChunk,
+    recordResult,
+    config
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_CONFIG,
+  rateLimitConfigFromEnv,
+  createRateLimiter
+};
@@ -0,0 +1,133 @@
+/**
+ * AI Mouse Check - Replay protection for submitted movement traces
+ * Remembers every trace posted to /api/verify for a while and rejects the
+ * same trace when it comes back, even with small offsets or time shifts.
+ *
+ * Usage:
+ *   const { createReplayStore } = require('./replay');
+ *   const replayStore = createReplayStore(store, { ttl: 86400000 });
+ *   const seen = await replayStore.check(points);  // { replayed, match }
+ *   await replayStore.remember(points);
+ */
+
+const { hashMovement } = require('./detection');
+
+const REPLAY_CONFIG = {
+  ttl: 24 * 3600000,               // Remember traces for 24 hours
+  maxBucketEntries: 2000,          // Oldest traces per duration bucket are dropped beyond this
+  samples: 32,                     // Points each trace is resampled to
+  durationBucketMs: 250,           // Only compare traces of similar duration
+  maxMeanDistancePx: 3,            // Mean per-sample offset still counted as "the same"
+  maxMeanTimeDiffMs: 20            // Mean per-sample timing drift still counted as "the same"
+};
+
+/**
+ * Reduce a trace to a fixed number of samples relative to its first point,
+ * so translated or time-shifted copies line up with the original
+ * @param {Array} points - Array of {x, y, t} movement points
+ * @param {number} samples - Number of samples to keep
+ * @returns {Array} Array of {x, y, t} offsets from the first point
+ */
+function traceFingerprint(points, samples = REPLAY_CONFIG.samples) {
+  const origin = points[0];
+  const fingerprint = [];
+  for (let i = 0; i < samples; i++) {
+    const p = points[Math.round(i * (points.length - 1) / (samples - 1))];
+    fingerprint.push({
+      x: p.x - origin.x,
+      y: p.y - origin.y,
+      t: p.t - origin.t
+    });
+  }
+  return fingerprint;
+}
+
+/**
+ * Compare two fingerprints of equal length
+ * @returns {Object} { distance, timeDiff } mean offsets per sample
+ */
+function fingerprintDistance(a, b) {
+  let distance = 0;
+  let timeDiff = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += Math.sqrt(Math.pow(a[i].x - b[i].x, 2) + Math.pow(a[i].y - b[i].y, 2));
+    timeDiff += Math.abs(a[i].t - b[i].t);
+  }
+  return {
+    distance: distance / a.length,
+    timeDiff: timeDiff / a.length
+  };
+}
+
+/**
+ * Create a seen-trace store with TTL on top of a key/value store
+ * @param {Object} store - Store from ./store
+ * @param {Object} options - Overrides for REPLAY_CONFIG
+ * @returns {Object} Replay store with check and remember
+ */
+function createReplayStore(store, options = {}) {
+  const config = { ...REPLAY_CONFIG, ...options };
+
+  // replay:hash:<movement hash>        -> fingerprint of the trace
+  // replay:index:<duration/bucketMs>   -> set of the movement hashes in that bucket
+  const hashKey = (hash) => 'replay:hash:' + hash;
+  const indexKey = (bucket) => 'replay:index:' + bucket;
+
+  const bucketOf = (points) => {
+    const duration = points[points.length - 1].t - points[0].t;
+    return Math.round(duration / config.durationBucketMs);
+  };
+
+  /**
+   * Check whether a trace was seen before
+   * @param {Array} points - Array of {x, y, t} movement points
+   * @returns {Promise<Object>} { replayed: boolean, match: 'exact' | 'near' | null }
+   */
+  async function check(points) {
+    if (!points || points.length < 2) return { replayed: false, match: null };
+
+    const hash = hashMovement(points);
+    if (await store.get(hashKey(hash))) {
+      return { replayed: true, match: 'exact' };
+    }
+
+    const fingerprint = traceFingerprint(points, config.samples);
+    const bucket = bucketOf(points);
+    for (let b = bucket - 1; b <= bucket + 1; b++) {
+      for (const seenHash of await store.members(indexKey(b))) {
+        const seen = await store.get(hashKey(seenHash));
+        if (!seen) continue; // Expired since members() was read
+        const { distance, timeDiff } = fingerprintDistance(fingerprint, seen);
+        if (distance <= config.maxMeanDistancePx && timeDiff <= config.maxMeanTimeDiffMs) {
+          return { replayed: true, match: 'near' };
+        }
+      }
+    }
+
+    return { replayed: false, match: null };
+  }
+
+  /**
+   * Remember a trace so later submissions of it are rejected
+   * @param {Array} points - Array of {x, y, t} movement points
+   */
+  async function remember(points) {
+    if (!points || points.length < 2) return;
+
+    const hash = hashMovement(points);
+    await store.set(hashKey(hash), traceFingerprint(points, config.samples), config.ttl);
+    // Oldest traces drop out of the near-copy search beyond the cap; exact copies are still caught
+    await store.addMember(indexKey(bucketOf(points)), hash, config.ttl, config.maxBucketEntries);
+  }
+
+  return {
+    check,
+    remember
+  };
+}
+
+module.exports = {
+  REPLAY_CONFIG,
+  createReplayStore,
+  traceFingerprint
+};
@@ -0,0 +1,110 @@
+/**
+ * AI Mouse Check - Token revocation list
+ * Revokes tokens issued before a point in time, by session ID (one token),
+ * by recordId, or by detection version (every token a weak version issued).
+ * Tokens live at most TOKEN_TTL, so each rule is dropped once every token
+ * it could match has expired.
+ *
+ * Rule:
+ *   { id, type: 'sessionId' | 'recordId' | 'detectionVersion', value,
+ *     siteKey (null = every site), reason, createdAt, expiresAt }
+ *
+ * Usage:
+ *   const { createRevocationList, findRevocation } = require('./revocations');
+ *   const revocations = createRevocationList(store);
+ *   await revocations.revoke({ type: 'detectionVersion', value: '1.5.0' });
+ *   verifyToken(keyring.getSecret, token, { revocations: await revocations.list() });
+ */
+
+const crypto = require('crypto');
+
+const REVOCATION_TYPES = ['sessionId', 'recordId', 'detectionVersion'];
+
+/**
+ * Find the rule that revokes a token
+ * @param {Array} rules - Revocation rules
+ * @param {Object} claims - Token payload
+ * @param {string} signature - Token signature (its first 16 characters are the sessionId)
+ * @returns {Object|null} Matching rule
+ */
+function findRevocation(rules, claims, signature) {
+  const sessionId = String(signature || '').slice(0, 16);
+  const claimOf = {
+    sessionId,
+    recordId: claims.recordId,
+    detectionVersion: claims.detectionVersion
+  };
+
+  return (rules || []).find(rule =>
+    claimOf[rule.type] === rule.value &&
+    (rule.siteKey === null || rule.siteKey === (claims.siteKey || null)) &&
+    claims.timestamp <= rule.createdAt
+  ) || null;
+}
+
+/**
+ * Create the revocation list on top of a key/value store
+ * @param {Object} store - Store from ./store
+ * @param {Object} options - { maxTokenAge }: how long a revoked token could still be valid
+ * @returns {Object} List with revoke, list and check
+ */
+function createRevocationList(store, options = {}) {
+  const maxTokenAge = options.maxTokenAge || 3600000;
+  const KEY = 'revocations';
+
+  const live = (rules) => (rules || []).filter(rule => rule.expiresAt > Date.now());
+
+  /**
+   * Revoke every matching token issued until now
+   * @param {Object} rule - { type, value, siteKey, reason }
+   * @returns {Promise<Object>} The stored rule
+   */
+  async function revoke({ type, value, siteKey, reason }) {
+    const createdAt = Date.now();
+    const rule = {
+      id: 'rev_' + crypto.randomBytes(8).toString('hex'),
+      type,
+      value,
+      siteKey: siteKey || null,
+      reason: reason || null,
+      createdAt,
+      expiresAt: createdAt + maxTokenAge
+    };
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const current = await store.get(KEY);
+      if (await store.checkAndSet(KEY, current, live(current).concat(rule))) return rule;
+    }
+    throw new Error('Could not update the revocation list');
+  }
+
+  /**
+   * Rules still in force, optionally only those that apply to one site
+   * @param {string|null} siteKey - Site key, or undefined for all
+   * @returns {Promise<Array>} Rules
+   */
+  async function list(siteKey) {
+    return live(await store.get(KEY))
+      .filter(rule => siteKey === undefined || rule.siteKey === null || rule.siteKey === siteKey);
+  }
+
+  /**
+   * Rule that revokes a token, if any
+   * @returns {Promise<Object|null>}
+   */
+  async function check(claims, signature) {
+    return findRevocation(await list(), claims, signature);
+  }
+
+  return {
+    revoke,
+    list,
+    check
+  };
+}
+
+module.exports = {
+  REVOCATION_TYPES,
+  createRevocationList,
+  findRevocation
+};
@@ -0,0 +1,358 @@
+/**
+ * AI Mouse Check - Node client for relying-party backends
+ * Checks tokens (locally with the keyring, or against the verification
+ * server), inspects and revokes them, and runs the detection in-process.
+ * Every refusal is thrown as a VerificationError subclass, so callers can
+ * branch on the class or on error.reason.
+ *
+ * Usage:
+ *   const { createClient, WrongActionError } = require('./server/sdk');
+ *   const client = createClient({ serverUrl: 'https://verify.example', secret: process.env.SITE_SECRET_KEY });
+ *
+ *   try {
+ *     const verification = await client.verifyToken(token, { action, maxAge: 120000 });
+ *   } catch (error) {
+ *     if (error instanceof WrongActionError) ...
+ *   }
+ *
+ *   const { valid, reason, payload } = await client.introspect(token);
+ *   await client.revoke(token);   // or { recordId } / { detectionVersion }
+ *   const result = await client.verifyMovement(points, { profile: 'strict', targetHits: 7 });
+ */
+
+const http = require('http');
+const https = require('https');
+const { analyzeWindows, verifyToken: checkToken, hashMovement } = require('./detection');
+const { validatePoints } = require('./validation');
+const { summarizePointerEvents } = require('./pointer-events');
+const { loadProfiles } = require('./profiles');
+const { createReplayStore } = require('./replay');
+const { createStore } = require('./store');
+
+const SDK_CONFIG = {
+  timeoutMs: 5000,                 // Per request to serverUrl
+  revocationRefreshMs: 30000       // Local checks re-fetch GET /api/revocations this often
+};
+
+// ============================================
+// ERRORS
+// ============================================
+
+/**
+ * Base class for every refusal; reason is the machine-readable cause
+ */
+class VerificationError extends Error {
+  constructor(reason, message, details = {}) {
+    super(message || `Verification failed: ${reason}`);
+    this.name = this.constructor.name;
+    this.reason = reason;
+    Object.assign(this, details);
+  }
+}
+
+class TokenExpiredError extends VerificationError {}    // token_expired, token_too_old
+class ReplayedError extends VerificationError {}        // token_used, replayed trace
+class WrongSiteError extends VerificationError {}       // wrong_site
+class WrongActionError extends VerificationError {}     // wrong_action
+class WrongProfileError extends VerificationError {}    // wrong_profile
+class RevokedError extends VerificationError {}         // token_revoked
+class InvalidTokenError extends VerificationError {}    // malformed_token, invalid_signature, unknown_key, ...
+class InvalidMovementError extends VerificationError {} // invalid_points (details: [{ field, error }]), untrusted_events
+
+const ERROR_CLASSES = {
+  token_expired: TokenExpiredError,
+  token_too_old: TokenExpiredError,
+  token_used: ReplayedError,
+  replayed: ReplayedError,
+  wrong_site: WrongSiteError,
+  wrong_action: WrongActionError,
+  wrong_profile: WrongProfileError,
+  token_revoked: RevokedError,
+  invalid_points: InvalidMovementError,
+  untrusted_events: InvalidMovementError
+};
+
+/**
+ * Error for a refusal reason
+ * @param {string} reason - e.g. 'wrong_action'
+ * @param {Object} details - Extra fields for the error
+ * @returns {VerificationError}
+ */
+function errorFor(reason, details) {
+  const ErrorClass = ERROR_CLASSES[reason] || InvalidTokenError;
+  return new ErrorClass(reason, null, details);
+}
+
+/**
+ * Send a JSON request and parse the JSON answer
+ * @param {string} method - 'GET' or 'POST'
+ * @param {Object|null} data - Body for POST
+ * @returns {Promise<Object>} { status, body }
+ */
+function requestJSON(method, url, data, headers, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const body = data ? JSON.stringify(data) : '';
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers },
+      timeout: timeoutMs
+    }, (response) => {
+      let text = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { text += chunk; });
+      response.on('end', () => {
+        try {
+          resolve({ status: response.statusCode, body: JSON.parse(text) });
+        } catch (e) {
+          reject(new Error(`Unexpected response (${response.statusCode})`));
+        }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error('Timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// ============================================
+// CLIENT
+// ============================================
+
+/**
+ * Create a client
+ * @param {Object} options
+ *   - getSecret: keyring.getSecret (or a single secret) to check tokens locally
+ *   - serverUrl: verification server to ask instead, e.g. 'https://verify.example'
+ *   - secret: the site's secret key, sent to serverUrl (required for site tokens)
+ *   - adminToken: admin token for revoke and the revocation list, instead of secret
+ *   - siteKey: only accept tokens issued to this site (with getSecret, tokens of
+ *     any site are refused without it)
+ *   - revocations: rules for local checks, or a function returning them; by default
+ *     they are fetched from serverUrl when getSecret and serverUrl are both given
+ *   - store: store from ./store for used/revoked tokens and seen traces (memory by default)
+ *   - profilesFile: custom profiles for verifyMovement (see ./profiles)
+ * @returns {Object} Client with verifyToken, introspect, revoke and verifyMovement
+ */
+function createClient(options = {}) {
+  const config = { ...SDK_CONFIG, ...options };
+  const store = config.store || createStore({ type: 'memory' });
+  let profiles = null;
+  let replayStore = null;
+
+  const signatureOf = (token) => String(token).split('.')[1] || '';
+  const usedKey = (token) => 'used-token:' + signatureOf(token);
+  const serverUrl = (path) => config.serverUrl.replace(/\/$/, '') + path;
+  const credential = config.adminToken || config.secret;
+  let fetchedRevocations = { rules: null, at: 0 };
+
+  /**
+   * Revocation rules for local checks
+   * @returns {Promise<Array|null>}
+   */
+  async function currentRevocations() {
+    if (typeof config.revocations === 'function') return config.revocations();
+    if (config.revocations) return config.revocations;
+    if (!config.serverUrl || !credential) return null;
+
+    if (Date.now() - fetchedRevocations.at > config.revocationRefreshMs) {
+      const { status, body } = await requestJSON('GET', serverUrl('/api/revocations'), null,
+        { Authorization: 'Bearer ' + credential }, config.timeoutMs);
+      if (status !== 200) throw new Error(`Revocation list request answered ${status}`);
+      fetchedRevocations = { rules: body.revocations, at: Date.now() };
+    }
+    return fetchedRevocations.rules;
+  }
+
+  /**
+   * Check a token without throwing or spending it
+   * @param {string} token - Token from /api/verify
+   * @param {Object} opts - { action } (see verifyToken)
+   * @returns {Promise<Object>} { valid, reason, payload }
+   */
+  async function introspect(token, opts = {}) {
+    if (typeof token !== 'string' || !token) {
+      return { valid: false, reason: 'missing_token', payload: null };
+    }
+    const used = await store.get(usedKey(token));
+    if (used) {
+      return { valid: false, reason: used === 'revoked' ? 'token_revoked' : 'token_used', payload: null };
+    }
+
+    if (config.getSecret) {
+      const result = checkToken(config.getSecret, token, {
+        action: opts.action,
+        revocations: await currentRevocations()
+      });
+      // The keyring signs every site's tokens, so the site is always compared:
+      // without siteKey only tokens issued without a site pass
+      if (result.valid && (result.payload.siteKey || null) !== (config.siteKey || null)) {
+        return { valid: false, reason: 'wrong_site', payload: result.payload };
+      }
+      return result;
+    }
+
+    if (!config.serverUrl) {
+      throw new Error('AI Mouse Check client needs getSecret or serverUrl to check tokens');
+    }
+    const { status, body } = await requestJSON('POST', serverUrl('/api/verify-signature'),
+      { token, secret: config.secret, action: opts.action }, {}, config.timeoutMs);
+    if (status !== 200 && status !== 400) {
+      throw new Error(`Verification server answered ${status}`);
+    }
+    if (!body.valid) {
+      return { valid: false, reason: body.reason || 'malformed_token', payload: null };
+    }
+    const { valid, ...payload } = body;
+    if (config.siteKey && payload.siteKey !== config.siteKey) {
+      return { valid: false, reason: 'wrong_site', payload };
+    }
+    return { valid, reason: null, payload };
+  }
+
+  /**
+   * Check a token and spend it
+   * @param {string} token - Token from /api/verify
+   * @param {Object} opts
+   *   - action: action the token must be bound to (without it, only tokens
+   *     issued without an action pass)
+   *   - maxAge: maximum token age in ms
+   *   - profile: required profile name, or an array of accepted ones
+   *   - singleUse: spend the token (default true)
+   * @returns {Promise<Object>} Token payload (recordId, timestamp, profile, siteKey, movementHash, actionHash, ...)
+   * @throws {VerificationError} TokenExpiredError, ReplayedError, WrongSiteError, WrongActionError,
+   *   WrongProfileError, RevokedError, InvalidTokenError
+   */
+  async function verifyToken(token, opts = {}) {
+    const result = await introspect(token, { action: opts.action });
+    if (!result.valid) throw errorFor(result.reason, { payload: result.payload });
+
+    const payload = result.payload;
+    if (opts.maxAge && Date.now() - payload.timestamp > opts.maxAge) {
+      throw errorFor('token_too_old', { payload });
+    }
+    if (opts.profile != null && ![].concat(opts.profile).includes(payload.profile)) {
+      throw errorFor('wrong_profile', { payload });
+    }
+
+    if (opts.singleUse !== false) {
+      const ttl = Math.max(1000, payload.expiresAt - Date.now());
+      if (!(await store.checkAndSet(usedKey(token), null, Date.now(), ttl))) {
+        throw errorFor('token_used', { payload });
+      }
+    }
+
+    return { ...payload, signature: signatureOf(token) };
+  }
+
+  /**
+   * Revoke tokens. A token is refused by this client right away; with
+   * serverUrl the revocation is also sent to POST /api/revoke, so every
+   * validator honours it.
+   * @param {string|Object} target - A token, or { sessionId | recordId | detectionVersion, reason }
+   * @returns {Promise<Object|null>} Revocation rule from the server, or null without serverUrl
+   * @throws {Error} With serverUrl but neither secret nor adminToken to authorize the request
+   */
+  async function revoke(target) {
+    if (config.serverUrl && !credential) {
+      throw new Error('AI Mouse Check client needs secret or adminToken to revoke on serverUrl');
+    }
+    let rule = target;
+    if (typeof target === 'string') {
+      const claims = decode(target);
+      const ttl = claims && claims.expiresAt ? Math.max(1000, claims.expiresAt - Date.now()) : undefined;
+      await store.checkAndSet(usedKey(target), null, 'revoked', ttl);
+      rule = { sessionId: signatureOf(target).slice(0, 16) };
+    }
+
+    if (!config.serverUrl) return null;
+    const { status, body } = await requestJSON('POST', serverUrl('/api/revoke'), rule,
+      { Authorization: 'Bearer ' + credential }, config.timeoutMs);
+    if (status !== 200) throw new Error(body.error || `Revoke answered ${status}`);
+    fetchedRevocations = { rules: null, at: 0 };
+    return body.revocation;
+  }
+
+  /**
+   * Run the detection on a trace in-process (no HTTP, no token)
+   * @param {Array} points - Array of {x, y, t} movement points
+   * @param {Object} opts
+   *   - profile: profile name (default profile if omitted)
+   *   - targetHits: targets hit in your own challenge (required; count them on
+   *     your side, e.g. with countTargetHits from ./challenge)
+   *   - targetHitsRequired: defaults to the profile's
+   *   - checkReplay: reject traces this client has seen before (default false)
+   * @returns {Promise<Object>} analyzeWindows result plus profile, pointer (summary of
+   *   the pointer event fields, or null) and movementHash
+   * @throws {VerificationError} InvalidMovementError (also for untrusted events), ReplayedError
+   * @throws {Error} Without a valid targetHits
+   */
+  async function verifyMovement(points, opts = {}) {
+    // The trace alone can't show that targets were hit; never assume they were
+    if (!Number.isInteger(opts.targetHits) || opts.targetHits < 0) {
+      throw new Error('verifyMovement needs targetHits (a non-negative integer) from your challenge');
+    }
+
+    const errors = validatePoints(points);
+    if (errors.length > 0) throw errorFor('invalid_points', { details: errors });
+
+    const pointer = summarizePointerEvents(points);
+    if (pointer && pointer.untrusted > 0) throw errorFor('untrusted_events', { pointer });
+
+    if (!profiles) profiles = loadProfiles({ file: config.profilesFile });
+    const profile = profiles.resolve(opts.profile);
+    if (!profile) throw new Error(`Unknown profile '${opts.profile}'`);
+
+    if (opts.checkReplay) {
+      if (!replayStore) replayStore = createReplayStore(store);
+      const replay = await replayStore.check(points);
+      if (replay.replayed) throw errorFor('replayed', { match: replay.match });
+      await replayStore.remember(points);
+    }
+
+    const targetHitsRequired = opts.targetHitsRequired ?? profile.targetHitsRequired;
+    const result = analyzeWindows(points, {
+      targetHits: opts.targetHits,
+      targetHitsRequired,
+      config: profile.detectionConfig
+    });
+    return { ...result, profile: profile.name, pointer, movementHash: hashMovement(points) };
+  }
+
+  return {
+    verifyToken,
+    introspect,
+    revoke,
+    verifyMovement
+  };
+}
+
+/**
+ * Read a token's payload without checking it
+ * @param {string} token - Token from /api/verify
+ * @returns {Object|null} Claims
+ */
+function decode(token) {
+  try {
+    return JSON.parse(Buffer.from(String(token).split('.')[0], 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  SDK_CONFIG,
+  createClient,
+  decode,
+  requestJSON,
+  errorFor,
+  VerificationError,
+  TokenExpiredError,
+  ReplayedError,
+  WrongSiteError,
+  WrongActionError,
+  WrongProfileError,
+  RevokedError,
+  InvalidTokenError,
+  InvalidMovementError
+};
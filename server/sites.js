@@ -0,0 +1,210 @@
+/**
+ * AI Mouse Check - Site registry (site keys and secret keys)
+ * Each registered site gets a public site key for the browser and a secret
+ * key for its backend. Tokens issued for a site are bound to its site key
+ * and to the origin the challenge came from; only the site's secret key can
+ * validate them. Secret keys are stored as SHA-256 hashes.
+ *
+ * Usage:
+ *   const { createSiteRegistry } = require('./sites');
+ *   const sites = createSiteRegistry(store);
+ *   const { site, secretKey } = await sites.create({ name: 'Shop', origins: ['https://shop.example'] });
+ *   const owner = await sites.findBySecret(secretKey);
+ */
+
+const crypto = require('crypto');
+
+const SITE_KEY_PATTERN = /^pk_[0-9a-f]{24}$/;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+/**
+ * Whether a value looks like a site key (safe to use in keys and paths)
+ * @param {*} value - Candidate site key
+ * @returns {boolean}
+ */
+function isSiteKey(value) {
+  return typeof value === 'string' && SITE_KEY_PATTERN.test(value);
+}
+
+/**
+ * Normalize an origin to scheme://host[:port], or '*' for any origin
+ * @param {string} value - Origin or URL
+ * @returns {string|null} Normalized origin, or null if invalid
+ */
+function normalizeOrigin(value) {
+  if (value === '*') return '*';
+  try {
+    const url = new URL(value);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return url.origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Site fields that are safe to return (no secret hash)
+ */
+function publicSite(site) {
+  return {
+    siteKey: site.siteKey,
+    name: site.name,
+    origins: site.origins,
+    profile: site.profile,
+    createdAt: site.createdAt
+  };
+}
+
+/**
+ * Create a site registry on top of a key/value store
+ * @param {Object} store - Store from ./store
+ * @returns {Object} Registry with create, get, list, remove, rotateSecret, findBySecret, checkSecret, originAllowed
+ */
+function createSiteRegistry(store) {
+  // site:<siteKey>            -> site record
+  // site:secret:<secret hash> -> siteKey
+  // sites                     -> Array of siteKeys
+  const siteKey = (key) => 'site:' + key;
+  const secretKey = (hash) => 'site:secret:' + hash;
+
+  async function updateIndex(change) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const current = await store.get('sites');
+      if (await store.checkAndSet('sites', current, change(current || []))) return;
+    }
+    throw new Error('Site registry: gave up updating the site index');
+  }
+
+  /**
+   * Register a site
+   * @param {Object} options - { name, origins, profile }
+   * @returns {Promise<Object>} { site, secretKey } - the secret key is only returned here
+   */
+  async function create(options) {
+    const site = {
+      siteKey: 'pk_' + crypto.randomBytes(12).toString('hex'),
+      name: options.name,
+      origins: options.origins,
+      profile: options.profile || null,
+      createdAt: Date.now(),
+      secretHash: null
+    };
+    const secret = 'sk_' + crypto.randomBytes(24).toString('hex');
+    site.secretHash = hashSecret(secret);
+
+    await store.set(siteKey(site.siteKey), site);
+    await store.set(secretKey(site.secretHash), site.siteKey);
+    await updateIndex(keys => keys.concat(site.siteKey));
+
+    return { site: publicSite(site), secretKey: secret };
+  }
+
+  /**
+   * Site record by site key
+   * @param {string} key - Site key
+   * @returns {Promise<Object|null>} Site (including secretHash)
+   */
+  async function get(key) {
+    if (!isSiteKey(key)) return null;
+    return store.get(siteKey(key));
+  }
+
+  /**
+   * All registered sites
+   * @returns {Promise<Array>} Public site records
+   */
+  async function list() {
+    const keys = (await store.get('sites')) || [];
+    const sites = [];
+    for (const key of keys) {
+      const site = await get(key);
+      if (site) sites.push(publicSite(site));
+    }
+    return sites;
+  }
+
+  /**
+   * Delete a site. Its tokens stop validating immediately.
+   * @param {string} key - Site key
+   * @returns {Promise<boolean>} Whether the site existed
+   */
+  async function remove(key) {
+    const site = await get(key);
+    if (!site) return false;
+    await store.delete(secretKey(site.secretHash));
+    await store.delete(siteKey(key));
+    await updateIndex(keys => keys.filter(k => k !== key));
+    return true;
+  }
+
+  /**
+   * Replace a site's secret key; the old one stops working at once
+   * @param {string} key - Site key
+   * @returns {Promise<string|null>} New secret key, or null for an unknown site
+   */
+  async function rotateSecret(key) {
+    const site = await get(key);
+    if (!site) return null;
+    const secret = 'sk_' + crypto.randomBytes(24).toString('hex');
+    await store.delete(secretKey(site.secretHash));
+    site.secretHash = hashSecret(secret);
+    await store.set(siteKey(key), site);
+    await store.set(secretKey(site.secretHash), key);
+    return secret;
+  }
+
+  /**
+   * Site a secret key belongs to
+   * @param {string} secret - Secret key
+   * @returns {Promise<Object|null>} Site
+   */
+  async function findBySecret(secret) {
+    if (typeof secret !== 'string' || !secret.startsWith('sk_')) return null;
+    const key = await store.get(secretKey(hashSecret(secret)));
+    return key ? get(key) : null;
+  }
+
+  /**
+   * Check a secret key against a site
+   * @param {Object} site - Site record
+   * @param {string} secret - Secret key
+   * @returns {boolean}
+   */
+  function checkSecret(site, secret) {
+    if (!site || typeof secret !== 'string') return false;
+    return crypto.timingSafeEqual(
+      Buffer.from(hashSecret(secret), 'hex'),
+      Buffer.from(site.secretHash, 'hex')
+    );
+  }
+
+  /**
+   * Whether a browser origin may use a site's key
+   * @param {Object} site - Site record
+   * @param {string} origin - Origin header of the request
+   * @returns {boolean}
+   */
+  function originAllowed(site, origin) {
+    if (site.origins.includes('*')) return true;
+    return Boolean(origin) && site.origins.includes(normalizeOrigin(origin));
+  }
+
+  return {
+    create,
+    get,
+    list,
+    remove,
+    rotateSecret,
+    findBySecret,
+    checkSecret,
+    originAllowed
+  };
+}
+
+module.exports = {
+  createSiteRegistry,
+  isSiteKey,
+  normalizeOrigin,
+  publicSite
+};
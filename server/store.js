@@ -0,0 +1,342 @@
+/**
+ * AI Mouse Check - Key/value store for challenges, traces and other state
+ * All stores share one promise-based interface, so the server can run on
+ * memory, a local file, or a Redis-style backend without code changes:
+ *
+ *   get(key)                               -> value | null
+ *   set(key, value, ttlMs)                 -> void
+ *   delete(key)                            -> boolean (true if the key existed)
+ *   ttl(key)                               -> ms remaining | null (missing or no expiry)
+ *   checkAndSet(key, expected, value, ttl) -> boolean (atomic; expected null = only if absent)
+ *   addMember(key, member, ttlMs, max)     -> void (add a string to a set; each member expires
+ *                                             on its own, the oldest go beyond max)
+ *   members(key)                           -> Array of live members ([] if missing)
+ *   prune()                                -> number of expired keys removed
+ *   close()                                -> void
+ *
+ * Values must be JSON-serializable. Expired keys are swept on a timer.
+ *
+ * Usage:
+ *   const { createStore } = require('./store');
+ *   const store = createStore({ type: 'file', file: 'store.json' });
+ *   await store.set('challenge:abc', challenge, 60000);
+ */
+
+const fs = require('fs');
+
+const STORE_CONFIG = {
+  sweepInterval: 60000,            // Remove expired keys every minute
+  flushDelay: 1000                 // File store writes at most once per second
+};
+
+const clone = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * In-memory store (lost on restart)
+ * @param {Object} options - { sweepInterval, onChange }
+ * @returns {Object} Store
+ */
+function createMemoryStore(options = {}) {
+  const config = { ...STORE_CONFIG, ...options };
+  const entries = new Map(); // key -> { value, expiresAt }
+  const onChange = options.onChange || (() => {});
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function write(key, value, ttlMs) {
+    entries.set(key, {
+      value: clone(value),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+    onChange();
+  }
+
+  function prune() {
+    const now = Date.now();
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt && entry.expiresAt <= now) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    if (removed > 0) onChange();
+    return removed;
+  }
+
+  const sweeper = setInterval(prune, config.sweepInterval);
+  if (sweeper.unref) sweeper.unref();
+
+  return {
+    async get(key) {
+      const entry = live(key);
+      return entry ? clone(entry.value) : null;
+    },
+
+    async set(key, value, ttlMs) {
+      write(key, value, ttlMs);
+    },
+
+    async delete(key) {
+      const existed = live(key) !== null;
+      entries.delete(key);
+      if (existed) onChange();
+      return existed;
+    },
+
+    async ttl(key) {
+      const entry = live(key);
+      if (!entry || !entry.expiresAt) return null;
+      return entry.expiresAt - Date.now();
+    },
+
+    // Single-threaded, so compare and write can't interleave with another caller
+    async checkAndSet(key, expected, value, ttlMs) {
+      const entry = live(key);
+      const current = entry ? entry.value : null;
+      if (!sameValue(current, expected)) return false;
+      write(key, value, ttlMs);
+      return true;
+    },
+
+    // Members are kept as { member: expiresAt }, so adding one never copies the set
+    async addMember(key, member, ttlMs, max) {
+      const now = Date.now();
+      const entry = live(key) || { value: {}, expiresAt: null };
+      const set = entry.value;
+      for (const m of Object.keys(set)) {
+        if (set[m] <= now) delete set[m];
+      }
+      set[member] = now + ttlMs;
+      const names = Object.keys(set);
+      if (max && names.length > max) {
+        names.sort((a, b) => set[a] - set[b]);
+        for (const m of names.slice(0, names.length - max)) delete set[m];
+      }
+      entry.expiresAt = Math.max(entry.expiresAt || 0, now + ttlMs);
+      entries.set(key, entry);
+      onChange();
+    },
+
+    async members(key) {
+      const entry = live(key);
+      if (!entry) return [];
+      const now = Date.now();
+      return Object.keys(entry.value).filter(m => entry.value[m] > now);
+    },
+
+    async prune() {
+      return prune();
+    },
+
+    async close() {
+      clearInterval(sweeper);
+    },
+
+    // Used by the file store
+    _entries: entries
+  };
+}
+
+/**
+ * File-backed store: an in-memory store that is loaded from and flushed
+ * to a JSON file, so state survives restarts. Meant for development and
+ * small single-instance setups: every flush rewrites the whole file
+ * synchronously (at most once per flushDelay), and the store holds a day
+ * of replay fingerprints, rate-limit counters and stream sessions, so each
+ * flush blocks the event loop longer as traffic grows. Use Redis in production.
+ * @param {Object} options - { file, sweepInterval, flushDelay }
+ * @returns {Object} Store
+ */
+function createFileStore(options = {}) {
+  const config = { ...STORE_CONFIG, ...options };
+  const { file } = config;
+  let flushTimer = null;
+
+  function flush() {
+    flushTimer = null;
+    try {
+      const data = {};
+      for (const [key, entry] of memory._entries) {
+        data[key] = entry;
+      }
+      // Write then rename so a crash mid-write never leaves a truncated file
+      const tmp = file + '.tmp';
+      fs.writeFileSync(tmp, JSON.stringify(data));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.error('Error saving store:', e);
+    }
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, config.flushDelay);
+    if (flushTimer.unref) flushTimer.unref();
+  }
+
+  const memory = createMemoryStore({ ...config, onChange: scheduleFlush });
+
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const now = Date.now();
+      for (const key of Object.keys(data)) {
+        if (!data[key].expiresAt || data[key].expiresAt > now) {
+          memory._entries.set(key, data[key]);
+        }
+      }
+    }
+  } catch (e) {
+    console.error('Error loading store:', e);
+  }
+
+  // Don't lose the last second of writes on a normal shutdown
+  const flushOnExit = () => {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flush();
+    }
+  };
+  process.on('exit', flushOnExit);
+
+  return {
+    get: memory.get,
+    set: memory.set,
+    delete: memory.delete,
+    ttl: memory.ttl,
+    checkAndSet: memory.checkAndSet,
+    addMember: memory.addMember,
+    members: memory.members,
+    prune: memory.prune,
+
+    async close() {
+      await memory.close();
+      process.removeListener('exit', flushOnExit);
+      flushOnExit();
+    }
+  };
+}
+
+// Compare-and-set in one round trip: ARGV[1] expected (JSON, '' = absent), ARGV[2] value, ARGV[3] ttl ms
+const REDIS_CHECK_AND_SET = `
+local current = redis.call('GET', KEYS[1])
+if (current == false and ARGV[1] ~= '') or (current ~= false and current ~= ARGV[1]) then
+  return 0
+end
+if tonumber(ARGV[3]) > 0 then
+  redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+else
+  redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+// Sorted set scored by expiry: ARGV[1] member, ARGV[2] now, ARGV[3] ttl ms, ARGV[4] max (0 = no cap)
+const REDIS_ADD_MEMBER = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[2])
+redis.call('ZADD', KEYS[1], tonumber(ARGV[2]) + tonumber(ARGV[3]), ARGV[1])
+if tonumber(ARGV[4]) > 0 then
+  redis.call('ZREMRANGEBYRANK', KEYS[1], 0, -tonumber(ARGV[4]) - 1)
+end
+if redis.call('PTTL', KEYS[1]) < tonumber(ARGV[3]) then
+  redis.call('PEXPIRE', KEYS[1], ARGV[3])
+end
+return 1
+`;
+
+/**
+ * Redis-style store. Pass a connected client with the node-redis v4 API
+ * (get, set with { PX }, del, pTTL, eval, zRangeByScore); any backend that
+ * offers the same calls can be used. Redis expires keys itself, so prune is a no-op.
+ * @param {Object} client - Connected Redis-style client
+ * @param {Object} options - { prefix }
+ * @returns {Object} Store
+ */
+function createRedisStore(client, options = {}) {
+  const prefix = options.prefix || 'ai-mouse-check:';
+  const encode = (value) => JSON.stringify(value);
+
+  return {
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+
+    async set(key, value, ttlMs) {
+      if (ttlMs) {
+        await client.set(prefix + key, encode(value), { PX: ttlMs });
+      } else {
+        await client.set(prefix + key, encode(value));
+      }
+    },
+
+    async delete(key) {
+      return (await client.del(prefix + key)) > 0;
+    },
+
+    async ttl(key) {
+      const ms = await client.pTTL(prefix + key);
+      return ms >= 0 ? ms : null;
+    },
+
+    async checkAndSet(key, expected, value, ttlMs) {
+      const result = await client.eval(REDIS_CHECK_AND_SET, {
+        keys: [prefix + key],
+        arguments: [expected === null ? '' : encode(expected), encode(value), String(ttlMs || 0)]
+      });
+      return result === 1;
+    },
+
+    async addMember(key, member, ttlMs, max) {
+      await client.eval(REDIS_ADD_MEMBER, {
+        keys: [prefix + key],
+        arguments: [member, String(Date.now()), String(ttlMs), String(max || 0)]
+      });
+    },
+
+    async members(key) {
+      return client.zRangeByScore(prefix + key, '(' + Date.now(), '+inf');
+    },
+
+    async prune() {
+      return 0;
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * Create a store from config
+ * @param {Object} options - { type: 'memory' | 'file' | 'redis', file, client }
+ * @returns {Object} Store
+ */
+function createStore(options = {}) {
+  switch (options.type) {
+    case 'memory':
+      return createMemoryStore(options);
+    case 'redis':
+      return createRedisStore(options.client, options);
+    case 'file':
+    default:
+      return createFileStore(options);
+  }
+}
+
+module.exports = {
+  STORE_CONFIG,
+  createStore,
+  createMemoryStore,
+  createFileStore,
+  createRedisStore
+};
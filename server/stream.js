@@ -0,0 +1,193 @@
+/**
+ * AI Mouse Check - Streaming verification sessions
+ * The browser sends points in chunks while the user moves, so the server
+ * sees the trace as it is captured instead of all at once at the end. A
+ * session takes over its challenge (which can then no longer be used with
+ * /api/verify) and keeps the arrival time of every chunk. Each chunk is
+ * stored under its own key, so a new chunk never rewrites the earlier ones;
+ * the session itself only holds running state (target hits so far and the
+ * worst analysis window so far, see advanceWindows in detection-core.js) and
+ * the last few hundred points, so every chunk costs the same however long
+ * the session runs.
+ *
+ * Chunks are separate POSTs rather than a WebSocket or one chunked upload.
+ * Browsers only stream a fetch() upload over HTTP/2 and give no access to
+ * the response until the upload ends, which rules out the per-chunk answers
+ * (next target, early finish) the protocol depends on. A WebSocket would work
+ * but needs an upgrade-aware server and proxies; short POSTs on a keep-alive
+ * connection reuse the /api/verify stack (CORS, rate limits, origin checks).
+ *
+ * Arrival times are compared with client timestamps. Live capture keeps the
+ * gap between the two clocks roughly constant (network jitter aside); a
+ * pre-generated trace played back faster or slower than real time makes it
+ * drift steadily.
+ *
+ * Usage:
+ *   const { createStreamSessions, clockDrift } = require('./stream');
+ *   const streams = createStreamSessions(store);
+ *   const session = await streams.open(challenge, { recordId });
+ *   const windows = advanceWindows(session.windows, chunk, { targetHitsRequired });
+ *   const { status, session: updated } = await streams.append(session, chunk, { windows });
+ *   if (clockDrift(updated.arrivals) > STREAM_CONFIG.maxClockDriftMs) ...
+ *   const points = await streams.points(updated);  // the whole trace, to score it
+ */
+
+const crypto = require('crypto');
+const { advanceWindows, worstWindow } = require('./detection');
+
+const STREAM_CONFIG = {
+  maxClockDriftMs: 1500,           // Client/server clock gap may wander this much per session
+  maxChunks: 600,                  // e.g. 10 chunks a second for a 60s challenge
+  finishedTtl: 60000               // Sessions outlive their challenge (and keep their result) this long
+};
+
+/**
+ * How far the gap between arrival time and client timestamp has wandered
+ * @param {Array} arrivals - Array of { at (server ms), t (client ms of the chunk's last point) }
+ * @returns {number} Largest gap minus smallest gap, in ms
+ */
+function clockDrift(arrivals) {
+  if (!arrivals || arrivals.length < 2) return 0;
+  let min = Infinity;
+  let max = -Infinity;
+  for (const { at, t } of arrivals) {
+    const gap = at - t;
+    if (gap < min) min = gap;
+    if (gap > max) max = gap;
+  }
+  return max - min;
+}
+
+/**
+ * Create the streaming session store
+ * @param {Object} store - Store from ./store
+ * @param {Object} options - Overrides for STREAM_CONFIG
+ * @returns {Object} Sessions with open, get, append, points and finish
+ */
+function createStreamSessions(store, options = {}) {
+  const config = { ...STREAM_CONFIG, ...options };
+  const key = (streamId) => `stream:${streamId}`;
+  const chunkKey = (streamId, chunkId) => `stream:${streamId}:chunk:${chunkId}`;
+  // Late chunks still find the session and get 'challenge_expired' or the result
+  const ttlOf = (session) => Math.max(1, session.challenge.expiresAt + config.finishedTtl - Date.now());
+
+  /**
+   * Start a session on a challenge the caller has already consumed
+   * @param {Object} challenge - Challenge from the store
+   * @param {Object} meta - { recordId, action, clientDetectionVersion }
+   * @returns {Promise<Object>} The new session
+   */
+  async function open(challenge, meta = {}) {
+    const session = {
+      streamId: crypto.randomBytes(16).toString('hex'),
+      challenge,
+      recordId: meta.recordId || null,
+      action: meta.action != null ? meta.action : null,
+      clientDetectionVersion: meta.clientDetectionVersion || null,
+      openedAt: Date.now(),
+      pointCount: 0,
+      firstT: null,
+      lastT: null,
+      chunks: [],
+      hits: null,
+      windows: null,
+      arrivals: [],
+      done: false,
+      result: null
+    };
+    await store.set(key(session.streamId), session, ttlOf(session));
+    return session;
+  }
+
+  /**
+   * @param {string} streamId - Stream ID
+   * @returns {Promise<Object|null>} Session
+   */
+  async function get(streamId) {
+    return store.get(key(streamId));
+  }
+
+  /**
+   * Add a chunk of points and record when it arrived
+   * @param {Object} current - Session the chunk continues, as returned by get
+   * @param {Array} points - Validated chunk of {x, y, t}
+   * @param {Object} progress - Running state for the session, e.g. { hits, windows }
+   * @returns {Promise<Object>} { status: 'ok' | 'not_found' | 'finished' | 'too_many_chunks' | 'conflict', session }
+   *   ('conflict' means another chunk for the same stream was stored at the same time)
+   */
+  async function append(current, points, progress = {}) {
+    const { streamId } = current;
+    if (current.done) return { status: 'finished', session: current };
+    if (current.arrivals.length >= config.maxChunks) return { status: 'too_many_chunks', session: current };
+
+    // Written first under a fresh ID, so a chunk that loses the race below never replaces one that won
+    const chunkId = crypto.randomBytes(8).toString('hex');
+    await store.set(chunkKey(streamId, chunkId), points, ttlOf(current));
+
+    const session = {
+      ...current,
+      ...progress,
+      pointCount: current.pointCount + points.length,
+      firstT: current.pointCount > 0 ? current.firstT : points[0].t,
+      lastT: points[points.length - 1].t,
+      chunks: current.chunks.concat(chunkId),
+      arrivals: current.arrivals.concat({ at: Date.now(), t: points[points.length - 1].t })
+    };
+    if (!(await store.checkAndSet(key(streamId), current, session, ttlOf(session)))) {
+      await store.delete(chunkKey(streamId, chunkId));
+      const latest = await get(streamId);
+      if (!latest) return { status: 'not_found', session: null };
+      if (latest.done) return { status: 'finished', session: latest };
+      return { status: 'conflict', session: latest };
+    }
+    return { status: 'ok', session };
+  }
+
+  /**
+   * All points of a session, in the order they arrived
+   * @param {Object} session - Session as returned by get or append
+   * @returns {Promise<Array>} Array of {x, y, t}
+   */
+  async function points(session) {
+    const all = [];
+    for (const chunkId of session.chunks) {
+      const chunk = await store.get(chunkKey(session.streamId, chunkId));
+      if (chunk) all.push(...chunk);
+    }
+    return all;
+  }
+
+  /**
+   * Close a session with its final result; only one caller can finish it
+   * @param {Object} session - Session as returned by append
+   * @param {Object} result - Response body of the decision
+   * @returns {Promise<boolean>} Whether this call finished it
+   */
+  async function finish(session, result) {
+    const finished = { ...session, chunks: [], windows: null, done: true, result };
+    if (!(await store.checkAndSet(key(session.streamId), session, finished, config.finishedTtl))) {
+      return false;
+    }
+    for (const chunkId of session.chunks) {
+      await store.delete(chunkKey(session.streamId, chunkId));
+    }
+    return true;
+  }
+
+  return {
+    open,
+    get,
+    append,
+    points,
+    finish
+  };
+}
+
+module.exports = {
+  STREAM_CONFIG,
+  clockDrift,
+  // From detection-core.js, which the browser library runs too
+  advanceWindows,
+  worstWindow,
+  createStreamSessions
+};
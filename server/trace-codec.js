@@ -0,0 +1,155 @@
+/**
+ * AI Mouse Check - Compact trace encoding
+ * Decodes the delta-encoded traces the browser library uploads in place of
+ * {x, y, t} JSON (AIMouseCheck.encodeTrace), roughly a tenth of the size.
+ *
+ * Format (version 2), base64 of:
+ *   byte     version (2; version 1 is the same without flag bit 1)
+ *   byte     flags: bit 0 = every point carries an event type tag,
+ *                   bit 1 = every point carries pointer event fields
+ *   varint   scale: position steps per pixel (1 = whole pixels, 100 = 0.01 px)
+ *   varint   timeScale: time steps per ms (1 = whole ms, 1000 = microseconds)
+ *   varint   count: number of points
+ *   zigzag   t of the first point, in time steps
+ *   count x  zigzag dx, dy, dt from the previous point (the first from 0, 0, t),
+ *            then a varint index into TRACE_EVENT_TYPES if tagged,
+ *            then if pointer fields: zigzag movementX and movementY (in position
+ *            steps) and a varint buttons * 8 + pointer type index * 2 + untrusted
+ * Varints are unsigned LEB128; zigzag maps 0, -1, 1, -2 ... to 0, 1, 2, 3 ...
+ *
+ * Usage:
+ *   const { pointsFromBody } = require('./trace-codec');
+ *   const { points, errors } = pointsFromBody(req.body); // { points } or { trace }
+ *   if (errors.length > 0) return res.status(400).json({ error: 'Invalid points', details: errors });
+ */
+
+const { VALIDATION_CONFIG } = require('./validation');
+const { POINTER_TYPES } = require('./pointer-events');
+
+const TRACE_FORMAT_VERSION = 2;
+// Tag i is TRACE_EVENT_TYPES[i]; append only, old indexes must keep their meaning
+const TRACE_EVENT_TYPES = ['move', 'down', 'up', 'enter', 'leave'];
+// Pointer type index i; browsers report '' when they can't tell
+const TRACE_POINTER_TYPES = [...POINTER_TYPES, ''];
+const FLAG_TAGGED = 1;
+const FLAG_POINTER = 2;
+const MAX_SCALE = 1000;
+
+/**
+ * Decode a compact trace
+ * @param {*} trace - Submitted trace (base64 string)
+ * @param {Object} options - { maxPoints } (default VALIDATION_CONFIG.maxPoints)
+ * @returns {Object} { points, errors }: points of {x, y, t} (plus type and
+ *   the pointer fields when present), or null with errors as [{ field, error }]
+ */
+function decodeTrace(trace, options = {}) {
+  const maxPoints = options.maxPoints || VALIDATION_CONFIG.maxPoints;
+  const fail = (error) => ({ points: null, errors: [{ field: 'trace', error }] });
+
+  if (typeof trace !== 'string' || !/^[A-Za-z0-9+/]*={0,2}$/.test(trace)) {
+    return fail('must be a base64 string');
+  }
+  const bytes = Buffer.from(trace, 'base64');
+  let pos = 0;
+
+  const readVarint = () => {
+    let value = 0;
+    let multiplier = 1;
+    for (;;) {
+      if (pos >= bytes.length) return null;
+      const byte = bytes[pos++];
+      value += (byte & 0x7f) * multiplier;
+      if (value > Number.MAX_SAFE_INTEGER) return null;
+      if (byte < 0x80) return value;
+      multiplier *= 128;
+    }
+  };
+  const readZigzag = () => {
+    const value = readVarint();
+    if (value === null) return null;
+    return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+  };
+
+  if (bytes.length < 2) return fail('is truncated');
+  const version = bytes[pos++];
+  if (version < 1 || version > TRACE_FORMAT_VERSION) {
+    return fail(`has unsupported format version ${version} (expected 1 to ${TRACE_FORMAT_VERSION})`);
+  }
+  const flags = bytes[pos++];
+  const knownFlags = version === 1 ? FLAG_TAGGED : FLAG_TAGGED | FLAG_POINTER;
+  if ((flags & ~knownFlags) !== 0) return fail(`has unknown flags ${flags}`);
+  const tagged = (flags & FLAG_TAGGED) !== 0;
+  const withPointer = (flags & FLAG_POINTER) !== 0;
+
+  const scale = readVarint();
+  const timeScale = readVarint();
+  const count = readVarint();
+  let t = readZigzag();
+  if (t === null) return fail('is truncated');
+  if (scale < 1 || scale > MAX_SCALE || timeScale < 1 || timeScale > MAX_SCALE) {
+    return fail(`scales must be between 1 and ${MAX_SCALE}`);
+  }
+  if (count > maxPoints) {
+    return fail(`must not contain more than ${maxPoints} points`);
+  }
+
+  const points = new Array(count);
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < count; i++) {
+    const dx = readZigzag();
+    const dy = readZigzag();
+    const dt = readZigzag();
+    if (dt === null) return fail(`is truncated at point ${i}`);
+    x += dx;
+    y += dy;
+    t += dt;
+
+    const point = { x: x / scale, y: y / scale, t: t / timeScale };
+    if (tagged) {
+      const tag = readVarint();
+      if (tag === null) return fail(`is truncated at point ${i}`);
+      if (tag >= TRACE_EVENT_TYPES.length) return fail(`has unknown event type ${tag} at point ${i}`);
+      point.type = TRACE_EVENT_TYPES[tag];
+    }
+    if (withPointer) {
+      const movementX = readZigzag();
+      const movementY = readZigzag();
+      const packed = readVarint();
+      if (packed === null) return fail(`is truncated at point ${i}`);
+      const typeIndex = Math.floor(packed / 2) % 4;
+      point.movementX = movementX / scale;
+      point.movementY = movementY / scale;
+      point.buttons = Math.floor(packed / 8);
+      point.pointerType = TRACE_POINTER_TYPES[typeIndex];
+      point.isTrusted = packed % 2 === 0;
+    }
+    points[i] = point;
+  }
+
+  if (pos !== bytes.length) return fail(`has ${bytes.length - pos} bytes after the last point`);
+  return { points, errors: [] };
+}
+
+/**
+ * The points of a request body, sent either as `points` (JSON array) or as
+ * `trace` (compact encoding); the caller still runs validatePoints on them
+ * @param {Object} body - Request body
+ * @returns {Object} { points, errors } (points undefined when neither was sent)
+ */
+function pointsFromBody(body) {
+  const { points, trace } = body || {};
+  if (trace === undefined) return { points, errors: [] };
+  if (points !== undefined) {
+    return { points: null, errors: [{ field: 'trace', error: 'send either points or trace, not both' }] };
+  }
+  return decodeTrace(trace);
+}
+
+module.exports = {
+  TRACE_FORMAT_VERSION,
+  TRACE_EVENT_TYPES,
+  TRACE_POINTER_TYPES,
+  decodeTrace,
+  pointsFromBody
+};
@@ -0,0 +1,168 @@
+/**
+ * AI Mouse Check - Schema validation for submitted movement traces
+ * Rejects malformed input before it reaches analyzeMovement, which assumes
+ * finite numeric x, y, t in time order. Errors are reported per field, e.g.
+ * { field: 'points[12].t', error: 'must not be earlier than points[11].t' }.
+ *
+ * Usage:
+ *   const { validatePoints, validateCaptureArea } = require('./validation');
+ *   const errors = validatePoints(req.body.points);
+ *   if (errors.length > 0) return res.status(400).json({ error: 'Invalid points', details: errors });
+ */
+
+const { validatePointerFields } = require('./pointer-events');
+
+const VALIDATION_CONFIG = {
+  maxPoints: 20000,                // Upper bound on points per trace
+  maxSampleRateHz: 2000,           // Average rate above this can't come from a real pointer
+  areaSlackPx: 1,                  // Sub-pixel tolerance at the capture area edges
+  maxErrors: 20,                   // Only the first errors are reported
+  maxActionBytes: 4096,            // Upper bound on an action descriptor as JSON
+  maxRecordIdLength: 128           // recordId goes into rate-limit keys, tokens, logs and webhooks
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Validate the shape of a points array
+ * @param {*} points - Submitted points
+ * @param {Object} options - Overrides for VALIDATION_CONFIG
+ * @param {Object|null} previous - For a streamed chunk, the points accepted before it as
+ *   { count, firstT, lastT }; the chunk is then checked as the continuation of those
+ * @returns {Array} Array of { field, error }; empty when valid
+ */
+function validatePoints(points, options = {}, previous = null) {
+  const config = { ...VALIDATION_CONFIG, ...options };
+  const errors = [];
+  const before = previous || { count: 0, firstT: null, lastT: null };
+
+  if (!Array.isArray(points)) {
+    return [{ field: 'points', error: 'must be an array of {x, y, t}' }];
+  }
+  if (before.count + points.length > config.maxPoints) {
+    return [{ field: 'points', error: `must not contain more than ${config.maxPoints} points` }];
+  }
+
+  let previousT = before.lastT;
+  for (let i = 0; i < points.length && errors.length < config.maxErrors; i++) {
+    const p = points[i];
+    if (!p || typeof p !== 'object' || Array.isArray(p)) {
+      errors.push({ field: `points[${i}]`, error: 'must be an object {x, y, t}' });
+      previousT = null;
+      continue;
+    }
+
+    for (const key of ['x', 'y', 't']) {
+      if (!isFiniteNumber(p[key])) {
+        errors.push({ field: `points[${i}].${key}`, error: 'must be a finite number' });
+      }
+    }
+    errors.push(...validatePointerFields(p, i));
+
+    if (!isFiniteNumber(p.t)) {
+      previousT = null;
+      continue;
+    }
+    if (previousT !== null && p.t < previousT) {
+      const earlier = i === 0 ? 'the last point of the previous chunk' : `points[${i - 1}].t`;
+      errors.push({ field: `points[${i}].t`, error: `must not be earlier than ${earlier}` });
+    }
+    previousT = p.t;
+  }
+
+  // Rate is only meaningful once every timestamp is valid
+  const count = before.count + points.length;
+  if (errors.length === 0 && count > 1 && points.length > 0) {
+    const duration = points[points.length - 1].t - (before.count > 0 ? before.firstT : points[0].t);
+    const rate = (count - 1) * 1000 / duration;
+    if (duration <= 0) {
+      errors.push({ field: 'points', error: 'timestamps must span a non-zero duration' });
+    } else if (rate > config.maxSampleRateHz) {
+      errors.push({
+        field: 'points',
+        error: `sampling rate of ${Math.round(rate)} Hz exceeds ${config.maxSampleRateHz} Hz`
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check that every point lies inside the capture area declared for the challenge
+ * @param {Array} points - Points that already passed validatePoints
+ * @param {Object} area - { width, height }
+ * @param {Object} options - Overrides for VALIDATION_CONFIG
+ * @returns {Array} Array of { field, error }; empty when valid
+ */
+function validateCaptureArea(points, area, options = {}) {
+  const config = { ...VALIDATION_CONFIG, ...options };
+  const errors = [];
+  const slack = config.areaSlackPx;
+
+  for (let i = 0; i < points.length && errors.length < config.maxErrors; i++) {
+    const { x, y } = points[i];
+    if (x < -slack || x > area.width + slack) {
+      errors.push({ field: `points[${i}].x`, error: `must be within 0..${area.width}` });
+    }
+    if (y < -slack || y > area.height + slack) {
+      errors.push({ field: `points[${i}].y`, error: `must be within 0..${area.height}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an optional action descriptor (what the verification is for)
+ * @param {*} action - Submitted action: a non-empty string or a JSON object
+ * @param {Object} options - Overrides for VALIDATION_CONFIG
+ * @returns {Array} Array of { field, error }; empty when valid or absent
+ */
+function validateAction(action, options = {}) {
+  const config = { ...VALIDATION_CONFIG, ...options };
+
+  if (action === undefined || action === null) return [];
+
+  const isObject = typeof action === 'object' && !Array.isArray(action);
+  if (!(typeof action === 'string' && action.length > 0) && !isObject) {
+    return [{ field: 'action', error: 'must be a non-empty string or an object' }];
+  }
+  if (Buffer.byteLength(JSON.stringify(action)) > config.maxActionBytes) {
+    return [{ field: 'action', error: `must not be larger than ${config.maxActionBytes} bytes as JSON` }];
+  }
+
+  return [];
+}
+
+/**
+ * Validate an optional recordId
+ * @param {*} recordId - Submitted recordId: a non-empty string without control characters
+ * @param {Object} options - Overrides for VALIDATION_CONFIG
+ * @returns {Array} Array of { field, error }; empty when valid or absent
+ */
+function validateRecordId(recordId, options = {}) {
+  const config = { ...VALIDATION_CONFIG, ...options };
+
+  if (recordId === undefined || recordId === null) return [];
+
+  if (typeof recordId !== 'string' || recordId.length === 0) {
+    return [{ field: 'recordId', error: 'must be a non-empty string' }];
+  }
+  if (recordId.length > config.maxRecordIdLength) {
+    return [{ field: 'recordId', error: `must not be longer than ${config.maxRecordIdLength} characters` }];
+  }
+  if (/[\x00-\x1f\x7f]/.test(recordId)) {
+    return [{ field: 'recordId', error: 'must not contain control characters' }];
+  }
+
+  return [];
+}
+
+module.exports = {
+  VALIDATION_CONFIG,
+  validatePoints,
+  validateCaptureArea,
+  validateAction,
+  validateRecordId
+};
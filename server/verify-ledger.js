@@ -0,0 +1,32 @@
+/**
+ * AI Mouse Check - Ledger chain verifier
+ * Walks the signature ledger from the first entry and reports the first
+ * deleted, reordered or edited entry. Pass a head hash recorded earlier
+ * (e.g. from GET /api/admin/ledger/verify) to also catch a truncated tail.
+ *
+ * Usage:
+ *   npm run verify-ledger
+ *   npm run verify-ledger -- path/to/ledger.jsonl --head <hash>
+ *
+ * Exits with 0 if the chain is intact, 1 if not.
+ */
+
+const path = require('path');
+const { readLedger, verifyChain } = require('./ledger');
+
+const args = process.argv.slice(2);
+const headIndex = args.indexOf('--head');
+const expectedHead = headIndex !== -1 ? args[headIndex + 1] : null;
+const file = args.find((arg, i) => !arg.startsWith('--') && (headIndex === -1 || i !== headIndex + 1)) ||
+  process.env.LEDGER_FILE || path.join(process.env.DATA_DIR || path.join(__dirname, '..', 'data'), 'ledger.jsonl');
+
+const result = verifyChain(readLedger(file), expectedHead);
+
+if (result.valid) {
+  console.log(`OK: ${result.length} entries, head ${result.head}`);
+  process.exit(0);
+}
+
+console.error(`BROKEN at entry ${result.error.seq} (${result.error.reason}) in ${file}`);
+console.error(`Entries before it are intact; last good hash ${result.head}`);
+process.exit(1);
@@ -0,0 +1,58 @@
+/**
+ * AI Mouse Check - Local webhook receiver for testing
+ * Prints every webhook it receives and checks its signature.
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=whsec_... npm run webhook-receiver
+ *   # Register http://localhost:3848/webhook with POST /api/admin/webhooks
+ *
+ * Environment:
+ *   WEBHOOK_RECEIVER_PORT - Port to listen on (default 3848)
+ *   WEBHOOK_SECRET        - Signing secret returned when the webhook was registered
+ *   WEBHOOK_FAIL_FIRST    - Answer 500 to the first N requests, to watch retries
+ */
+
+const http = require('http');
+const { verifyWebhookSignature } = require('./webhooks');
+
+const PORT = process.env.WEBHOOK_RECEIVER_PORT || 3848;
+const SECRET = process.env.WEBHOOK_SECRET || null;
+let failuresLeft = parseInt(process.env.WEBHOOK_FAIL_FIRST, 10) || 0;
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405);
+    return res.end();
+  }
+
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const signature = req.headers['x-aimousecheck-signature'];
+    const valid = SECRET ? verifyWebhookSignature(SECRET, signature, body) : null;
+
+    console.log(`\n[${new Date().toISOString()}] ${req.headers['x-aimousecheck-event']} ` +
+      `delivery=${req.headers['x-aimousecheck-delivery']} signature=${valid === null ? 'unchecked' : valid ? 'valid' : 'INVALID'}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (e) {
+      console.log(body);
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      console.log(`Answering 500 (${failuresLeft} more failures to go)`);
+      res.writeHead(500);
+      return res.end();
+    }
+
+    res.writeHead(valid === false ? 401 : 200);
+    res.end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/webhook`);
+  if (!SECRET) console.log('WEBHOOK_SECRET not set - signatures are not checked');
+});
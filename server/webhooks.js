@@ -0,0 +1,373 @@
+/**
+ * AI Mouse Check - Webhook notifications for verification outcomes
+ * Registered URLs receive a signed POST for every /api/verify decision they
+ * subscribe to ('pass', 'fail', 'aiDetected'). Failed deliveries are retried
+ * with exponential backoff, and every attempt is kept in a delivery log.
+ * Pending retries are timers in this process: a restart drops them (the
+ * delivery log still shows the attempts that were made).
+ *
+ * URLs that point into the server's own network (loopback, private, link-local
+ * and cloud metadata addresses) are refused at registration and again on every
+ * delivery, checking the addresses the host resolves to at that moment so a
+ * DNS change can't redirect a registered webhook. Redirects are not followed.
+ *
+ * Each request carries:
+ *   X-AIMouseCheck-Event:     comma-separated events, e.g. "fail,aiDetected"
+ *   X-AIMouseCheck-Delivery:  delivery ID (the same on every retry)
+ *   X-AIMouseCheck-Signature: t=<unix ms>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Usage:
+ *   const { createWebhooks, verifyWebhookSignature } = require('./webhooks');
+ *   const webhooks = createWebhooks(store);
+ *   const { webhook, secret } = await webhooks.create({ url, events: ['fail'] });
+ *   webhooks.dispatch(['fail'], data, siteKey);
+ *
+ *   // In the receiver
+ *   verifyWebhookSignature(secret, req.headers['x-aimousecheck-signature'], rawBody);
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+const WEBHOOK_CONFIG = {
+  maxAttempts: 5,                  // First try plus 4 retries
+  baseDelayMs: 1000,               // Retry after 1s, 2s, 4s, 8s
+  timeoutMs: 5000,                 // Per request
+  logEntries: 100,                 // Delivery log entries kept per webhook
+  signatureToleranceMs: 5 * 60000, // Receivers reject signatures older than this
+  allowPrivateTargets: false       // true lets URLs reach private addresses, e.g. a local receiver
+};
+
+const EVENTS = ['pass', 'fail', 'aiDetected'];
+
+// Addresses a webhook must not reach: this host, private networks, link-local
+// (169.254.169.254 is the cloud metadata service), multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are matched against the IPv4 ranges
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} Whether a webhook must not be sent there
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * dns.lookup that fails for hosts resolving to a private address; used for
+ * the connection itself, so the checked address is the one connected to
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(a => isPrivateAddress(a.address));
+    if (blocked) return callback(new Error(`${hostname} resolves to private address ${blocked.address}`));
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Check that a URL may be registered as a webhook
+ * @param {string} url - Submitted URL
+ * @param {Object} options - { allowPrivateTargets } (default WEBHOOK_CONFIG)
+ * @returns {Promise<string|null>} Why it can't, or null if it can
+ */
+async function checkWebhookUrl(url, options = {}) {
+  const { allowPrivateTargets } = { ...WEBHOOK_CONFIG, ...options };
+  let target = null;
+  try {
+    target = new URL(url);
+  } catch (e) {
+    target = null;
+  }
+  if (!target || (target.protocol !== 'http:' && target.protocol !== 'https:')) {
+    return 'url must be an http(s) URL';
+  }
+  if (allowPrivateTargets) return null;
+
+  // IPv6 literals keep their brackets in hostname
+  const host = target.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true });
+  } catch (e) {
+    return `url host ${host} does not resolve`;
+  }
+  const blocked = addresses.find(a => isPrivateAddress(a.address));
+  return blocked ? `url must not point to a private or loopback address (${blocked.address})` : null;
+}
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Webhook signing secret
+ * @param {string} body - Raw JSON body
+ * @param {number} timestamp - Unix ms
+ * @returns {string} Signature header value
+ */
+function signWebhook(secret, body, timestamp) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+/**
+ * Check a webhook signature header (for receivers)
+ * @param {string} secret - Webhook signing secret
+ * @param {string} header - X-AIMouseCheck-Signature value
+ * @param {string} body - Raw request body, exactly as received
+ * @param {number} toleranceMs - Maximum signature age
+ * @returns {boolean} Whether the signature is valid and recent
+ */
+function verifyWebhookSignature(secret, header, body, toleranceMs = WEBHOOK_CONFIG.signatureToleranceMs) {
+  if (typeof header !== 'string') return false;
+  const parts = Object.fromEntries(header.split(',').map(p => p.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() - timestamp) > toleranceMs) return false;
+
+  const expected = signWebhook(secret, body, timestamp).split('v1=')[1];
+  const given = String(parts.v1 || '');
+  return given.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+/**
+ * POST a body to a URL; a redirect is just a non-2xx status
+ * @param {boolean} allowPrivateTargets - Skip the private address check
+ * @returns {Promise<number>} HTTP status code
+ */
+function post(url, body, headers, timeoutMs, allowPrivateTargets) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    // Literal IPs never go through lookup
+    const host = target.hostname.replace(/^\[(.*)\]$/, '$1');
+    if (!allowPrivateTargets && net.isIP(host) && isPrivateAddress(host)) {
+      reject(new Error(`${host} is a private address`));
+      return;
+    }
+    const request = (target.protocol === 'https:' ? https : http).request(target, {
+      method: 'POST',
+      lookup: allowPrivateTargets ? undefined : publicLookup,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      timeout: timeoutMs
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+    request.on('timeout', () => request.destroy(new Error('Timed out')));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Create the webhook registry and dispatcher on top of a key/value store
+ * @param {Object} store - Store from ./store
+ * @param {Object} options - Overrides for WEBHOOK_CONFIG
+ * @returns {Object} Webhooks with create, list, remove, deliveries, dispatch
+ */
+function createWebhooks(store, options = {}) {
+  const config = { ...WEBHOOK_CONFIG, ...options };
+
+  // webhook:<id>            -> { id, url, events, siteKey, secret, createdAt }
+  // webhook:deliveries:<id> -> Array of delivery attempts, most recent last
+  // webhooks                -> Array of webhook IDs
+  const webhookKey = (id) => 'webhook:' + id;
+  const logKey = (id) => 'webhook:deliveries:' + id;
+
+  const publicWebhook = (webhook) => ({
+    id: webhook.id,
+    url: webhook.url,
+    events: webhook.events,
+    siteKey: webhook.siteKey,
+    createdAt: webhook.createdAt
+  });
+
+  async function update(key, change) {
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const current = await store.get(key);
+      if (await store.checkAndSet(key, current, change(current || []))) return;
+    }
+    console.error('Webhooks: gave up updating', key);
+  }
+
+  /**
+   * Register a webhook
+   * @param {Object} options - { url, events, siteKey }
+   * @returns {Promise<Object>} { webhook, secret } - the signing secret is only returned here
+   */
+  async function create({ url, events, siteKey }) {
+    const webhook = {
+      id: 'wh_' + crypto.randomBytes(8).toString('hex'),
+      url,
+      events,
+      siteKey: siteKey || null,
+      secret: 'whsec_' + crypto.randomBytes(24).toString('hex'),
+      createdAt: Date.now()
+    };
+    await store.set(webhookKey(webhook.id), webhook);
+    await update('webhooks', ids => ids.concat(webhook.id));
+    return { webhook: publicWebhook(webhook), secret: webhook.secret };
+  }
+
+  async function all() {
+    const ids = (await store.get('webhooks')) || [];
+    const webhooks = [];
+    for (const id of ids) {
+      const webhook = await store.get(webhookKey(id));
+      if (webhook) webhooks.push(webhook);
+    }
+    return webhooks;
+  }
+
+  /**
+   * Registered webhooks, optionally only those of one site
+   * @param {string|null} siteKey - Site key, or undefined for all
+   * @returns {Promise<Array>} Webhooks without secrets
+   */
+  async function list(siteKey) {
+    const webhooks = await all();
+    return webhooks
+      .filter(w => siteKey === undefined || w.siteKey === siteKey)
+      .map(publicWebhook);
+  }
+
+  /**
+   * Webhook by ID (without secret)
+   * @returns {Promise<Object|null>}
+   */
+  async function get(id) {
+    const webhook = await store.get(webhookKey(id));
+    return webhook ? publicWebhook(webhook) : null;
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * @returns {Promise<boolean>} Whether it existed
+   */
+  async function remove(id) {
+    const existed = await store.delete(webhookKey(id));
+    await store.delete(logKey(id));
+    await update('webhooks', ids => ids.filter(i => i !== id));
+    return existed;
+  }
+
+  /**
+   * Delivery log for a webhook
+   * @returns {Promise<Array>} Attempts, most recent first
+   */
+  async function deliveries(id) {
+    return ((await store.get(logKey(id))) || []).slice().reverse();
+  }
+
+  async function logAttempt(id, entry) {
+    await update(logKey(id), log => log.concat(entry).slice(-config.logEntries));
+  }
+
+  /**
+   * Deliver one payload, retrying with backoff until it succeeds or runs out of attempts
+   */
+  async function deliver(webhook, deliveryId, events, body, attempt = 1) {
+    // Stop retrying once the webhook is deleted
+    if (attempt > 1 && !(await store.get(webhookKey(webhook.id)))) return;
+
+    const started = Date.now();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      statusCode = await post(webhook.url, body, {
+        'X-AIMouseCheck-Event': events.join(','),
+        'X-AIMouseCheck-Delivery': deliveryId,
+        'X-AIMouseCheck-Signature': signWebhook(webhook.secret, body, Date.now())
+      }, config.timeoutMs, config.allowPrivateTargets);
+    } catch (e) {
+      error = e.message;
+    }
+
+    const delivered = statusCode >= 200 && statusCode < 300;
+    const retrying = !delivered && attempt < config.maxAttempts;
+    const nextDelay = config.baseDelayMs * Math.pow(2, attempt - 1);
+
+    await logAttempt(webhook.id, {
+      deliveryId,
+      events,
+      attempt,
+      timestamp: started,
+      durationMs: Date.now() - started,
+      statusCode,
+      error,
+      delivered,
+      nextAttemptAt: retrying ? Date.now() + nextDelay : null
+    });
+
+    if (retrying) {
+      const timer = setTimeout(() => {
+        deliver(webhook, deliveryId, events, body, attempt + 1)
+          .catch(e => console.error('Webhook delivery error:', e));
+      }, nextDelay);
+      if (timer.unref) timer.unref();
+    }
+  }
+
+  /**
+   * Send a verification outcome to every matching webhook. Returns once the
+   * first attempts have been started; retries continue in the background.
+   * @param {Array} events - Events that apply, e.g. ['fail', 'aiDetected']
+   * @param {Object} data - Verification details for the payload
+   * @param {string|null} siteKey - Site the verification belongs to
+   */
+  async function dispatch(events, data, siteKey) {
+    const webhooks = (await all()).filter(w =>
+      (w.siteKey === null || w.siteKey === siteKey) &&
+      w.events.some(e => events.includes(e))
+    );
+
+    for (const webhook of webhooks) {
+      const deliveryId = 'dlv_' + crypto.randomBytes(8).toString('hex');
+      const matched = events.filter(e => webhook.events.includes(e));
+      const body = JSON.stringify({
+        id: deliveryId,
+        events: matched,
+        createdAt: Date.now(),
+        data
+      });
+      deliver(webhook, deliveryId, matched, body)
+        .catch(e => console.error('Webhook delivery error:', e));
+    }
+  }
+
+  return {
+    create,
+    get,
+    list,
+    remove,
+    deliveries,
+    dispatch
+  };
+}
+
+module.exports = {
+  WEBHOOK_CONFIG,
+  EVENTS,
+  createWebhooks,
+  checkWebhookUrl,
+  isPrivateAddress,
+  signWebhook,
+  verifyWebhookSignature
+};
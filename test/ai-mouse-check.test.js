@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { humanTrace } = require('./helpers');
+
+// The library announces itself on load
+test.mock.method(console, 'log', () => {});
+const { TraceBuffer } = require('../ai-mouse-check');
+test.mock.restoreAll();
+
+const pointerPoint = (x, fields = {}) => ({
+  x, y: x + 0.5, t: 1700000000000.125 + x,
+  movementX: 1.5, movementY: -2, buttons: 1, pointerType: 'pen', isTrusted: true, ...fields
+});
+
+test('TraceBuffer', async (t) => {
+  await t.test('keeps every point in order, with its pointer fields', () => {
+    const trace = new TraceBuffer(10);
+    const points = [{ x: 1, y: 2, t: 1700000000000 }, pointerPoint(3), pointerPoint(4, { pointerType: 'touch', isTrusted: false, buttons: 0 })];
+    for (const point of points) assert.equal(trace.push(point), true);
+
+    assert.equal(trace.length, 3);
+    assert.deepEqual(trace.toArray(), points);
+    assert.deepEqual(trace.toArray(1), points.slice(1));
+    assert.deepEqual(trace.toArray(5), []);
+    // Pointer types the library doesn't know come back as ''
+    trace.push(pointerPoint(5, { pointerType: 'stylus' }));
+    assert.equal(trace.toArray(3)[0].pointerType, '');
+  });
+
+  await t.test('refuses points once full instead of dropping earlier ones', () => {
+    const points = humanTrace(60, 2);
+    const trace = new TraceBuffer(50);
+    const kept = points.filter(point => trace.push(point));
+    assert.equal(kept.length, 50);
+    assert.deepEqual(trace.toArray(), points.slice(0, 50));
+
+    trace.clear();
+    assert.equal(trace.length, 0);
+    assert.equal(trace.push(points[55]), true);
+    assert.deepEqual(trace.toArray(), [points[55]]);
+  });
+});
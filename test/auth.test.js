@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseAdminTokens } = require('../server/auth');
+const { startServer } = require('./helpers');
+
+test('parseAdminTokens reads name:scope:token entries and the legacy ADMIN_TOKEN', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(parseAdminTokens({
+    ADMIN_TOKENS: 'alice:write:s3cret, dash:read:a:b:c,bad:root:x,nobody:read:',
+    ADMIN_TOKEN: 'legacy'
+  }), [
+    { name: 'alice', scope: 'write', token: 's3cret' },
+    { name: 'dash', scope: 'read', token: 'a:b:c' },
+    { name: 'admin', scope: 'write', token: 'legacy' }
+  ]);
+  assert.equal(console.warn.mock.callCount(), 2);
+  assert.deepEqual(parseAdminTokens({}), []);
+});
+
+test('admin endpoints', async (t) => {
+  const server = await startServer({ ADMIN_TOKENS: 'alice:write:wtok,dash:read:rtok' });
+  t.after(() => server.close());
+  const as = (token) => ({ Authorization: 'Bearer ' + token });
+
+  await t.test('need a token', async () => {
+    assert.equal((await server.post('/api/reset-matrix', {})).status, 401);
+    assert.equal((await server.get('/api/movements')).status, 401);
+    assert.equal((await server.get('/api/admin/keys', { Authorization: 'wtok' })).status, 401);
+    assert.equal((await server.get('/api/admin/keys', as('wrong'))).status, 401);
+    assert.equal((await server.get('/api/admin/keys', as('wtok0'))).status, 401);
+  });
+
+  await t.test('need the write scope to change data', async () => {
+    const denied = await server.post('/api/reset-matrix', {}, as('rtok'));
+    assert.equal(denied.status, 403);
+    assert.match(denied.body.error, /write/);
+    assert.equal((await server.post('/api/admin/rotate-key', {}, as('rtok'))).status, 403);
+    assert.equal((await server.post('/api/reset-matrix', {}, as('wtok'))).status, 200);
+  });
+
+  await t.test('let read tokens view data, but never key secrets', async () => {
+    const keys = await server.get('/api/admin/keys', as('rtok'));
+    assert.equal(keys.status, 200);
+    assert.ok(keys.body.keys.length > 0);
+    assert.ok(!JSON.stringify(keys.body).includes('secret'));
+    assert.equal((await server.get('/api/movements', as('rtok'))).status, 200);
+  });
+
+  await t.test('audit every action and refusal', async () => {
+    const { body } = await server.get('/api/admin/audit?limit=10', as('rtok'));
+    const reset = body.entries.find(e => e.action === 'reset_matrix');
+    assert.equal(reset.actor, 'alice');
+    assert.equal(reset.scope, 'write');
+    const denied = body.entries.filter(e => e.action === 'denied');
+    assert.ok(denied.some(e => e.actor === 'dash' && e.details.path === '/api/reset-matrix' && e.details.required === 'write'));
+  });
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  CHALLENGE_CONFIG, createChallenge, countTargetHits, advanceTargetHits, fitsChallengeWindow, publicChallenge
+} = require('../server/challenge');
+const { verifyToken } = require('../server/detection');
+const { targetTrace, passingTrace, startServer } = require('./helpers');
+
+// A fixed schedule, so hits can be placed exactly
+const challenge = {
+  ...createChallenge(),
+  targets: [{ x: 100, y: 100, size: 50 }, { x: 300, y: 200, size: 50 }],
+  hitSlop: 10,
+  minReactionMs: 150
+};
+
+test('createChallenge places targets inside the area, away from its edges', () => {
+  for (let i = 0; i < 50; i++) {
+    const issued = createChallenge({ width: 500, height: 300, targetHitsRequired: 7 });
+    assert.equal(issued.targets.length, 7);
+    for (const target of issued.targets) {
+      assert.ok(target.x >= CHALLENGE_CONFIG.margin && target.x <= 500 - CHALLENGE_CONFIG.margin);
+      assert.ok(target.y >= CHALLENGE_CONFIG.margin && target.y <= 300 - CHALLENGE_CONFIG.margin);
+      assert.ok(CHALLENGE_CONFIG.sizes.includes(target.size));
+    }
+  }
+  assert.deepEqual(createChallenge({ width: 10, height: 'x' }).area, { width: 240, height: 360 });
+  assert.deepEqual(createChallenge({ width: 1e9, height: 300.4 }).area, { width: 4000, height: 300 });
+  assert.notEqual(createChallenge().challengeId, createChallenge().challengeId);
+});
+
+test('countTargetHits counts targets hit in order after the reaction time', () => {
+  const at = (x, y, t) => ({ x, y, t });
+
+  assert.equal(countTargetHits([at(0, 0, 0), at(100, 100, 200), at(300, 200, 400)], challenge), 2);
+  // The second target only counts once the first was hit
+  assert.equal(countTargetHits([at(0, 0, 0), at(300, 200, 200), at(100, 100, 400)], challenge), 1);
+  // Faster than minReactionMs after the target appeared
+  assert.equal(countTargetHits([at(0, 0, 0), at(100, 100, 100), at(300, 200, 200)], challenge), 0);
+  assert.equal(countTargetHits([at(0, 0, 0), at(100, 100, 200), at(300, 200, 300)], challenge), 1);
+  // Within size / 2 + hitSlop, not beyond it
+  assert.equal(countTargetHits([at(0, 0, 0), at(134, 100, 200)], challenge), 1);
+  assert.equal(countTargetHits([at(0, 0, 0), at(136, 100, 200)], challenge), 0);
+  assert.equal(countTargetHits([], challenge), 0);
+});
+
+test('advanceTargetHits over chunks counts what countTargetHits counts', () => {
+  const issued = createChallenge();
+  const points = targetTrace(issued.targets, 3);
+  for (const chunkSize of [1, 7, 50, points.length]) {
+    let state = null;
+    for (let i = 0; i < points.length; i += chunkSize) {
+      state = advanceTargetHits(state, points.slice(i, i + chunkSize), issued);
+    }
+    assert.equal(state.hits, countTargetHits(points, issued));
+  }
+  assert.equal(countTargetHits(points, issued), issued.targets.length);
+});
+
+test('fitsChallengeWindow and publicChallenge', () => {
+  const ttl = challenge.expiresAt - challenge.issuedAt;
+  assert.equal(fitsChallengeWindow([{ t: 0 }, { t: ttl }], challenge), true);
+  assert.equal(fitsChallengeWindow([{ t: 0 }, { t: ttl + 1 }], challenge), false);
+
+  const issued = { ...createChallenge(), detectionConfig: {}, siteKey: 'site_a', origin: 'https://a.example' };
+  assert.deepEqual(Object.keys(publicChallenge(issued)).sort(),
+    ['area', 'challengeId', 'expiresAt', 'hitSlop', 'minReactionMs', 'profile', 'targetHitsRequired', 'targets']);
+});
+
+test('/api/challenge and /api/verify', async (t) => {
+  // Refused traces would otherwise lock this client out
+  const server = await startServer({ RATE_LIMIT_EXEMPT_IPS: '127.0.0.1' });
+  t.after(() => server.close());
+  const issue = async (body = {}) => (await server.post('/api/challenge', body)).body;
+
+  await t.test('a trace that hits the issued targets verifies once', async () => {
+    const issued = await issue({ width: 460, height: 360 });
+    assert.equal(issued.targets.length, issued.targetHitsRequired);
+    const points = passingTrace(issued);
+
+    const first = await server.post('/api/verify', { challengeId: issued.challengeId, points, recordId: 'rec-1' });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.verified, true, JSON.stringify(first.body.checks));
+    assert.equal(first.body.targetHits, issued.targetHitsRequired);
+
+    const again = await server.post('/api/verify', { challengeId: issued.challengeId, points: targetTrace(issued.targets, 99) });
+    assert.equal(again.body.verified, false);
+    assert.equal(again.body.reason, 'challenge_not_found');
+  });
+
+  await t.test('target hits are recomputed, never taken from the client', async () => {
+    const issued = await issue();
+    // The same movement aimed at targets of another challenge
+    const points = passingTrace(createChallenge());
+    const result = await server.post('/api/verify', { challengeId: issued.challengeId, points, targetHits: 5 });
+    assert.equal(result.body.verified, false);
+    assert.ok(result.body.targetHits < issued.targetHitsRequired);
+  });
+
+  await t.test('unknown, missing and expired challenges are refused', async (t) => {
+    const points = targetTrace([{ x: 200, y: 200 }], 5);
+    assert.equal((await server.post('/api/verify', { challengeId: 'nope', points })).body.reason, 'challenge_not_found');
+    const missing = await server.post('/api/verify', { points });
+    assert.equal(missing.status, 400);
+
+    const issued = await issue();
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 3600000);
+    const expired = await server.post('/api/verify', { challengeId: issued.challengeId, points: passingTrace(issued) });
+    t.mock.restoreAll();
+    // The store drops a challenge when it expires, so this is usually 'challenge_not_found'
+    assert.equal(expired.body.verified, false);
+    assert.ok(['challenge_expired', 'challenge_not_found'].includes(expired.body.reason), expired.body.reason);
+  });
+
+  await t.test('the token of a verified trace checks out', async () => {
+    const issued = await issue();
+    const { body } = await server.post('/api/verify', { challengeId: issued.challengeId, points: passingTrace(issued) });
+    const check = await server.post('/api/verify-signature', { token: body.token });
+    assert.equal(check.body.valid, true);
+    assert.equal(verifyToken('wrong-secret', body.token).reason, 'invalid_signature');
+  });
+});
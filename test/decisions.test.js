@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDecisionLog } = require('../server/decisions');
+const { humanTrace, startServer } = require('./helpers');
+
+const DAY = 24 * 3600000;
+const JAN_31 = Date.UTC(2025, 0, 31, 12);
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amc-decisions-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('decision log', async (t) => {
+  await t.test('queries newest first with filters', (t) => {
+    const log = createDecisionLog({ dir: tempDir(t) });
+    log.append({ timestamp: JAN_31, requestId: 'a', outcome: 'pass', recordId: 'r1', siteKey: null });
+    log.append({ timestamp: JAN_31 + 1, requestId: 'b', outcome: 'fail', recordId: 'r2', siteKey: 'pk_a' });
+    log.append({ timestamp: JAN_31 + DAY, requestId: 'c', outcome: 'fail', recordId: 'r1', siteKey: null });
+
+    const ids = (filter) => log.query(filter).map(e => e.requestId);
+    assert.deepEqual(ids(), ['c', 'b', 'a']);
+    assert.deepEqual(ids({ outcome: 'fail' }), ['c', 'b']);
+    assert.deepEqual(ids({ recordId: 'r1' }), ['c', 'a']);
+    assert.deepEqual(ids({ siteKey: null }), ['c', 'a']);
+    assert.deepEqual(ids({ siteKey: 'pk_a' }), ['b']);
+    assert.deepEqual(ids({ from: JAN_31 + 1, to: JAN_31 + 1 }), ['b']);
+    assert.deepEqual(ids({ to: JAN_31 + 1 }), ['b', 'a']);
+    assert.deepEqual(ids({ limit: 2 }), ['c', 'b']);
+    assert.deepEqual(createDecisionLog({ dir: tempDir(t) }).query(), []);
+  });
+
+  await t.test('rotates daily and by size, and resumes after a restart', (t) => {
+    const dir = tempDir(t);
+    const entry = { outcome: 'pass', padding: 'x'.repeat(100) };
+    let log = createDecisionLog({ dir, maxBytes: 350 });
+    for (let i = 0; i < 3; i++) log.append({ ...entry, timestamp: JAN_31 + i });
+    log.append({ ...entry, timestamp: JAN_31 + DAY });
+    assert.deepEqual(fs.readdirSync(dir).sort(),
+      ['decisions-2025-01-31.1.jsonl', 'decisions-2025-01-31.jsonl', 'decisions-2025-02-01.jsonl']);
+
+    log = createDecisionLog({ dir, maxBytes: 350 });
+    for (let i = 0; i < 3; i++) log.append({ ...entry, timestamp: JAN_31 + DAY + i });
+    assert.deepEqual(fs.readdirSync(dir).filter(name => name.startsWith('decisions-2025-02-01')).sort(),
+      ['decisions-2025-02-01.1.jsonl', 'decisions-2025-02-01.jsonl']);
+    assert.equal(log.query({ limit: 1000 }).length, 7);
+  });
+
+  await t.test('skips a torn last line and caps results', (t) => {
+    const dir = tempDir(t);
+    const log = createDecisionLog({ dir, maxResults: 2 });
+    for (let i = 0; i < 3; i++) log.append({ timestamp: JAN_31 + i, requestId: String(i) });
+    fs.appendFileSync(path.join(dir, 'decisions-2025-01-31.jsonl'), '{"timestamp":');
+    assert.deepEqual(log.query({ limit: 10 }).map(e => e.requestId), ['2', '1']);
+  });
+});
+
+test('GET /api/admin/decisions', async (t) => {
+  const server = await startServer({ ADMIN_TOKENS: 'dash:read:rtok' });
+  t.after(() => server.close());
+  const as = { Authorization: 'Bearer rtok' };
+
+  const refused = await server.post('/api/verify', { challengeId: 'gone', points: humanTrace(50), recordId: 'r1' });
+  await server.post('/api/verify', { points: 'nope', recordId: 'r2' });
+
+  assert.equal((await server.get('/api/admin/decisions')).status, 401);
+  const all = (await server.get('/api/admin/decisions', as)).body.decisions;
+  assert.deepEqual(all.map(e => e.recordId), ['r2', 'r1']);
+  assert.equal(all[1].requestId, refused.body.requestId);
+  assert.equal(all[1].reason, 'challenge_not_found');
+
+  const invalid = (await server.get('/api/admin/decisions?outcome=invalid', as)).body.decisions;
+  assert.deepEqual(invalid.map(e => e.recordId), ['r2']);
+  assert.equal((await server.get('/api/admin/decisions?siteKey=none&recordId=r1', as)).body.decisions.length, 1);
+
+  for (const query of ['from=yesterday', 'to=9e15', 'from=1e3', 'from=2000&to=1000']) {
+    assert.equal((await server.get(`/api/admin/decisions?${query}`, as)).status, 400, query);
+  }
+});
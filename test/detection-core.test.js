@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeMovement, analyzeWindows, advanceWindows, worstWindow } = require('../detection-core');
+const { createRandom, humanTrace, targetTrace } = require('./helpers');
+
+const random = createRandom(9);
+const targets = Array.from({ length: 20 }, () => ({ x: 40 + random() * 500, y: 40 + random() * 300 }));
+
+// A machine-straight stretch of 150 points from `from` on
+function withStraightStretch(points, from) {
+  const copy = points.slice();
+  for (let i = from; i < from + 150 && i < copy.length; i++) {
+    copy[i] = { x: 100 + (i - from) * 2, y: 100 + (i - from), t: copy[i].t };
+  }
+  return copy;
+}
+
+test('analyzeWindows', async (t) => {
+  await t.test('gives a short trace the analyzeMovement result', () => {
+    const points = humanTrace(200, 3);
+    const result = analyzeWindows(points, { targetHits: 5 });
+    const { window, ...analysis } = result;
+    assert.deepEqual(analysis, analyzeMovement(points, { targetHits: 5 }));
+    assert.deepEqual(window, { index: 0, start: 0, end: 200, count: 1, size: 300, step: 100 });
+  });
+
+  await t.test('lays windows a step apart, the last one ending at the newest point', () => {
+    const points = humanTrace(1050, 4);
+    const count = analyzeWindows(points).window.count;
+    assert.equal(count, 9);   // 0, 100, ..., 700 and 750
+    const small = analyzeWindows(points, { window: { size: 500, step: 250 } }).window;
+    assert.equal(small.count, 4);   // 0, 250, 500 and 550
+    assert.equal(small.size, 500);
+  });
+
+  await t.test('fails a robotic stretch the whole-trace average hides', () => {
+    const points = withStraightStretch(targetTrace(targets, 1, 1700000000000), 600);
+    assert.equal(analyzeMovement(points, { targetHits: 5 }).verified, true);
+
+    const result = analyzeWindows(points, { targetHits: 5 });
+    assert.equal(result.verified, false);
+    assert.equal(result.checks.notRobotic, false);
+    assert.ok(result.window.start <= 600 && result.window.end >= 750, JSON.stringify(result.window));
+    assert.equal(analyzeWindows(targetTrace(targets, 1, 1700000000000), { targetHits: 5 }).verified, true);
+  });
+});
+
+test('advanceWindows picks the window analyzeWindows picks', () => {
+  const options = { targetHitsRequired: 5 };
+  for (const [size, seed, chunkSize] of [[10, 1, 3], [250, 2, 40], [300, 3, 300], [301, 4, 7], [1234, 5, 25], [1800, 6, 333]]) {
+    const points = withStraightStretch(humanTrace(size, seed), Math.floor(size / 3));
+    let state = null;
+    for (let i = 0; i < points.length; i += chunkSize) {
+      state = advanceWindows(state, points.slice(i, i + chunkSize), options);
+    }
+    const worst = worstWindow(state, options);
+    const expected = analyzeWindows(points, options);
+
+    assert.equal(worst.start, expected.window.start, `start for ${size} points`);
+    assert.deepEqual(worst.checks, expected.checks);
+    assert.equal(worst.checksPassed, expected.checksPassed);
+    assert.ok(state.recent.length <= 300 + chunkSize, 'keeps only the points later windows need');
+    assert.deepEqual(JSON.parse(JSON.stringify(state)), state);
+  }
+  assert.equal(worstWindow(null, options), null);
+
+  // Custom windows, as the browser's analysisWindow option sets them
+  const points = humanTrace(900, 7);
+  const window = { size: 200, step: 50 };
+  const state = advanceWindows(advanceWindows(null, points.slice(0, 450), { window }), points.slice(450), { window });
+  assert.equal(worstWindow(state, { window }).start, analyzeWindows(points, { window }).window.start);
+});
@@ -0,0 +1,177 @@
+/**
+ * AI Mouse Check - Test helpers
+ * Seeded traces, so every run checks the same input, and a server on a
+ * free port with its state in a temporary DATA_DIR.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Seeded random() (mulberry32, as in benchmark/analyze-movement.js)
+ * @param {number} seed - Seed
+ * @returns {Function} random() in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Curved, noisy movement with irregular timing
+ * @param {number} size - Number of points
+ * @param {number} seed - Seed
+ * @param {number} start - t of the first point
+ * @returns {Array} Array of {x, y, t}
+ */
+function humanTrace(size, seed = 1, start = 1700000000000) {
+  const random = createRandom(seed);
+  const between = (a, b) => a + random() * (b - a);
+  const points = [];
+  let x = 230, y = 180, t = start;
+  let noiseX = 0, noiseY = 0;
+
+  while (points.length < size) {
+    const tx = between(60, 400), ty = between(60, 300);
+    const steps = Math.floor(between(25, 70));
+    const cx = (x + tx) / 2 + between(-80, 80), cy = (y + ty) / 2 + between(-80, 80);
+    for (let i = 1; i <= steps && points.length < size; i++) {
+      const u = i / steps;
+      const s = u < 0.5 ? 2 * u * u : 1 - Math.pow(-2 * u + 2, 2) / 2;
+      noiseX = noiseX * 0.7 + between(-1.5, 1.5);
+      noiseY = noiseY * 0.7 + between(-1.5, 1.5);
+      t += random() < 0.05 ? Math.round(between(40, 180)) : Math.round(between(6, 22));
+      points.push({
+        x: (1 - s) * (1 - s) * x + 2 * (1 - s) * s * cx + s * s * tx + noiseX,
+        y: (1 - s) * (1 - s) * y + 2 * (1 - s) * s * cy + s * s * ty + noiseY,
+        t
+      });
+    }
+    x = tx;
+    y = ty;
+  }
+  return points;
+}
+
+/**
+ * Human-like movement that visits targets in order: a curved, slightly
+ * off-target reach, then a short correction onto the target
+ * @param {Array} targets - Array of {x, y}, e.g. a challenge's targets
+ * @param {number} seed - Seed
+ * @param {number} start - t of the first point
+ * @returns {Array} Array of {x, y, t} (positions to 0.01 px, whole ms)
+ */
+function targetTrace(targets, seed = 1, start = Date.now()) {
+  const random = createRandom(seed);
+  const between = (a, b) => a + random() * (b - a);
+  const legs = [];
+  for (const target of targets) {
+    legs.push(
+      { x: target.x + between(-12, 12), y: target.y + between(-12, 12), steps: Math.floor(between(25, 45)) },
+      { x: target.x + between(-2, 2), y: target.y + between(-2, 2), steps: Math.floor(between(10, 18)) }
+    );
+  }
+
+  const points = [];
+  let x = 200, y = 175, t = start;
+  let driftX = 0, driftY = 0, vx = 0, vy = 0;
+  for (const leg of legs) {
+    const bend = between(-0.25, 0.25);
+    const cx = (x + leg.x) / 2 + bend * (leg.y - y), cy = (y + leg.y) / 2 - bend * (leg.x - x);
+    for (let i = 1; i <= leg.steps; i++) {
+      const u = i / leg.steps;
+      const s = u * u * (3 - 2 * u);
+      // Slowly wandering hand tremor rather than independent per-point noise
+      vx = vx * 0.8 + between(-0.5, 0.5);
+      vy = vy * 0.8 + between(-0.5, 0.5);
+      driftX = (driftX + vx) * 0.9;
+      driftY = (driftY + vy) * 0.9;
+      t += random() < 0.05 ? between(30, 90) : between(8, 20);
+      points.push({
+        x: Math.round(((1 - s) * (1 - s) * x + 2 * (1 - s) * s * cx + s * s * leg.x + driftX) * 100) / 100,
+        y: Math.round(((1 - s) * (1 - s) * y + 2 * (1 - s) * s * cy + s * s * leg.y + driftY) * 100) / 100,
+        t: Math.round(t)
+      });
+    }
+    t += between(20, 120);
+    x = leg.x;
+    y = leg.y;
+  }
+  return points;
+}
+
+/**
+ * A targetTrace for a challenge that passes every check, trying seeds in
+ * order (a few seeds trip one bot signal too many)
+ * @param {Object} challenge - Challenge with its targets
+ * @param {Object} options - { detectionConfig, start }
+ * @returns {Array} Array of {x, y, t}
+ */
+function passingTrace(challenge, options = {}) {
+  const { analyzeWindows } = require('../server/detection');
+  const { countTargetHits } = require('../server/challenge');
+  const hitRules = { hitSlop: 10, minReactionMs: 150, ...challenge };
+  for (let seed = 1; seed <= 50; seed++) {
+    const points = targetTrace(challenge.targets, seed, options.start);
+    const result = analyzeWindows(points, {
+      targetHits: countTargetHits(points, hitRules),
+      targetHitsRequired: challenge.targets.length,
+      config: options.detectionConfig
+    });
+    if (result.verified) return points;
+  }
+  throw new Error('No passing trace for this challenge');
+}
+
+/**
+ * Start the verification server in this process on a free port. The server
+ * reads its settings when loaded, so call this once per test file.
+ * @param {Object} env - Extra environment variables, e.g. { ADMIN_TOKENS }
+ * @returns {Promise<Object>} { url, dataDir, post(path, body, headers), get(path, headers), close() }
+ */
+async function startServer(env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'amc-test-'));
+  Object.assign(process.env, { DATA_DIR: dataDir, STORE_TYPE: 'memory' }, env);
+  const app = require('../server/index');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, route, body, headers = {}) => {
+    const res = await fetch(url + route, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    return { status: res.status, headers: res.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  return {
+    url,
+    dataDir,
+    post: (route, body, headers) => request('POST', route, body, headers),
+    get: (route, headers) => request('GET', route, undefined, headers),
+    close: async () => {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = {
+  createRandom,
+  humanTrace,
+  targetTrace,
+  passingTrace,
+  startServer
+};
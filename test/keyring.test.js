@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { generateSignature, verifyToken, TOKEN_TTL } = require('../server/detection');
+const { loadKeyring } = require('../server/keyring');
+const { humanTrace } = require('./helpers');
+
+const points = humanTrace(50, 5);
+
+function keyringFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amc-keyring-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'keyring.json');
+}
+
+test('seeds the keyring from the seed secret, then keeps it', (t) => {
+  const file = keyringFile(t);
+  const keyring = loadKeyring({ file, seedSecret: 'seed' });
+  assert.deepEqual(keyring.signingKey(), { kid: 'default', secret: 'seed' });
+  assert.equal((fs.statSync(file).mode & 0o777).toString(8), '600');
+  assert.deepEqual(loadKeyring({ file, seedSecret: 'other' }).signingKey(), { kid: 'default', secret: 'seed' });
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['keyring.json']);
+});
+
+test('tokens signed before a rotation keep verifying until the old key retires', (t) => {
+  const file = keyringFile(t);
+  const keyring = loadKeyring({ file, retireAfter: TOKEN_TTL });
+  const sign = () => {
+    const { kid, secret } = keyring.signingKey();
+    return generateSignature(secret, { kid, points, recordId: 'rec-1', checksPassed: 7 }).token;
+  };
+
+  const before = sign();
+  const { kid, previousKid } = keyring.rotate();
+  assert.notEqual(kid, previousKid);
+  const after = sign();
+  assert.equal(verifyToken(keyring.getSecret, before).valid, true);
+  assert.equal(verifyToken(keyring.getSecret, after).valid, true);
+
+  const retired = keyring.list().find(k => k.kid === previousKid);
+  assert.equal(retired.active, false);
+  assert.ok(Math.abs(retired.retiresAt - (Date.now() + TOKEN_TTL)) < 1000);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + TOKEN_TTL + 1000);
+  assert.equal(verifyToken(keyring.getSecret, before).reason, 'unknown_key');
+  keyring.prune();
+  assert.deepEqual(keyring.list().map(k => k.kid), [kid]);
+});
+
+test('retireAfter defaults to the token lifetime and must be positive', (t) => {
+  const keyring = loadKeyring({ file: keyringFile(t) });
+  const { previousKid } = keyring.rotate();
+  const { retiresAt } = keyring.list().find(k => k.kid === previousKid);
+  assert.ok(Number.isFinite(retiresAt));
+  assert.ok(Math.abs(retiresAt - (Date.now() + TOKEN_TTL)) < 1000);
+  assert.throws(() => loadKeyring({ file: keyringFile(t), retireAfter: -1 }), /retireAfter/);
+});
+
+test('instances sharing the file see each other\'s rotations', (t) => {
+  const file = keyringFile(t);
+  const first = loadKeyring({ file });
+  const second = loadKeyring({ file });
+  const { kid } = first.rotate();
+  assert.equal(second.signingKey().kid, kid);
+  assert.equal(second.list().length, 2);
+});
+
+test('a corrupt keyring file is never replaced with a new key', (t) => {
+  const file = keyringFile(t);
+  const keyring = loadKeyring({ file });
+  const { kid } = keyring.signingKey();
+
+  for (const contents of ['{"activeKid": "abc", "ke', '{}', '{"activeKid": "x", "keys": []}']) {
+    fs.writeFileSync(file, contents);
+    assert.throws(() => loadKeyring({ file }), /corrupt/);
+    assert.equal(fs.readFileSync(file, 'utf8'), contents);
+  }
+
+  // A running instance keeps its keys
+  t.mock.method(console, 'error', () => {});
+  assert.equal(keyring.signingKey().kid, kid);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { GENESIS_HASH, createLedger, readLedger, verifyChain } = require('../server/ledger');
+const { passingTrace, startServer } = require('./helpers');
+
+function ledgerFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amc-ledger-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'ledger.jsonl');
+}
+
+const issue = (ledger, n) => Array.from({ length: n }, (_, i) =>
+  ledger.append({ signature: `sig${i}`, payload: JSON.stringify({ recordId: `r${i}` }) }));
+
+const writeLines = (file, entries) => fs.writeFileSync(file, entries.map(e => JSON.stringify(e) + '\n').join(''));
+
+test('entries chain from the genesis hash and survive a restart', (t) => {
+  const file = ledgerFile(t);
+  const ledger = createLedger({ file });
+  assert.deepEqual(ledger.head(), { seq: -1, hash: GENESIS_HASH, length: 0 });
+
+  const entries = issue(ledger, 3);
+  assert.deepEqual(entries.map(e => e.seq), [0, 1, 2]);
+  assert.equal(entries[0].prevHash, GENESIS_HASH);
+  assert.equal(entries[2].prevHash, entries[1].hash);
+  assert.deepEqual(ledger.find('sig1'), entries[1]);
+  assert.equal(ledger.find('unknown'), null);
+  assert.deepEqual(ledger.verify(), { valid: true, length: 3, head: entries[2].hash, error: null });
+
+  const reopened = createLedger({ file });
+  assert.deepEqual(reopened.head(), { seq: 2, hash: entries[2].hash, length: 3 });
+  assert.equal(reopened.append({ signature: 'sig3', payload: '{}' }).prevHash, entries[2].hash);
+  assert.equal(reopened.verify().valid, true);
+});
+
+test('verifyChain finds the first tampered entry', (t) => {
+  const file = ledgerFile(t);
+  const entries = issue(createLedger({ file }), 4);
+  const { head } = verifyChain(entries);
+  const reason = (chain, expectedHead) => {
+    const result = verifyChain(chain, expectedHead);
+    return result.valid ? 'valid' : `${result.error.seq}:${result.error.reason}`;
+  };
+
+  assert.equal(reason(entries, head), 'valid');
+  assert.equal(reason([entries[0], entries[2], entries[3]]), '1:missing_or_reordered_entry');
+  assert.equal(reason([entries[1], entries[0], entries[2], entries[3]]), '0:missing_or_reordered_entry');
+  assert.equal(reason([entries[0], { ...entries[1], payload: '{"recordId":"forged"}' }, entries[2]]), '1:entry_modified');
+  assert.equal(reason([entries[0], { ...entries[1], prevHash: GENESIS_HASH }]), '1:broken_link');
+  assert.equal(reason([entries[0], null, entries[2]]), '1:missing_or_reordered_entry');
+  // A cut-off tail only shows against a head recorded earlier
+  assert.equal(reason(entries.slice(0, 2)), 'valid');
+  assert.equal(reason(entries.slice(0, 2), head), '2:head_mismatch');
+
+  // Edited on disk: the index no longer matches what is there
+  const ledger = createLedger({ file });
+  writeLines(file, [entries[0], { ...entries[1], signature: 'sigX' }, entries[2], entries[3]]);
+  assert.equal(ledger.find('sig1'), null);
+  assert.equal(ledger.verify().error.reason, 'entry_modified');
+});
+
+test('instances sharing a ledger file extend one chain', (t) => {
+  const file = ledgerFile(t);
+  const a = createLedger({ file });
+  const b = createLedger({ file });
+
+  const first = a.append({ signature: 'a1', payload: '{}' });
+  const second = b.append({ signature: 'b1', payload: '{}' });
+  const third = a.append({ signature: 'a2', payload: '{}' });
+  assert.deepEqual([first.seq, second.seq, third.seq], [0, 1, 2]);
+  assert.equal(third.prevHash, second.hash);
+  assert.equal(a.verify().valid, true);
+
+  // Each sees what the other appended
+  assert.equal(b.find('a2').seq, 2);
+  assert.equal(a.find('b1').seq, 1);
+  assert.deepEqual(b.head(), a.head());
+  assert.equal(fs.existsSync(file + '.lock'), false);
+
+  // A line still being written is picked up once it is complete
+  const partial = JSON.stringify({ ...third, seq: 3, signature: 'c1' });
+  fs.appendFileSync(file, partial.slice(0, 20));
+  assert.equal(a.find('c1'), null);
+  assert.equal(a.head().length, 3);
+  fs.appendFileSync(file, partial.slice(20) + '\n');
+  assert.equal(a.head().length, 4);
+});
+
+test('appends wait for the lock and clear a stale one', (t) => {
+  const file = ledgerFile(t);
+  const ledger = createLedger({ file, lockTimeoutMs: 50, staleLockMs: 60000 });
+  ledger.append({ signature: 's0', payload: '{}' });
+
+  fs.writeFileSync(file + '.lock', '');
+  assert.throws(() => ledger.append({ signature: 's1', payload: '{}' }), /is locked by another instance/);
+  assert.equal(ledger.head().length, 1);
+
+  const old = new Date(Date.now() - 120000);
+  fs.utimesSync(file + '.lock', old, old);
+  assert.equal(ledger.append({ signature: 's1', payload: '{}' }).seq, 1);
+  assert.equal(fs.existsSync(file + '.lock'), false);
+
+  fs.writeFileSync(file, '');
+  assert.throws(() => ledger.append({ signature: 's2', payload: '{}' }), /shrank/);
+});
+
+test('npm run verify-ledger', (t) => {
+  const file = ledgerFile(t);
+  const entries = issue(createLedger({ file }), 3);
+  const run = (...args) => spawnSync(process.execPath, [path.join(__dirname, '..', 'server', 'verify-ledger.js'), ...args],
+    { encoding: 'utf8', timeout: 10000 });
+
+  let result = run(file, '--head', entries[2].hash);
+  assert.equal(result.status, 0);
+  assert.match(result.stdout, new RegExp(`OK: 3 entries, head ${entries[2].hash}`));
+
+  writeLines(file, entries.slice(0, 2));
+  assert.equal(run(file).status, 0);
+  result = run('--head', entries[2].hash, file);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /BROKEN at entry 2 \(head_mismatch\)/);
+
+  writeLines(file, [entries[0], { ...entries[1], payload: '{}' }, entries[2]]);
+  result = run(file);
+  assert.equal(result.status, 1);
+  assert.match(result.stderr, /BROKEN at entry 1 \(entry_modified\)/);
+  assert.match(result.stderr, new RegExp(`last good hash ${entries[0].hash}`));
+  assert.equal(readLedger(file).length, 3);
+});
+
+test('ledger endpoints', async (t) => {
+  const server = await startServer({ ADMIN_TOKENS: 'dash:read:rtok', RATE_LIMIT_EXEMPT_IPS: '127.0.0.1' });
+  t.after(() => server.close());
+  const as = { Authorization: 'Bearer rtok' };
+
+  const issued = (await server.post('/api/challenge', {})).body;
+  const verified = (await server.post('/api/verify', { challengeId: issued.challengeId, points: passingTrace(issued), recordId: 'task-1' })).body;
+  assert.equal(verified.ledgerSeq, 0);
+
+  const proof = (await server.get(`/api/admin/ledger/proof/${verified.signature}`, as)).body;
+  assert.equal(proof.issued, true);
+  assert.equal(proof.entry.seq, 0);
+  assert.equal(proof.payload.recordId, 'task-1');
+  assert.equal(proof.signatureValid, true);
+  assert.equal(proof.head.length, 1);
+  assert.equal((await server.get('/api/admin/ledger/proof/deadbeef', as)).body.issued, false);
+
+  const chain = (await server.get('/api/admin/ledger/verify', as)).body;
+  assert.equal(chain.valid, true);
+  assert.equal((await server.get(`/api/admin/ledger/verify?head=${GENESIS_HASH}`, as)).body.error.reason, 'head_mismatch');
+  assert.equal(readLedger(path.join(server.dataDir, 'ledger.jsonl'))[0].signature, verified.signature);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../server/metrics');
+const { SIGNAL_NAMES } = require('../server/detection');
+const { humanTrace, passingTrace, startServer } = require('./helpers');
+
+const lines = (text) => text.split('\n');
+
+test('counters and histograms render in the Prometheus text format', () => {
+  const metrics = createMetrics({ prefix: 't_', pointBuckets: [10, 100] });
+  metrics.verifyRequests.inc({ outcome: 'pass', reason: 'none' });
+  metrics.verifyRequests.inc({ outcome: 'pass', reason: 'none' }, 2);
+  metrics.verifyRequests.inc({ outcome: 'fail', reason: 'say "hi"\\\n', extra: 'ignored' });
+  metrics.verifyPoints.observe(5);
+  metrics.verifyPoints.observe(50);
+  metrics.verifyPoints.observe(500);
+
+  const text = metrics.render();
+  assert.ok(text.endsWith('\n'));
+  assert.ok(lines(text).includes('# TYPE t_verify_requests_total counter'));
+  assert.ok(lines(text).includes('t_verify_requests_total{outcome="pass",reason="none"} 3'));
+  assert.ok(lines(text).includes('t_verify_requests_total{outcome="fail",reason="say \\"hi\\"\\\\\\n"} 1'));
+
+  assert.ok(lines(text).includes('# TYPE t_verify_points histogram'));
+  assert.ok(lines(text).includes('t_verify_points_bucket{le="10"} 1'));
+  assert.ok(lines(text).includes('t_verify_points_bucket{le="100"} 2'));
+  assert.ok(lines(text).includes('t_verify_points_bucket{le="+Inf"} 3'));
+  assert.ok(lines(text).includes('t_verify_points_sum 555'));
+  assert.ok(lines(text).includes('t_verify_points_count 3'));
+});
+
+test('every signal and unlabeled counter starts at zero', () => {
+  const text = createMetrics().render();
+  for (const signal of SIGNAL_NAMES) {
+    assert.ok(lines(text).includes(`aimc_signal_triggered_total{signal="${signal}"} 0`), signal);
+  }
+  assert.ok(lines(text).includes('aimc_verify_ai_detected_total 0'));
+  assert.ok(lines(text).includes('aimc_detection_version_mismatch_total 0'));
+});
+
+test('GET /metrics counts verification traffic', async (t) => {
+  const server = await startServer({ RATE_LIMIT_EXEMPT_IPS: '127.0.0.1' });
+  t.after(() => server.close());
+
+  const issued = (await server.post('/api/challenge', {})).body;
+  const { token } = (await server.post('/api/verify', { challengeId: issued.challengeId, points: passingTrace(issued) })).body;
+  await server.post('/api/verify', { challengeId: 'gone', points: humanTrace(50) });
+  await server.post('/api/verify', { points: 'nope' });
+  await server.post('/api/verify-signature', { token });
+  await server.post('/api/verify-signature', { token: token + 'x' });
+
+  const res = await fetch(server.url + '/metrics');
+  assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  const text = lines(await res.text());
+  assert.ok(text.includes('aimc_verify_requests_total{outcome="pass",reason="none"} 1'));
+  assert.ok(text.includes('aimc_verify_requests_total{outcome="fail",reason="challenge_not_found"} 1'));
+  assert.ok(text.includes('aimc_verify_requests_total{outcome="invalid",reason="invalid_points"} 1'));
+  assert.ok(text.includes('aimc_signature_verifications_total{result="valid"} 1'));
+  assert.ok(text.includes('aimc_signature_verifications_total{result="invalid_signature"} 1'));
+  assert.ok(text.includes('aimc_analyze_movement_duration_seconds_count 1'));
+  assert.ok(text.includes('aimc_verify_points_count 2'));
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { requireHumanVerification } = require('../server/middleware');
+const { generateSignature } = require('../server/detection');
+const { createStore } = require('../server/store');
+const { humanTrace, passingTrace, startServer } = require('./helpers');
+
+const SECRET = 'test-secret';
+const points = humanTrace(50, 5);
+const sign = (data = {}) => generateSignature(SECRET, { points, recordId: 'rec-1', checksPassed: 7, ...data }).token;
+
+/**
+ * App with one protected route that answers with req.humanVerification
+ */
+async function startApp(t, options) {
+  const store = createStore({ type: 'memory' });
+  const app = express();
+  app.use(express.json());
+  app.post('/invoices/:id/approve', requireHumanVerification({ store, ...options }), (req, res) => {
+    res.json(req.humanVerification);
+  });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  t.after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await store.close();
+  });
+
+  return async (id, { token, body = {} } = {}) => {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/invoices/${id}/approve`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(token && { 'X-Human-Verification': token }) },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+}
+
+test('requireHumanVerification needs a way to check tokens', () => {
+  assert.throws(() => requireHumanVerification(), /needs getSecret or serverUrl/);
+});
+
+test('local checks', async (t) => {
+  const approve = await startApp(t, {
+    getSecret: SECRET,
+    maxAge: 60000,
+    action: (req) => ({ type: 'approve_invoice', invoiceId: req.params.id }),
+    profile: ['strict', 'balanced']
+  });
+  const action = (id) => ({ type: 'approve_invoice', invoiceId: id });
+
+  await t.test('let a valid token through once', async () => {
+    const token = sign({ action: action('7'), profile: 'strict' });
+    const first = await approve('7', { token });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.recordId, 'rec-1');
+    assert.equal(first.body.profile, 'strict');
+    assert.equal(first.body.siteKey, null);
+    assert.match(first.body.signature, /^[0-9a-f]{64}$/);
+
+    const again = await approve('7', { token });
+    assert.deepEqual([again.status, again.body.reason], [403, 'token_used']);
+
+    // The body field works as well as the header
+    const fromBody = await approve('7', { body: { humanVerificationToken: sign({ action: action('7'), profile: 'balanced' }) } });
+    assert.equal(fromBody.status, 200);
+  });
+
+  await t.test('refuse missing, foreign and mismatched tokens', async () => {
+    const refused = async (id, token) => {
+      const res = await approve(id, { token });
+      return `${res.status} ${res.body.reason}`;
+    };
+    assert.equal(await refused('7'), '401 missing_token');
+    assert.equal(await refused('7', 'garbage'), '403 malformed_token');
+    assert.equal(await refused('7', generateSignature('other', { points, checksPassed: 7, action: action('7'), profile: 'strict' }).token),
+      '403 invalid_signature');
+    assert.equal(await refused('8', sign({ action: action('7'), profile: 'strict' })), '403 wrong_action');
+    assert.equal(await refused('7', sign({ profile: 'strict' })), '403 wrong_action');
+    assert.equal(await refused('7', sign({ action: action('7'), profile: 'lenient' })), '403 wrong_profile');
+    assert.equal(await refused('7', sign({ action: action('7'), profile: 'strict', ttl: -1 })), '403 token_expired');
+
+    // A site token is refused unless the middleware is pinned to that site
+    assert.equal(await refused('7', sign({ action: action('7'), profile: 'strict', siteKey: 'pk_a' })), '403 wrong_site');
+  });
+
+  await t.test('refuse tokens older than maxAge', async (t) => {
+    const token = sign({ action: action('7'), profile: 'strict' });
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + 120000);
+    const res = await approve('7', { token });
+    assert.deepEqual([res.status, res.body.reason], [403, 'token_too_old']);
+  });
+});
+
+test('local checks pinned to a site', async (t) => {
+  const approve = await startApp(t, { getSecret: SECRET, siteKey: 'pk_a', action: 'approve' });
+  assert.equal((await approve('1', { token: sign({ action: 'approve', siteKey: 'pk_a' }) })).status, 200);
+  assert.equal((await approve('1', { token: sign({ action: 'approve', siteKey: 'pk_b' }) })).body.reason, 'wrong_site');
+  assert.equal((await approve('1', { token: sign({ action: 'approve' }) })).body.reason, 'wrong_site');
+});
+
+test('checks against the verification server', async (t) => {
+  const server = await startServer({ RATE_LIMIT_EXEMPT_IPS: '127.0.0.1' });
+  t.after(() => server.close());
+  const tokenFor = async (action) => {
+    const issued = (await server.post('/api/challenge', {})).body;
+    return (await server.post('/api/verify', { challengeId: issued.challengeId, points: passingTrace(issued), action })).body.token;
+  };
+  const approve = await startApp(t, {
+    serverUrl: server.url,
+    action: (req) => ({ type: 'approve_invoice', invoiceId: req.params.id })
+  });
+
+  const token = await tokenFor({ type: 'approve_invoice', invoiceId: '7' });
+  const first = await approve('7', { token });
+  assert.equal(first.status, 200, JSON.stringify(first.body));
+  assert.equal(first.body.profile, 'balanced');
+  assert.equal((await approve('7', { token })).body.reason, 'token_used');
+  assert.equal((await approve('8', { token: await tokenFor({ type: 'approve_invoice', invoiceId: '7' }) })).body.reason, 'wrong_action');
+  const other = await tokenFor({ type: 'approve_invoice', invoiceId: '7' });
+  const forged = other.slice(0, -4) + (other.endsWith('0000') ? '1111' : '0000');
+  assert.equal((await approve('7', { token: forged })).body.reason, 'invalid_signature');
+
+  // An unreachable server is an outage, not a refusal
+  t.mock.method(console, 'error', () => {});
+  const unreachable = await startApp(t, { serverUrl: 'http://127.0.0.1:9', action: 'x' });
+  const res = await unreachable('7', { token: await tokenFor('x') });
+  assert.deepEqual(res, { status: 503, body: { error: 'Verification unavailable' } });
+});
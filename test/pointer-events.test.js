@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePointerFields, summarizePointerEvents } = require('../server/pointer-events');
+const { passingTrace, startServer } = require('./helpers');
+
+const withPointer = (points, fields = {}) => points.map(p => ({
+  ...p, movementX: 1, movementY: -1, buttons: 0, pointerType: 'mouse', isTrusted: true, ...fields
+}));
+
+test('validatePointerFields checks only the fields that are there', () => {
+  assert.deepEqual(validatePointerFields({ x: 1, y: 2, t: 3 }, 0), []);
+  assert.deepEqual(validatePointerFields({ movementX: 0.5, movementY: -3, buttons: 31, pointerType: '', isTrusted: false }, 0), []);
+
+  const fields = (point) => validatePointerFields(point, 4).map(e => e.field);
+  assert.deepEqual(fields({ movementX: '1', movementY: Infinity }), ['points[4].movementX', 'points[4].movementY']);
+  assert.deepEqual(fields({ buttons: 32 }), ['points[4].buttons']);
+  assert.deepEqual(fields({ buttons: 1.5 }), ['points[4].buttons']);
+  assert.deepEqual(fields({ pointerType: 'stylus' }), ['points[4].pointerType']);
+  assert.deepEqual(fields({ isTrusted: 'yes' }), ['points[4].isTrusted']);
+});
+
+test('summarizePointerEvents counts samples, untrusted points and buttons', () => {
+  assert.equal(summarizePointerEvents([{ x: 1, y: 2, t: 3 }]), null);
+  assert.deepEqual(summarizePointerEvents([
+    { x: 0, y: 0, t: 0 },
+    { x: 1, y: 0, t: 1, buttons: 1, pointerType: 'pen', isTrusted: true },
+    { x: 2, y: 0, t: 2, buttons: 0, pointerType: 'mouse', isTrusted: true },
+    { x: 3, y: 0, t: 3, buttons: 0, pointerType: '', isTrusted: false },
+    { x: 4, y: 0, t: 4, buttons: 1, pointerType: 'pen', isTrusted: true }
+  ]), { samples: 4, untrusted: 1, pointerTypes: ['pen', 'mouse'], pressedRatio: 0.5 });
+});
+
+test('/api/verify checks pointer fields', async (t) => {
+  const server = await startServer({ ADMIN_TOKENS: 'dash:read:rtok', RATE_LIMIT_EXEMPT_IPS: '127.0.0.1' });
+  t.after(() => server.close());
+  const verify = async (makePoints) => {
+    const issued = (await server.post('/api/challenge', {})).body;
+    return server.post('/api/verify', { challengeId: issued.challengeId, points: makePoints(passingTrace(issued)) });
+  };
+
+  let sent = 0;
+  const passed = await verify(points => {
+    sent = points.length;
+    return withPointer(points);
+  });
+  assert.equal(passed.body.verified, true, JSON.stringify(passed.body));
+  assert.deepEqual(passed.body.pointer, { samples: sent, untrusted: 0, pointerTypes: ['mouse'], pressedRatio: 0 });
+
+  // One script-dispatched event fails the whole trace
+  const untrusted = await verify(points => withPointer(points).map((p, i) => i === 40 ? { ...p, isTrusted: false } : p));
+  assert.equal(untrusted.body.verified, false);
+  assert.equal(untrusted.body.reason, 'untrusted_events');
+  assert.equal(untrusted.body.aiDetected, true);
+  assert.equal(untrusted.body.pointer.untrusted, 1);
+
+  const invalid = await verify(points => withPointer(points, { pointerType: 'stylus' }));
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.details[0].field, 'points[0].pointerType');
+
+  // Plain {x, y, t} traces still verify, without a summary
+  const plain = await verify(points => points);
+  assert.equal(plain.body.verified, true);
+  assert.equal(plain.body.pointer, null);
+
+  const logged = (await server.get('/api/admin/decisions?outcome=fail', { Authorization: 'Bearer rtok' })).body.decisions;
+  assert.equal(logged[0].reason, 'untrusted_events');
+  assert.equal(logged[0].pointer.untrusted, 1);
+});
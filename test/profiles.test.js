@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadProfiles } = require('../server/profiles');
+const { DETECTION_CONFIG } = require('../server/detection');
+const { passingTrace, startServer } = require('./helpers');
+
+function profilesFile(t, profiles) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amc-profiles-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'profiles.json');
+  fs.writeFileSync(file, JSON.stringify({ profiles }));
+  return file;
+}
+
+test('built-in profiles and the default profile', () => {
+  const profiles = loadProfiles();
+  assert.equal(profiles.defaultProfile, 'balanced');
+  assert.equal(profiles.resolve().name, 'balanced');
+  assert.equal(profiles.resolve('strict').targetHitsRequired, 7);
+  assert.equal(profiles.resolve('lenient').maxSessionAge, 120000);
+  assert.deepEqual(profiles.get('balanced').detectionConfig.thresholds, DETECTION_CONFIG.thresholds);
+  assert.equal(profiles.resolve('missing'), null);
+  // Only own profiles, not Object.prototype members
+  assert.equal(profiles.get('constructor'), null);
+  assert.deepEqual(profiles.list().map(p => p.name), ['strict', 'balanced', 'lenient']);
+
+  assert.equal(loadProfiles({ defaultProfile: 'strict' }).resolve().name, 'strict');
+  assert.throws(() => loadProfiles({ defaultProfile: 'missing' }), /Default profile 'missing' does not exist/);
+});
+
+test('custom profiles extend built-ins and each other in file order', (t) => {
+  const profiles = loadProfiles({
+    file: profilesFile(t, {
+      checkout: { extends: 'strict', targetHitsRequired: 8, thresholds: { pathEfficiency: 0.7 } },
+      payout: { extends: 'checkout', maxSessionAge: 30000 },
+      plain: {}
+    })
+  });
+
+  const checkout = profiles.get('checkout');
+  assert.equal(checkout.targetHitsRequired, 8);
+  assert.equal(checkout.maxSessionAge, 45000);
+  assert.equal(checkout.detectionConfig.signalThreshold, 3);
+  assert.equal(checkout.detectionConfig.thresholds.pathEfficiency, 0.7);
+
+  const payout = profiles.get('payout');
+  assert.equal(payout.targetHitsRequired, 8);
+  assert.equal(payout.maxSessionAge, 30000);
+  assert.equal(payout.detectionConfig.thresholds.pathEfficiency, 0.7);
+
+  assert.equal(profiles.get('plain').targetHitsRequired, profiles.get('balanced').targetHitsRequired);
+  // Custom thresholds never leak into the shared DETECTION_CONFIG
+  assert.notEqual(DETECTION_CONFIG.thresholds.pathEfficiency, 0.7);
+});
+
+test('invalid profiles refuse to load', (t) => {
+  const load = (profiles) => () => loadProfiles({ file: profilesFile(t, profiles) });
+  assert.throws(load({ a: { extends: 'b' }, b: {} }), /Profile 'a' extends unknown profile 'b'/);
+  assert.throws(load({ a: { targetHitsRequired: 0 } }), /targetHitsRequired must be an integer between 1 and 20/);
+  assert.throws(load({ a: { signalThreshold: 2.5 } }), /signalThreshold must be an integer/);
+  assert.throws(load({ a: { maxSessionAge: 1000 } }), /maxSessionAge must be an integer between 5000 and 600000/);
+  assert.throws(load({ a: { thresholds: { madeUp: 1 } } }), /unknown threshold 'madeUp'/);
+  assert.throws(load({ a: { thresholds: { pathEfficiency: '0.7' } } }), /threshold 'pathEfficiency' must be a number/);
+});
+
+test('/api/challenge issues challenges under the requested profile', async (t) => {
+  const server = await startServer({
+    PROFILES_FILE: profilesFile(t, { checkout: { extends: 'strict', targetHitsRequired: 8 } }),
+    RATE_LIMIT_EXEMPT_IPS: '127.0.0.1'
+  });
+  t.after(() => server.close());
+
+  const health = await server.get('/api/health');
+  assert.ok(health.body.profiles.some(p => p.name === 'checkout' && p.targetHitsRequired === 8));
+
+  const checkout = (await server.post('/api/challenge', { profile: 'checkout' })).body;
+  assert.equal(checkout.profile, 'checkout');
+  assert.equal(checkout.targets.length, 8);
+  // Thresholds stay on the server
+  assert.equal(checkout.detectionConfig, undefined);
+
+  const unknown = await server.post('/api/challenge', { profile: 'nope' });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error, 'Unknown profile');
+
+  const lenient = (await server.post('/api/challenge', { profile: 'lenient' })).body;
+  assert.equal(lenient.targets.length, 3);
+  const result = await server.post('/api/verify', { challengeId: lenient.challengeId, points: passingTrace(lenient) });
+  assert.equal(result.body.verified, true);
+  assert.equal(result.body.profile, 'lenient');
+});
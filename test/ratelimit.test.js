@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../server/store');
+const { createRateLimiter, rateLimitConfigFromEnv } = require('../server/ratelimit');
+const { startServer } = require('./helpers');
+
+test('rate limiter', async (t) => {
+  const store = createStore({ type: 'memory' });
+  t.after(() => store.close());
+
+  await t.test('caps requests per IP and per recordId in each window', async () => {
+    const limiter = createRateLimiter(store, { perIp: 3, perRecordId: 2 });
+    assert.equal((await limiter.check('10.0.0.1', 'rec-a')).allowed, true);
+    assert.equal((await limiter.check('10.0.0.1', 'rec-a')).allowed, true);
+    const capped = await limiter.check('10.0.0.1', 'rec-a');
+    assert.equal(capped.reason, 'rate_limited');
+    assert.ok(capped.retryAfter > 0 && capped.retryAfter <= 60);
+
+    // The IP had 3 requests counted; one more goes over its cap
+    assert.equal((await limiter.check('10.0.0.1', 'rec-b')).reason, 'rate_limited');
+    assert.equal((await limiter.check('10.0.0.2', 'rec-b')).allowed, true);
+  });
+
+  await t.test('locks an IP out after repeated failures, with doubling cooldowns', async () => {
+    const limiter = createRateLimiter(store, { failuresBeforeLockout: 2, baseCooldownMs: 5000 });
+    const ip = '10.0.1.1';
+    await limiter.recordResult(ip, false);
+    assert.equal((await limiter.check(ip)).allowed, true);
+    await limiter.recordResult(ip, false);
+    const locked = await limiter.check(ip);
+    assert.equal(locked.reason, 'too_many_failures');
+    assert.equal(locked.retryAfter, 5);
+    await limiter.recordResult(ip, false);
+    assert.equal((await limiter.check(ip)).retryAfter, 10);
+
+    await limiter.recordResult(ip, true);
+    assert.equal((await limiter.check(ip)).allowed, true);
+  });
+
+  await t.test('never locks out a recordId', async () => {
+    const limiter = createRateLimiter(store, { failuresBeforeLockout: 1 });
+    await limiter.recordResult('10.0.2.1', false);
+    assert.equal((await limiter.check('10.0.2.1', 'victim')).reason, 'too_many_failures');
+    assert.equal((await limiter.check('10.0.2.2', 'victim')).allowed, true);
+  });
+
+  await t.test('caps stream chunks separately and honours the lockout', async () => {
+    const limiter = createRateLimiter(store, { perIp: 1, chunksPerIp: 3, failuresBeforeLockout: 1 });
+    const ip = '10.0.3.1';
+    for (let i = 0; i < 3; i++) assert.equal((await limiter.checkChunk(ip)).allowed, true);
+    assert.equal((await limiter.checkChunk(ip)).reason, 'rate_limited');
+    // Chunks leave the request cap alone
+    assert.equal((await limiter.check(ip)).allowed, true);
+
+    await limiter.recordResult('10.0.3.2', false);
+    assert.equal((await limiter.checkChunk('10.0.3.2')).reason, 'too_many_failures');
+  });
+
+  await t.test('exempt IPs skip limits and lockouts', async () => {
+    const limiter = createRateLimiter(store, { perIp: 1, failuresBeforeLockout: 1, exemptIps: ['127.0.0.1'] });
+    for (let i = 0; i < 3; i++) {
+      await limiter.recordResult('127.0.0.1', false);
+      assert.equal((await limiter.check('127.0.0.1')).allowed, true);
+    }
+  });
+});
+
+test('rateLimitConfigFromEnv reads positive integers and exempt IPs', () => {
+  assert.deepEqual(rateLimitConfigFromEnv({
+    RATE_LIMIT_PER_IP: '50',
+    RATE_LIMIT_PER_RECORD_ID: '-1',
+    RATE_LIMIT_WINDOW_MS: 'soon',
+    RATE_LIMIT_EXEMPT_IPS: '127.0.0.1, ::1,'
+  }), { perIp: 50, exemptIps: ['127.0.0.1', '::1'] });
+});
+
+test('/api/verify counts only scored traces towards the lockout', async (t) => {
+  const server = await startServer({ RATE_LIMIT_FAILURES_BEFORE_LOCKOUT: '2' });
+  t.after(() => server.close());
+  // A machine-straight line across the capture area
+  const line = Array.from({ length: 120 }, (_, i) => ({ x: 100 + i * 2, y: 100 + i, t: 1000 + i * 16 }));
+  const verify = async (challengeId) => server.post('/api/verify', { challengeId, points: line, recordId: 'victim' });
+  const issue = async () => (await server.post('/api/challenge', {})).body.challengeId;
+
+  for (let i = 0; i < 4; i++) {
+    assert.equal((await verify('stale-' + i)).body.reason, 'challenge_not_found');
+  }
+  const first = await verify(await issue());
+  assert.equal(first.status, 200);
+  assert.equal(first.body.verified, false);
+  await verify(await issue());
+
+  const locked = await verify(await issue());
+  assert.equal(locked.status, 429);
+  assert.equal(locked.body.reason, 'too_many_failures');
+  assert.ok(Number(locked.headers.get('retry-after')) > 0);
+});
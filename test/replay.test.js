@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../server/store');
+const { createReplayStore } = require('../server/replay');
+const { humanTrace, createRandom, passingTrace, startServer } = require('./helpers');
+
+test('replay store', async (t) => {
+  const store = createStore({ type: 'memory' });
+  t.after(() => store.close());
+  const replay = createReplayStore(store);
+  const points = humanTrace(300, 7);
+  await replay.remember(points);
+
+  await t.test('catches an exact copy', async () => {
+    assert.deepEqual(await replay.check(points.map(p => ({ ...p }))), { replayed: true, match: 'exact' });
+  });
+
+  await t.test('catches a moved, time-shifted and jittered copy', async () => {
+    const random = createRandom(8);
+    const copy = points.map(p => ({
+      x: p.x + 40 + (random() - 0.5),
+      y: p.y - 25 + (random() - 0.5),
+      t: p.t + 86400000 + Math.round(random() * 4)
+    }));
+    assert.deepEqual(await replay.check(copy), { replayed: true, match: 'near' });
+  });
+
+  await t.test('lets a different trace through', async () => {
+    assert.deepEqual(await replay.check(humanTrace(300, 9)), { replayed: false, match: null });
+    assert.deepEqual(await replay.check(points.slice(0, 1)), { replayed: false, match: null });
+  });
+
+  await t.test('forgets traces after the TTL', async () => {
+    const shortLived = createReplayStore(store, { ttl: 200 });
+    const trace = humanTrace(100, 10);
+    await shortLived.remember(trace);
+    assert.equal((await shortLived.check(trace)).replayed, true);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    assert.equal((await shortLived.check(trace)).replayed, false);
+  });
+
+  await t.test('still finds exact copies of traces dropped from a full bucket', async () => {
+    const cappedStore = createStore({ type: 'memory' });
+    const capped = createReplayStore(cappedStore, { maxBucketEntries: 1 });
+    const first = humanTrace(200, 11);
+    await capped.remember(first);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await capped.remember(humanTrace(200, 13).map((p, i) => ({ ...p, t: first[i].t })));
+
+    assert.deepEqual(await capped.check(first), { replayed: true, match: 'exact' });
+    // Only the newest trace of the bucket is searched for near copies
+    assert.deepEqual(await capped.check(first.map(p => ({ ...p, x: p.x + 10 }))), { replayed: false, match: null });
+    await cappedStore.close();
+  });
+});
+
+test('/api/verify refuses a trace it has seen, even under a new challenge', async (t) => {
+  const server = await startServer({ RATE_LIMIT_EXEMPT_IPS: '127.0.0.1' });
+  t.after(() => server.close());
+  const issue = async () => (await server.post('/api/challenge', {})).body;
+
+  const issued = await issue();
+  const points = passingTrace(issued);
+  assert.equal((await server.post('/api/verify', { challengeId: issued.challengeId, points })).body.verified, true);
+
+  const replayed = await server.post('/api/verify', { challengeId: (await issue()).challengeId, points });
+  assert.equal(replayed.body.verified, false);
+  assert.equal(replayed.body.reason, 'replayed');
+  assert.equal(replayed.body.replayMatch, 'exact');
+});
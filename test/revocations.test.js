@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSignature, verifyToken } = require('../server/detection');
+const { createStore } = require('../server/store');
+const { createRevocationList, findRevocation } = require('../server/revocations');
+const { humanTrace, passingTrace, startServer } = require('./helpers');
+
+const SECRET = 'test-secret';
+const points = humanTrace(50, 5);
+const sign = (data = {}) => generateSignature(SECRET, { points, recordId: 'rec-1', checksPassed: 7, ...data });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('revocation rules refuse the tokens they match', async (t) => {
+  const store = createStore({ type: 'memory' });
+  t.after(() => store.close());
+  const revocations = createRevocationList(store);
+  const revoked = sign({ recordId: 'rec-revoked', siteKey: 'site_a' });
+  const other = sign({ recordId: 'rec-kept', siteKey: 'site_a' });
+
+  await revocations.revoke({ type: 'recordId', value: 'rec-revoked' });
+  const rules = await revocations.list();
+  assert.equal(verifyToken(SECRET, revoked.token, { revocations: rules }).reason, 'token_revoked');
+  assert.equal(verifyToken(SECRET, other.token, { revocations: rules }).valid, true);
+
+  // Only tokens issued before the rule are revoked
+  await sleep(5);
+  assert.equal(verifyToken(SECRET, sign({ recordId: 'rec-revoked' }).token, { revocations: rules }).valid, true);
+
+  // A site's rule leaves other sites' tokens alone
+  await revocations.revoke({ type: 'sessionId', value: other.signature.slice(0, 16), siteKey: 'site_b' });
+  assert.equal(verifyToken(SECRET, other.token, { revocations: await revocations.list() }).valid, true);
+  assert.equal((await revocations.list('site_a')).length, 1);
+  assert.equal((await revocations.list('site_b')).length, 2);
+});
+
+test('findRevocation matches by session, record and detection version', () => {
+  const { signature, payload } = sign({ siteKey: 'site_a' });
+  const claims = JSON.parse(payload);
+  const rule = (type, value, siteKey = null) => ({ type, value, siteKey, createdAt: claims.timestamp });
+
+  assert.ok(findRevocation([rule('sessionId', signature.slice(0, 16))], claims, signature));
+  assert.ok(findRevocation([rule('recordId', 'rec-1', 'site_a')], claims, signature));
+  assert.ok(findRevocation([rule('detectionVersion', claims.detectionVersion)], claims, signature));
+  assert.equal(findRevocation([rule('recordId', 'rec-2')], claims, signature), null);
+  assert.equal(findRevocation([rule('recordId', 'rec-1', 'site_b')], claims, signature), null);
+  assert.equal(findRevocation([{ ...rule('recordId', 'rec-1'), createdAt: claims.timestamp - 1 }], claims, signature), null);
+  assert.equal(findRevocation(undefined, claims, signature), null);
+});
+
+test('rules are dropped once every token they match has expired', async (t) => {
+  const store = createStore({ type: 'memory' });
+  t.after(() => store.close());
+  const revocations = createRevocationList(store, { maxTokenAge: 1000 });
+  const rule = await revocations.revoke({ type: 'recordId', value: 'rec-1', reason: 'fraud' });
+  assert.equal(rule.expiresAt - rule.createdAt, 1000);
+  assert.equal(rule.reason, 'fraud');
+  assert.ok(await revocations.check({ recordId: 'rec-1', timestamp: rule.createdAt }, ''));
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 1001);
+  assert.deepEqual(await revocations.list(), []);
+});
+
+test('POST /api/revoke', async (t) => {
+  const server = await startServer({ ADMIN_TOKENS: 'alice:write:wtok,dash:read:rtok', RATE_LIMIT_EXEMPT_IPS: '127.0.0.1' });
+  t.after(() => server.close());
+  const as = (token) => ({ Authorization: 'Bearer ' + token });
+  const register = async (name) =>
+    (await server.post('/api/admin/sites', { name, origins: ['*'] }, as('wtok'))).body;
+  const verify = async (site, recordId) => {
+    const issued = (await server.post('/api/challenge', { siteKey: site && site.site.siteKey })).body;
+    return (await server.post('/api/verify', { challengeId: issued.challengeId, points: passingTrace(issued), recordId })).body;
+  };
+  const check = async (verified, site) =>
+    (await server.post('/api/verify-signature', { token: verified.token, secret: site && site.secretKey })).body;
+
+  await t.test('is checked', async () => {
+    assert.equal((await server.post('/api/revoke', { recordId: 'r' })).status, 401);
+    assert.equal((await server.post('/api/revoke', { recordId: 'r' }, as('rtok'))).status, 403);
+    for (const body of [{}, { recordId: 'a', sessionId: 'b' }, { recordId: '' }, { recordId: 5 }, { recordId: 'a', reason: 5 }]) {
+      assert.equal((await server.post('/api/revoke', body, as('wtok'))).status, 400, JSON.stringify(body));
+    }
+  });
+
+  await t.test('refuses the tokens issued before it', async () => {
+    const first = await verify(null, 'rec-a');
+    const kept = await verify(null, 'rec-b');
+    const res = await server.post('/api/revoke', { sessionId: first.sessionId, reason: 'chargeback' }, as('wtok'));
+    assert.equal(res.body.revocation.type, 'sessionId');
+    assert.equal(res.body.revocation.siteKey, null);
+
+    assert.equal((await check(first)).reason, 'token_revoked');
+    assert.equal((await check(kept)).valid, true);
+    await sleep(5);
+    assert.equal((await check(await verify(null, 'rec-a'))).valid, true);
+
+    const listed = (await server.get('/api/revocations', as('rtok'))).body.revocations;
+    assert.deepEqual(listed.map(r => r.reason), ['chargeback']);
+  });
+
+  await t.test('a site secret key only revokes its own site\'s tokens', async () => {
+    const shop = await register('Shop');
+    const blog = await register('Blog');
+    const shopToken = await verify(shop, 'shared-id');
+    const blogToken = await verify(blog, 'shared-id');
+
+    const res = await server.post('/api/revoke', { recordId: 'shared-id', siteKey: blog.site.siteKey }, as(shop.secretKey));
+    assert.equal(res.body.revocation.siteKey, shop.site.siteKey);
+    assert.equal((await check(shopToken, shop)).reason, 'token_revoked');
+    assert.equal((await check(blogToken, blog)).valid, true);
+
+    const forBlog = (await server.get('/api/revocations', as(blog.secretKey))).body.revocations;
+    assert.ok(forBlog.every(r => r.siteKey === null));
+  });
+});
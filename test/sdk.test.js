@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSignature } = require('../server/detection');
+const { createStore } = require('../server/store');
+const sdk = require('../server/sdk');
+const { humanTrace } = require('./helpers');
+
+const SECRET = 'test-secret';
+const points = humanTrace(120, 21);
+const sign = (data = {}) => generateSignature(SECRET, { points, recordId: 'rec-1', checksPassed: 7, ...data }).token;
+
+test('errorFor maps every reason to its error class', () => {
+  const expected = {
+    token_expired: sdk.TokenExpiredError,
+    token_too_old: sdk.TokenExpiredError,
+    token_used: sdk.ReplayedError,
+    replayed: sdk.ReplayedError,
+    wrong_site: sdk.WrongSiteError,
+    wrong_action: sdk.WrongActionError,
+    wrong_profile: sdk.WrongProfileError,
+    token_revoked: sdk.RevokedError,
+    invalid_points: sdk.InvalidMovementError,
+    untrusted_events: sdk.InvalidMovementError,
+    invalid_signature: sdk.InvalidTokenError,
+    unknown_key: sdk.InvalidTokenError,
+    something_new: sdk.InvalidTokenError
+  };
+  for (const [reason, ErrorClass] of Object.entries(expected)) {
+    const error = sdk.errorFor(reason, { payload: { recordId: 'rec-1' } });
+    assert.ok(error instanceof ErrorClass, reason);
+    assert.ok(error instanceof sdk.VerificationError);
+    assert.equal(error.reason, reason);
+    assert.deepEqual(error.payload, { recordId: 'rec-1' });
+  }
+});
+
+test('client checking tokens locally', async (t) => {
+  const store = createStore({ type: 'memory' });
+  t.after(() => store.close());
+  const client = sdk.createClient({ getSecret: () => SECRET, siteKey: 'site_a', store });
+
+  await t.test('spends a token once', async () => {
+    const token = sign({ siteKey: 'site_a' });
+    assert.equal((await client.verifyToken(token)).recordId, 'rec-1');
+    await assert.rejects(client.verifyToken(token), sdk.ReplayedError);
+    assert.equal((await client.introspect(token)).reason, 'token_used');
+  });
+
+  await t.test('refuses tokens of other sites, actions and profiles', async () => {
+    await assert.rejects(client.verifyToken(sign({ siteKey: 'site_b' })), sdk.WrongSiteError);
+    await assert.rejects(client.verifyToken(sign()), sdk.WrongSiteError);
+    await assert.rejects(client.verifyToken(sign({ siteKey: 'site_a', action: 'pay' }), { action: 'refund' }), sdk.WrongActionError);
+    await assert.rejects(client.verifyToken(sign({ siteKey: 'site_a', action: 'pay' })), sdk.WrongActionError);
+    await assert.rejects(client.verifyToken(sign({ siteKey: 'site_a', profile: 'lenient' }), { profile: ['strict', 'balanced'] }), sdk.WrongProfileError);
+    assert.equal((await client.verifyToken(sign({ siteKey: 'site_a', action: 'pay' }), { action: 'pay' })).recordId, 'rec-1');
+  });
+
+  await t.test('refuses expired, old and forged tokens', async () => {
+    await assert.rejects(client.verifyToken(sign({ siteKey: 'site_a', ttl: -1 })), sdk.TokenExpiredError);
+    const token = sign({ siteKey: 'site_a' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await assert.rejects(client.verifyToken(token, { maxAge: 1 }), sdk.TokenExpiredError);
+    await assert.rejects(client.verifyToken(token.slice(0, -2) + '00'), sdk.InvalidTokenError);
+    assert.equal((await client.introspect('')).reason, 'missing_token');
+  });
+
+  await t.test('revokes a token for this client', async () => {
+    const token = sign({ siteKey: 'site_a' });
+    assert.equal(await client.revoke(token), null);
+    await assert.rejects(client.verifyToken(token), sdk.RevokedError);
+  });
+
+  await t.test('without a site key, only accepts tokens issued without one', async () => {
+    const anySite = sdk.createClient({ getSecret: () => SECRET, store });
+    assert.equal((await anySite.introspect(sign())).valid, true);
+    assert.equal((await anySite.introspect(sign({ siteKey: 'site_a' }))).reason, 'wrong_site');
+  });
+});
+
+test('client configuration mistakes throw plain errors', async () => {
+  const store = createStore({ type: 'memory' });
+  const remote = sdk.createClient({ serverUrl: 'http://127.0.0.1:1', store });
+  await assert.rejects(remote.revoke(sign()), (error) => !(error instanceof sdk.VerificationError) && /secret or adminToken/.test(error.message));
+  await assert.rejects(sdk.createClient({ store }).introspect(sign()), /getSecret or serverUrl/);
+  await store.close();
+});
+
+test('verifyMovement', async (t) => {
+  const store = createStore({ type: 'memory' });
+  t.after(() => store.close());
+  const client = sdk.createClient({ store });
+
+  await t.test('needs targetHits', async () => {
+    for (const targetHits of [undefined, -1, 2.5, '5']) {
+      await assert.rejects(client.verifyMovement(points, { targetHits }), /needs targetHits/);
+    }
+  });
+
+  await t.test('analyzes the trace', async () => {
+    const result = await client.verifyMovement(points, { targetHits: 5 });
+    assert.equal(result.profile, 'balanced');
+    // The target check counts towards checksPassed
+    const missed = await client.verifyMovement(points, { targetHits: 4 });
+    assert.equal(result.checksPassed, missed.checksPassed + 1);
+    assert.equal(result.pointer, null);
+    assert.equal(typeof result.movementHash, 'string');
+  });
+
+  await t.test('maps bad input to InvalidMovementError', async () => {
+    await assert.rejects(client.verifyMovement([{ x: 'a', y: 1, t: 1 }], { targetHits: 0 }), (error) =>
+      error instanceof sdk.InvalidMovementError && error.reason === 'invalid_points' && error.details.length > 0);
+    const untrusted = points.map((p, i) => ({ ...p, pointerType: 'mouse', isTrusted: i !== 3 }));
+    await assert.rejects(client.verifyMovement(untrusted, { targetHits: 5 }), (error) =>
+      error instanceof sdk.InvalidMovementError && error.reason === 'untrusted_events');
+    await assert.rejects(client.verifyMovement(points, { targetHits: 5, profile: 'nope' }), /Unknown profile/);
+  });
+
+  await t.test('rejects replayed traces when asked to', async () => {
+    const trace = humanTrace(120, 22);
+    await client.verifyMovement(trace, { targetHits: 5, checkReplay: true });
+    await assert.rejects(client.verifyMovement(trace, { targetHits: 5, checkReplay: true }), sdk.ReplayedError);
+  });
+});
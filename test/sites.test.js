@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSiteRegistry, isSiteKey, normalizeOrigin } = require('../server/sites');
+const { createStore } = require('../server/store');
+const { passingTrace, startServer } = require('./helpers');
+
+test('isSiteKey and normalizeOrigin', () => {
+  assert.equal(isSiteKey('pk_' + 'a'.repeat(24)), true);
+  assert.equal(isSiteKey('pk_../../etc'), false);
+  assert.equal(isSiteKey(42), false);
+
+  assert.equal(normalizeOrigin('https://Shop.example/cart?x=1'), 'https://shop.example');
+  assert.equal(normalizeOrigin('http://localhost:3000'), 'http://localhost:3000');
+  assert.equal(normalizeOrigin('*'), '*');
+  assert.equal(normalizeOrigin('ftp://shop.example'), null);
+  assert.equal(normalizeOrigin('shop.example'), null);
+});
+
+test('site registry', async (t) => {
+  const store = createStore({ type: 'memory' });
+  t.after(() => store.close());
+  const sites = createSiteRegistry(store);
+
+  const { site, secretKey } = await sites.create({ name: 'Shop', origins: ['https://shop.example'] });
+  assert.ok(isSiteKey(site.siteKey));
+  assert.match(secretKey, /^sk_[0-9a-f]{48}$/);
+  assert.equal(site.secretHash, undefined);
+  assert.equal(site.profile, null);
+
+  const stored = await sites.get(site.siteKey);
+  assert.ok(stored.secretHash && !stored.secretHash.includes(secretKey));
+  assert.equal((await sites.findBySecret(secretKey)).siteKey, site.siteKey);
+  assert.equal(await sites.findBySecret('sk_unknown'), null);
+  assert.equal(await sites.findBySecret('wtok'), null);
+  assert.equal(sites.checkSecret(stored, secretKey), true);
+  assert.equal(sites.checkSecret(stored, 'sk_wrong'), false);
+  assert.equal(sites.checkSecret(stored, undefined), false);
+
+  assert.equal(sites.originAllowed(stored, 'https://shop.example'), true);
+  assert.equal(sites.originAllowed(stored, 'https://evil.example'), false);
+  assert.equal(sites.originAllowed(stored, null), false);
+  assert.equal(sites.originAllowed({ origins: ['*'] }, null), true);
+
+  const other = await sites.create({ name: 'Blog', origins: ['*'], profile: 'lenient' });
+  assert.deepEqual((await sites.list()).map(s => s.siteKey), [site.siteKey, other.site.siteKey]);
+
+  const rotated = await sites.rotateSecret(site.siteKey);
+  assert.equal(await sites.findBySecret(secretKey), null);
+  assert.equal((await sites.findBySecret(rotated)).siteKey, site.siteKey);
+  assert.equal(await sites.rotateSecret('pk_' + '0'.repeat(24)), null);
+
+  assert.equal(await sites.remove(site.siteKey), true);
+  assert.equal(await sites.remove(site.siteKey), false);
+  assert.equal(await sites.findBySecret(rotated), null);
+  assert.deepEqual((await sites.list()).map(s => s.siteKey), [other.site.siteKey]);
+});
+
+test('sites on the server', async (t) => {
+  const server = await startServer({ ADMIN_TOKENS: 'alice:write:wtok', RATE_LIMIT_EXEMPT_IPS: '127.0.0.1' });
+  t.after(() => server.close());
+  const as = (token) => ({ Authorization: 'Bearer ' + token });
+  const register = async (body) => (await server.post('/api/admin/sites', body, as('wtok'))).body;
+
+  const shop = await register({ name: 'Shop', origins: ['https://shop.example'], profile: 'lenient' });
+  const blog = await register({ name: 'Blog', origins: ['https://blog.example'] });
+
+  await t.test('registration is checked', async () => {
+    const bad = (body) => server.post('/api/admin/sites', body, as('wtok'));
+    assert.equal((await bad({ origins: ['*'] })).status, 400);
+    assert.equal((await bad({ name: 'x', origins: [] })).status, 400);
+    assert.equal((await bad({ name: 'x', origins: ['javascript:alert(1)'] })).status, 400);
+    assert.equal((await bad({ name: 'x', origins: ['*'], profile: 'nope' })).status, 400);
+  });
+
+  await t.test('challenges need an allowed origin and use the site profile', async () => {
+    const fromShop = { Origin: 'https://shop.example' };
+    assert.equal((await server.post('/api/challenge', { siteKey: shop.site.siteKey })).status, 403);
+    assert.equal((await server.post('/api/challenge', { siteKey: shop.site.siteKey }, { Origin: 'https://evil.example' })).status, 403);
+    assert.equal((await server.post('/api/challenge', { siteKey: 'pk_' + '0'.repeat(24) }, fromShop)).status, 400);
+
+    // The site's profile wins over a requested one
+    const issued = (await server.post('/api/challenge', { siteKey: shop.site.siteKey, profile: 'strict' }, fromShop)).body;
+    assert.equal(issued.profile, 'lenient');
+  });
+
+  await t.test('a site token validates only with that site\'s secret key', async () => {
+    const fromShop = { Origin: 'https://shop.example' };
+    const issued = (await server.post('/api/challenge', { siteKey: shop.site.siteKey }, fromShop)).body;
+    const verified = (await server.post('/api/verify', { challengeId: issued.challengeId, points: passingTrace(issued) }, fromShop)).body;
+    assert.equal(verified.verified, true);
+    const check = (secret) => server.post('/api/verify-signature', { token: verified.token, secret });
+
+    assert.equal((await check(undefined)).body.reason, 'wrong_site');
+    assert.equal((await check(blog.secretKey)).body.reason, 'wrong_site');
+    const valid = (await check(shop.secretKey)).body;
+    assert.equal(valid.valid, true);
+    assert.equal(valid.siteKey, shop.site.siteKey);
+    assert.equal(valid.origin, 'https://shop.example');
+
+    // A secret key doesn't accept tokens issued without a site either
+    const plain = (await server.post('/api/challenge', {})).body;
+    const plainToken = (await server.post('/api/verify', { challengeId: plain.challengeId, points: passingTrace(plain) })).body.token;
+    assert.equal((await server.post('/api/verify-signature', { token: plainToken, secret: shop.secretKey })).body.reason, 'wrong_site');
+  });
+
+  await t.test('a secret key only reaches its own site\'s data', async () => {
+    const record = (token, body) => server.post('/api/record-result', { isHuman: true, passed: true, ...body }, as(token));
+    const matrix = async (siteKey) => (await server.get(`/api/confusion-matrix?siteKey=${siteKey}`, as('wtok'))).body.matrix;
+
+    assert.equal((await record(shop.secretKey)).status, 200);
+    // siteKey in the body can't point a secret key at another site
+    assert.equal((await record(shop.secretKey, { siteKey: blog.site.siteKey })).status, 200);
+    assert.equal((await matrix(shop.site.siteKey)).humanPassed, 2);
+    assert.equal((await matrix(blog.site.siteKey)).humanPassed, 0);
+    assert.equal((await server.get('/api/confusion-matrix')).body.matrix.humanPassed, 0);
+
+    const own = await server.get(`/api/confusion-matrix?siteKey=${blog.site.siteKey}`, as(shop.secretKey));
+    assert.equal(own.body.matrix.humanPassed, 2);
+
+    // Site administration stays with admin tokens
+    assert.equal((await server.get('/api/admin/sites', as(shop.secretKey))).status, 403);
+    assert.equal((await server.post('/api/admin/sites', { name: 'x', origins: ['*'] }, as(shop.secretKey))).status, 403);
+    assert.equal((await server.get('/api/admin/audit', as(shop.secretKey))).status, 403);
+  });
+
+  await t.test('rotating and removing a site', async () => {
+    const rotated = await server.post(`/api/admin/sites/${blog.site.siteKey}/rotate-secret`, {}, as('wtok'));
+    assert.equal(rotated.status, 200);
+    assert.equal((await server.get('/api/movements', as(blog.secretKey))).status, 401);
+    assert.equal((await server.get('/api/movements', as(rotated.body.secretKey))).status, 200);
+
+    const listed = (await server.get('/api/admin/sites', as('wtok'))).body.sites;
+    assert.deepEqual(listed.map(s => s.name), ['Shop', 'Blog']);
+    assert.ok(listed.every(s => !('secretHash' in s)));
+
+    const removed = await fetch(`${server.url}/api/admin/sites/${shop.site.siteKey}`, { method: 'DELETE', headers: as('wtok') });
+    assert.equal(removed.status, 200);
+    assert.equal((await server.get('/api/movements', as(shop.secretKey))).status, 401);
+    assert.equal((await server.post('/api/challenge', { siteKey: shop.site.siteKey }, { Origin: 'https://shop.example' })).status, 400);
+  });
+});
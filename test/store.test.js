@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStore } = require('../server/store');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('memory store', async (t) => {
+  const store = createStore({ type: 'memory' });
+  t.after(() => store.close());
+
+  await t.test('get, set and delete copies of values', async () => {
+    const value = { a: [1, 2] };
+    await store.set('k', value);
+    value.a.push(3);
+    assert.deepEqual(await store.get('k'), { a: [1, 2] });
+    assert.equal(await store.get('missing'), null);
+    assert.equal(await store.delete('k'), true);
+    assert.equal(await store.delete('k'), false);
+  });
+
+  await t.test('expire keys after their ttl', async () => {
+    await store.set('short', 1, 20);
+    await store.set('forever', 1);
+    assert.ok(await store.ttl('short') <= 20);
+    assert.equal(await store.ttl('forever'), null);
+    await sleep(30);
+    assert.equal(await store.get('short'), null);
+    assert.equal(await store.ttl('short'), null);
+    assert.equal(await store.get('forever'), 1);
+  });
+
+  await t.test('checkAndSet writes only over the expected value', async () => {
+    assert.equal(await store.checkAndSet('cas', null, { n: 1 }), true);
+    assert.equal(await store.checkAndSet('cas', null, { n: 2 }), false);
+    assert.equal(await store.checkAndSet('cas', { n: 1 }, { n: 2 }), true);
+    assert.deepEqual(await store.get('cas'), { n: 2 });
+    assert.equal(await store.checkAndSet('cas', { n: 1 }, { n: 3 }), false);
+  });
+
+  await t.test('sets expire member by member and keep the newest max', async () => {
+    await store.addMember('set', 'a', 200);
+    await store.addMember('set', 'b', 1000);
+    assert.deepEqual((await store.members('set')).sort(), ['a', 'b']);
+    await sleep(300);
+    assert.deepEqual(await store.members('set'), ['b']);
+
+    await store.addMember('set', 'c', 1000, 2);
+    await store.addMember('set', 'd', 2000, 2);
+    assert.deepEqual((await store.members('set')).sort(), ['c', 'd']);
+    assert.deepEqual(await store.members('none'), []);
+  });
+
+  await t.test('prune removes expired keys', async () => {
+    await store.set('gone', 1, 1);
+    await sleep(5);
+    assert.ok(await store.prune() >= 1);
+  });
+});
+
+test('file store keeps state across restarts', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'amc-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'store.json');
+
+  const first = createStore({ type: 'file', file });
+  await first.set('kept', { v: 1 });
+  await first.set('expiring', 1, 20);
+  await first.addMember('set', 'm', 60000);
+  await first.close();
+  assert.deepEqual(fs.readdirSync(dir), ['store.json']);
+
+  await sleep(30);
+  const second = createStore({ type: 'file', file });
+  t.after(() => second.close());
+  assert.deepEqual(await second.get('kept'), { v: 1 });
+  assert.equal(await second.get('expiring'), null);
+  assert.deepEqual(await second.members('set'), ['m']);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createStore } = require('../server/store');
+const { createStreamSessions, clockDrift } = require('../server/stream');
+const { humanTrace, passingTrace, startServer } = require('./helpers');
+
+const challenge = () => ({ challengeId: 'ch-1', expiresAt: Date.now() + 60000 });
+
+test('stream sessions', async (t) => {
+  const store = createStore({ type: 'memory' });
+  t.after(() => store.close());
+  const streams = createStreamSessions(store, { maxChunks: 3 });
+  const points = humanTrace(90, 12);
+
+  await t.test('collect chunks in order', async () => {
+    const opened = await streams.open(challenge(), { recordId: 'rec-1' });
+    assert.equal(opened.recordId, 'rec-1');
+    assert.deepEqual(await streams.get(opened.streamId), opened);
+
+    const first = await streams.append(opened, points.slice(0, 30), { hits: { hits: 1 } });
+    assert.equal(first.status, 'ok');
+    const second = await streams.append(first.session, points.slice(30, 60));
+    assert.equal(second.status, 'ok');
+    assert.equal(second.session.pointCount, 60);
+    assert.equal(second.session.firstT, points[0].t);
+    assert.equal(second.session.lastT, points[59].t);
+    assert.deepEqual(second.session.hits, { hits: 1 });
+    assert.equal(second.session.arrivals.length, 2);
+    assert.deepEqual(await streams.points(second.session), points.slice(0, 60));
+  });
+
+  await t.test('refuse a chunk built on a stale session', async () => {
+    const opened = await streams.open(challenge());
+    const first = await streams.append(opened, points.slice(0, 30));
+    const stale = await streams.append(opened, points.slice(30, 60));
+    assert.equal(stale.status, 'conflict');
+    assert.deepEqual(stale.session, first.session);
+    // The losing chunk left nothing behind
+    assert.deepEqual(await streams.points(stale.session), points.slice(0, 30));
+  });
+
+  await t.test('stop taking chunks beyond maxChunks', async () => {
+    let session = await streams.open(challenge());
+    for (let i = 0; i < 3; i++) {
+      ({ session } = await streams.append(session, points.slice(i * 30, i * 30 + 30)));
+    }
+    assert.equal((await streams.append(session, points.slice(0, 1))).status, 'too_many_chunks');
+  });
+
+  await t.test('finish once and keep the result', async () => {
+    const opened = await streams.open(challenge());
+    const { session } = await streams.append(opened, points.slice(0, 30));
+    assert.equal(await streams.finish(session, { verified: true }), true);
+    assert.equal(await streams.finish(session, { verified: false }), false);
+
+    const finished = await streams.get(session.streamId);
+    assert.equal(finished.done, true);
+    assert.deepEqual(finished.result, { verified: true });
+    assert.deepEqual(finished.chunks, []);
+    assert.equal((await streams.append(finished, points.slice(30, 60))).status, 'finished');
+    assert.equal((await streams.append(session, points.slice(30, 60))).status, 'finished');
+  });
+});
+
+test('clockDrift measures how far the client clock wanders', () => {
+  assert.equal(clockDrift([]), 0);
+  assert.equal(clockDrift([{ at: 1000, t: 10 }, { at: 1250, t: 260 }, { at: 1530, t: 500 }]), 40);
+});
+
+test('/api/stream', async (t) => {
+  const server = await startServer({ RATE_LIMIT_CHUNKS_PER_IP: '40', RATE_LIMIT_FAILURES_BEFORE_LOCKOUT: '10' });
+  t.after(() => server.close());
+
+  // The server runs in this process: chunks "arrive" when the mocked clock says so
+  let now = Date.now();
+  t.mock.method(Date, 'now', () => now);
+
+  const open = async (body = {}) => {
+    const issued = (await server.post('/api/challenge', {})).body;
+    const opened = (await server.post('/api/stream', { challengeId: issued.challengeId, ...body })).body;
+    return { issued, streamId: opened.streamId, opened };
+  };
+  const send = (streamId, body) => server.post(`/api/stream/${streamId}`, body);
+  const chunksOf = (points, count) => Array.from({ length: count }, (_, i) =>
+    points.slice(Math.floor(i * points.length / count), Math.floor((i + 1) * points.length / count)));
+  const metric = async (line) => {
+    const text = await (await fetch(server.url + '/metrics')).text();
+    const found = text.split('\n').find(l => l.startsWith(line + ' '));
+    return found ? Number(found.split(' ').pop()) : 0;
+  };
+
+  await t.test('chunks sent in real time verify and finish the session', async () => {
+    const { issued, streamId, opened } = await open({ recordId: 'rec-s' });
+    assert.deepEqual(opened.nextTarget, issued.targets[0]);
+    const points = passingTrace(issued, { start: now });
+    const started = now;
+
+    let last;
+    for (const chunk of chunksOf(points, 6)) {
+      now = started + (chunk[chunk.length - 1].t - points[0].t) + 40;
+      last = await send(streamId, { points: chunk });
+      assert.equal(last.status, 200, JSON.stringify(last.body));
+      if (last.body.done) break;
+    }
+    if (!last.body.done) last = await send(streamId, { final: true });
+    assert.equal(last.body.done, true);
+    assert.equal(last.body.verified, true, JSON.stringify(last.body));
+    assert.equal(last.body.streamId, streamId);
+    assert.equal((await server.post('/api/verify-signature', { token: last.body.token })).body.recordId, 'rec-s');
+
+    // Later chunks get the same result
+    const again = await send(streamId, { points: [{ x: 1, y: 1, t: points[points.length - 1].t + 10 }] });
+    assert.equal(again.body.token, last.body.token);
+  });
+
+  await t.test('a trace played back faster than real time fails with timing_mismatch', async () => {
+    const { issued, streamId } = await open();
+    const points = passingTrace(issued);
+    let last;
+    for (const chunk of chunksOf(points, 6)) {
+      now += 100;
+      last = await send(streamId, { points: chunk });
+      if (last.body.done) break;
+    }
+    assert.equal(last.body.done, true);
+    assert.equal(last.body.reason, 'timing_mismatch');
+    assert.ok(last.body.clockDriftMs > 1500);
+  });
+
+  await t.test('malformed chunks are rejected, logged and counted', async () => {
+    const { streamId, issued } = await open();
+    const before = await metric('aimc_verify_requests_total{outcome="invalid",reason="invalid_points"}');
+    const bad = await send(streamId, { points: [{ x: 1, y: 'a', t: 1 }] });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.details[0].field, 'points[0].y');
+    assert.match(bad.body.requestId, /^req_/);
+    const empty = await send(streamId, { points: [] });
+    assert.equal(empty.status, 400);
+    const outside = await send(streamId, { points: [{ x: -50, y: 10, t: 1 }] });
+    assert.equal(outside.body.details[0].field, 'points[0].x');
+
+    assert.equal(await metric('aimc_verify_requests_total{outcome="invalid",reason="invalid_points"}'), before + 2);
+    assert.equal(await metric('aimc_verify_requests_total{outcome="invalid",reason="outside_capture_area"}'), 1);
+    const logged = fs.readdirSync(path.join(server.dataDir, 'decision-logs'))
+      .flatMap(name => fs.readFileSync(path.join(server.dataDir, 'decision-logs', name), 'utf8').split('\n'))
+      .filter(Boolean).map(line => JSON.parse(line))
+      .filter(entry => entry.challengeId === issued.challengeId && entry.outcome === 'invalid');
+    assert.deepEqual(logged.map(e => e.requestId).sort(), [bad.body.requestId, empty.body.requestId, outside.body.requestId].sort());
+
+    // The stream stays open for a corrected chunk
+    now += 100;
+    const good = await send(streamId, { points: passingTrace(issued).slice(0, 20) });
+    assert.equal(good.status, 200);
+    assert.equal(good.body.done, false);
+  });
+
+  await t.test('unknown streams and other origins are refused', async () => {
+    const { streamId } = await open();
+    assert.equal((await send('nope', { points: [] })).status, 404);
+    assert.equal((await server.post(`/api/stream/${streamId}`, { points: [] }, { Origin: 'https://evil.example' })).status, 403);
+    assert.equal((await server.post('/api/stream', { challengeId: 'gone' })).body.reason, 'challenge_not_found');
+  });
+
+  await t.test('chunks count against their own per-IP limit', async () => {
+    const { streamId } = await open();
+    let limited = null;
+    for (let i = 0; i < 41 && !limited; i++) {
+      const res = await send(streamId, { points: 'nope' });
+      if (res.status === 429) limited = res;
+    }
+    assert.ok(limited, 'no 429 within the chunk limit');
+    assert.equal(limited.body.reason, 'rate_limited');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  });
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { generateSignature, verifyToken, hashMovement, hashAction } = require('../server/detection');
+const { humanTrace, passingTrace, startServer } = require('./helpers');
+
+const SECRET = 'test-secret';
+const points = humanTrace(50, 5);
+const sign = (data = {}) => generateSignature(SECRET, { points, recordId: 'rec-1', checksPassed: 7, ...data });
+
+test('a signed token verifies and carries its claims', () => {
+  const { token } = sign({ siteKey: 'site_a', profile: 'strict' });
+  const result = verifyToken(SECRET, token);
+  assert.equal(result.valid, true);
+  assert.equal(result.payload.recordId, 'rec-1');
+  assert.equal(result.payload.siteKey, 'site_a');
+  assert.equal(result.payload.profile, 'strict');
+  assert.equal(result.payload.movementHash, hashMovement(points));
+});
+
+test('tampered, foreign and malformed tokens are refused', () => {
+  const { token } = sign();
+  const [payload, signature] = token.split('.');
+  const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  const forged = Buffer.from(JSON.stringify({ ...claims, checksPassed: 9 })).toString('base64url');
+
+  assert.equal(verifyToken(SECRET, forged + '.' + signature).reason, 'invalid_signature');
+  assert.equal(verifyToken(SECRET, payload + '.' + signature.slice(0, 10)).reason, 'invalid_signature');
+  assert.equal(verifyToken('other-secret', token).reason, 'invalid_signature');
+  assert.equal(verifyToken(SECRET, 'no-dot').reason, 'malformed_token');
+  assert.equal(verifyToken(SECRET, 'bm90IGpzb24.abc').reason, 'malformed_token');
+  assert.equal(verifyToken(SECRET, null).reason, 'malformed_token');
+});
+
+test('expired tokens are refused', () => {
+  assert.equal(verifyToken(SECRET, sign({ ttl: -1 }).token).reason, 'token_expired');
+});
+
+test('tokens are bound to their action', () => {
+  const { token } = sign({ action: { type: 'approve_invoice', invoiceId: 123, amount: 500 } });
+
+  // Key order doesn't matter, every value does
+  assert.equal(verifyToken(SECRET, token, { action: { amount: 500, invoiceId: 123, type: 'approve_invoice' } }).valid, true);
+  assert.equal(verifyToken(SECRET, token, { action: { type: 'approve_invoice', invoiceId: 123, amount: 5000 } }).reason, 'wrong_action');
+  assert.equal(verifyToken(SECRET, token, { action: null }).reason, 'wrong_action');
+  assert.equal(verifyToken(SECRET, sign().token, { action: 'login' }).reason, 'wrong_action');
+  assert.equal(verifyToken(SECRET, sign().token, { action: null }).valid, true);
+  assert.equal(hashAction({ b: [1, { d: 2, c: 3 }], a: 'x' }), hashAction({ a: 'x', b: [1, { c: 3, d: 2 }] }));
+  assert.notEqual(hashAction('login'), hashAction({ type: 'login' }));
+});
+
+test('/api/verify-signature checks tokens without server-side state', async (t) => {
+  const server = await startServer({ RATE_LIMIT_EXEMPT_IPS: '127.0.0.1' });
+  t.after(() => server.close());
+  const verify = async (body) => {
+    const issued = (await server.post('/api/challenge', {})).body;
+    return (await server.post('/api/verify', { challengeId: issued.challengeId, points: passingTrace(issued), ...body })).body;
+  };
+
+  await t.test('valid, not spent by checking, and forgery refused', async () => {
+    const body = await verify({ recordId: 'rec-9' });
+    assert.equal(body.verified, true);
+
+    const valid = await server.post('/api/verify-signature', { token: body.token });
+    assert.equal(valid.body.valid, true);
+    assert.equal(valid.body.recordId, 'rec-9');
+    // Checking does not spend the token
+    assert.equal((await server.post('/api/verify-signature', { token: body.token })).body.valid, true);
+
+    const forged = body.token.slice(0, -4) + (body.token.endsWith('0000') ? '1111' : '0000');
+    const refused = await server.post('/api/verify-signature', { token: forged });
+    assert.equal(refused.body.valid, false);
+    assert.equal(refused.body.reason, 'invalid_signature');
+  });
+
+  await t.test('a token only authorizes the action it was issued for', async () => {
+    const action = { type: 'approve_invoice', invoiceId: 123, amount: 500 };
+    const body = await verify({ action });
+    assert.equal(body.actionHash, hashAction(action));
+    const check = (payload) => server.post('/api/verify-signature', { token: body.token, ...payload });
+
+    const valid = (await check({ action: { ...action } })).body;
+    assert.equal(valid.valid, true);
+    assert.equal(valid.actionHash, hashAction(action));
+    assert.equal((await check({ action: { ...action, amount: 50000 } })).body.reason, 'wrong_action');
+    assert.equal((await check({})).body.reason, 'wrong_action');
+
+    const invalid = await server.post('/api/verify', { challengeId: 'x', points, action: [] });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.details[0].field, 'action');
+  });
+});
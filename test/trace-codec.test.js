@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeTrace, pointsFromBody } = require('../server/trace-codec');
+const { humanTrace, passingTrace, startServer } = require('./helpers');
+
+// The library announces itself on load
+test.mock.method(console, 'log', () => {});
+const { encodeTrace } = require('../ai-mouse-check');
+test.mock.restoreAll();
+
+const round = (value, scale) => Math.round(value * scale) / scale;
+const base64 = (bytes) => Buffer.from(bytes).toString('base64');
+
+test('round-trips positions to 0.01 px and whole-ms times exactly', () => {
+  const points = humanTrace(500, 3);
+  const { points: decoded, errors } = decodeTrace(encodeTrace(points));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(decoded, points.map(p => ({ x: round(p.x, 100), y: round(p.y, 100), t: p.t })));
+});
+
+test('keeps microseconds, event types and pointer fields', () => {
+  const points = [
+    { x: 10.5, y: 20.25, t: 1000.125, type: 'enter', movementX: 0, movementY: 0, buttons: 0, pointerType: 'mouse', isTrusted: true },
+    { x: 12, y: 19, t: 1016.5, type: 'move', movementX: 1.5, movementY: -1.25, buttons: 1, pointerType: 'pen', isTrusted: true },
+    { x: 8, y: 30, t: 1017, type: 'up', movementX: -4, movementY: 11, buttons: 0, pointerType: '', isTrusted: false }
+  ];
+  assert.deepEqual(decodeTrace(encodeTrace(points)).points, points);
+});
+
+test('honours the precision option', () => {
+  const { points } = decodeTrace(encodeTrace([{ x: 1.4, y: 2.6, t: 5 }], { precision: 1 }));
+  assert.deepEqual(points, [{ x: 1, y: 3, t: 5 }]);
+});
+
+test('rejects malformed traces', () => {
+  const trace = encodeTrace(humanTrace(20, 4));
+  const bytes = Buffer.from(trace, 'base64');
+  const reject = (value) => assert.equal(decodeTrace(value).points, null);
+
+  reject(42);
+  reject('not base64!');
+  reject(bytes.subarray(0, bytes.length - 2).toString('base64'));
+  reject(Buffer.concat([bytes, Buffer.from([0])]).toString('base64'));
+  reject(Buffer.concat([Buffer.from([9]), bytes.subarray(1)]).toString('base64'));
+  assert.match(decodeTrace(trace, { maxPoints: 10 }).errors[0].error, /more than 10 points/);
+
+  const error = (value) => decodeTrace(value).errors[0].error;
+  // version, flags, scale, timeScale, count, first t, then dx dy dt (and tag) per point
+  assert.match(error(base64([2, 4, 1, 1, 0, 0])), /unknown flags 4/);
+  assert.match(error(base64([1, 2, 1, 1, 0, 0])), /unknown flags 2/);
+  assert.match(error(base64([2, 0, 0, 1, 0, 0])), /scales must be between 1 and 1000/);
+  assert.match(error(base64([2, 1, 1, 1, 1, 0, 2, 2, 2, 9])), /unknown event type 9 at point 0/);
+  assert.deepEqual(decodeTrace(base64([2, 0, 1, 1, 0, 0])), { points: [], errors: [] });
+});
+
+test('still reads version 1 traces', () => {
+  const points = [{ x: 1, y: 2, t: 3, type: 'down' }, { x: 2, y: 4, t: 9, type: 'move' }];
+  const bytes = Buffer.from(encodeTrace(points), 'base64');
+  bytes[0] = 1;
+  assert.deepEqual(decodeTrace(bytes.toString('base64')).points, points);
+});
+
+test('pointsFromBody takes points or trace, not both', () => {
+  const points = [{ x: 1, y: 2, t: 3 }];
+  assert.deepEqual(pointsFromBody({ points }), { points, errors: [] });
+  assert.deepEqual(pointsFromBody({ trace: encodeTrace(points) }).points, points);
+  assert.equal(pointsFromBody({ points, trace: encodeTrace(points) }).points, null);
+});
+
+test('/api/verify takes a compact trace', async (t) => {
+  const server = await startServer({ RATE_LIMIT_EXEMPT_IPS: '127.0.0.1' });
+  t.after(() => server.close());
+
+  const issued = (await server.post('/api/challenge', {})).body;
+  const res = await server.post('/api/verify', { challengeId: issued.challengeId, trace: encodeTrace(passingTrace(issued)) });
+  assert.equal(res.body.verified, true, JSON.stringify(res.body));
+
+  const bad = await server.post('/api/verify', { challengeId: issued.challengeId, trace: 'not base64!' });
+  assert.equal(bad.status, 400);
+  assert.deepEqual(bad.body.details, [{ field: 'trace', error: 'must be a base64 string' }]);
+});
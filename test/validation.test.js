@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  validatePoints, validateCaptureArea, validateAction, validateRecordId
+} = require('../server/validation');
+const { startServer } = require('./helpers');
+
+const line = (n, dt = 10) => Array.from({ length: n }, (_, i) => ({ x: i, y: i, t: i * dt }));
+const fields = (errors) => errors.map((e) => e.field);
+
+test('validatePoints accepts a plain trace', () => {
+  assert.deepEqual(validatePoints(line(50)), []);
+  assert.deepEqual(validatePoints([]), []);
+});
+
+test('validatePoints reports each bad point by field', () => {
+  assert.deepEqual(fields(validatePoints('nope')), ['points']);
+  assert.deepEqual(fields(validatePoints([{ x: 0, y: 0, t: 0 }, null, [1, 2, 3]])), ['points[1]', 'points[2]']);
+  assert.deepEqual(
+    fields(validatePoints([{ x: 'a', y: Infinity, t: 0 }, { x: 1, y: 1 }])),
+    ['points[0].x', 'points[0].y', 'points[1].t']
+  );
+
+  const backwards = line(5);
+  backwards[3].t = 5;
+  assert.deepEqual(validatePoints(backwards), [{ field: 'points[3].t', error: 'must not be earlier than points[2].t' }]);
+});
+
+test('validatePoints bounds the size and the sampling rate', () => {
+  assert.deepEqual(fields(validatePoints(line(11), { maxPoints: 10 })), ['points']);
+  assert.deepEqual(fields(validatePoints(line(10, 0))), ['points']);
+  assert.match(validatePoints(line(10, 0.1))[0].error, /sampling rate of \d+ Hz exceeds 2000 Hz/);
+  assert.deepEqual(validatePoints(line(10, 1)), []);
+  // Stops collecting after maxErrors
+  assert.equal(validatePoints(Array(50).fill(null), { maxErrors: 5 }).length, 5);
+});
+
+test('validatePoints checks a chunk as the continuation of the previous ones', () => {
+  const previous = { count: 100, firstT: 0, lastT: 990 };
+  assert.deepEqual(validatePoints([{ x: 0, y: 0, t: 1000 }], {}, previous), []);
+  assert.deepEqual(validatePoints([{ x: 0, y: 0, t: 980 }], {}, previous),
+    [{ field: 'points[0].t', error: 'must not be earlier than the last point of the previous chunk' }]);
+  assert.deepEqual(fields(validatePoints(line(10), { maxPoints: 105 }, previous)), ['points']);
+  // The rate covers every point accepted so far
+  assert.deepEqual(fields(validatePoints([{ x: 0, y: 0, t: 995 }], { maxSampleRateHz: 100 }, previous)), ['points']);
+});
+
+test('validateCaptureArea allows sub-pixel slack at the edges', () => {
+  const area = { width: 100, height: 50 };
+  assert.deepEqual(validateCaptureArea([{ x: -0.5, y: 50.5, t: 0 }], area), []);
+  assert.deepEqual(
+    validateCaptureArea([{ x: -2, y: 10, t: 0 }, { x: 10, y: 52, t: 1 }], area),
+    [{ field: 'points[0].x', error: 'must be within 0..100' }, { field: 'points[1].y', error: 'must be within 0..50' }]
+  );
+});
+
+test('validateAction takes a string or an object of bounded size', () => {
+  assert.deepEqual(validateAction(undefined), []);
+  assert.deepEqual(validateAction('login'), []);
+  assert.deepEqual(validateAction({ type: 'transfer', amount: 10 }), []);
+  for (const action of ['', 42, ['login'], true]) {
+    assert.deepEqual(fields(validateAction(action)), ['action'], JSON.stringify(action));
+  }
+  assert.deepEqual(fields(validateAction('x'.repeat(5000))), ['action']);
+});
+
+test('validateRecordId takes a short string without control characters', () => {
+  assert.deepEqual(validateRecordId(undefined), []);
+  assert.deepEqual(validateRecordId(null), []);
+  assert.deepEqual(validateRecordId('order-42'), []);
+  assert.deepEqual(validateRecordId('x'.repeat(128)), []);
+  assert.deepEqual(validateRecordId(''), [{ field: 'recordId', error: 'must be a non-empty string' }]);
+  assert.deepEqual(fields(validateRecordId(42)), ['recordId']);
+  assert.deepEqual(fields(validateRecordId({ $ne: null })), ['recordId']);
+  assert.deepEqual(validateRecordId('x'.repeat(129)),
+    [{ field: 'recordId', error: 'must not be longer than 128 characters' }]);
+  assert.deepEqual(validateRecordId('a\nb'), [{ field: 'recordId', error: 'must not contain control characters' }]);
+  assert.equal(validateRecordId('x'.repeat(20), { maxRecordIdLength: 10 }).length, 1);
+});
+
+test('/api/verify and /api/stream refuse a bad recordId before rate limiting', async (t) => {
+  const server = await startServer();
+  t.after(() => server.close());
+
+  for (const route of ['/api/verify', '/api/stream']) {
+    for (const recordId of [{ a: 1 }, 'x'.repeat(129), 'a\u0000b']) {
+      const res = await server.post(route, { recordId, points: line(20) });
+      assert.equal(res.status, 400, `${route} ${JSON.stringify(recordId)}`);
+      assert.equal(res.body.details[0].field, 'recordId');
+    }
+  }
+
+  const res = await server.post('/api/verify', { points: 'nope', recordId: 'rec-1' });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.details[0].field, 'points');
+});
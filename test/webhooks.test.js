@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  createWebhooks, checkWebhookUrl, isPrivateAddress, signWebhook, verifyWebhookSignature
+} = require('../server/webhooks');
+const { createStore } = require('../server/store');
+const { startServer } = require('./helpers');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Receiver on 127.0.0.1 answering with the given status codes in turn (200 after that)
+ */
+async function startReceiver(t, statuses = []) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests };
+}
+
+async function waitFor(check, timeoutMs = 3000) {
+  const until = Date.now() + timeoutMs;
+  while (!(await check())) {
+    if (Date.now() > until) throw new Error('Timed out waiting');
+    await sleep(20);
+  }
+}
+
+test('isPrivateAddress', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '::1', '::', '::ffff:127.0.0.1', 'fd00::1', 'fe80::1', 'localhost']) {
+    assert.equal(isPrivateAddress(address), true, address);
+  }
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700::1111']) {
+    assert.equal(isPrivateAddress(address), false, address);
+  }
+});
+
+test('checkWebhookUrl refuses URLs into the server\'s own network', async () => {
+  assert.equal(await checkWebhookUrl('ftp://example.com/'), 'url must be an http(s) URL');
+  assert.equal(await checkWebhookUrl('not a url'), 'url must be an http(s) URL');
+  for (const url of ['http://127.0.0.1:3000/', 'http://[::1]/', 'http://169.254.169.254/latest/meta-data',
+    'http://[::ffff:10.0.0.1]/', 'http://localhost/hook']) {
+    assert.match(await checkWebhookUrl(url), /private or loopback address/, url);
+  }
+  assert.equal(await checkWebhookUrl('https://8.8.8.8/hook'), null);
+  assert.equal(await checkWebhookUrl('http://localhost/hook', { allowPrivateTargets: true }), null);
+});
+
+test('webhook signatures', (t) => {
+  const body = JSON.stringify({ id: 'dlv_1', events: ['fail'] });
+  const header = signWebhook('whsec_a', body, Date.now());
+  assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+
+  assert.equal(verifyWebhookSignature('whsec_a', header, body), true);
+  assert.equal(verifyWebhookSignature('whsec_b', header, body), false);
+  assert.equal(verifyWebhookSignature('whsec_a', header, body + ' '), false);
+  assert.equal(verifyWebhookSignature('whsec_a', header.replace(/t=\d+/, 't=1'), body), false);
+  assert.equal(verifyWebhookSignature('whsec_a', header.replace(/v1=\w+/, 'v1=abc'), body), false);
+  assert.equal(verifyWebhookSignature('whsec_a', undefined, body), false);
+  assert.equal(verifyWebhookSignature('whsec_a', 'garbage', body), false);
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 6 * 60000);
+  assert.equal(verifyWebhookSignature('whsec_a', header, body), false);
+  assert.equal(verifyWebhookSignature('whsec_a', header, body, 10 * 60000), true);
+});
+
+test('webhook delivery', async (t) => {
+  const store = createStore({ type: 'memory' });
+  t.after(() => store.close());
+
+  await t.test('signed POSTs to matching webhooks only', async (t) => {
+    const webhooks = createWebhooks(store, { allowPrivateTargets: true });
+    const receiver = await startReceiver(t);
+    const { webhook, secret } = await webhooks.create({ url: receiver.url, events: ['fail', 'aiDetected'] });
+    const siteHook = await webhooks.create({ url: receiver.url, events: ['fail'], siteKey: 'pk_a' });
+    assert.match(secret, /^whsec_/);
+    assert.equal((await webhooks.list()).length, 2);
+    assert.ok((await webhooks.list()).every(w => !('secret' in w)));
+    assert.deepEqual((await webhooks.list('pk_a')).map(w => w.id), [siteHook.webhook.id]);
+
+    await webhooks.dispatch(['pass'], { recordId: 'r0' }, null);
+    await webhooks.dispatch(['fail', 'aiDetected'], { recordId: 'r1' }, 'pk_b');
+    await waitFor(() => receiver.requests.length === 1);
+    await sleep(50);
+    assert.equal(receiver.requests.length, 1);
+
+    const { headers, body } = receiver.requests[0];
+    assert.equal(headers['x-aimousecheck-event'], 'fail,aiDetected');
+    assert.equal(verifyWebhookSignature(secret, headers['x-aimousecheck-signature'], body), true);
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, headers['x-aimousecheck-delivery']);
+    assert.deepEqual(payload.data, { recordId: 'r1' });
+
+    await waitFor(async () => (await webhooks.deliveries(webhook.id)).length === 1);
+    const [attempt] = await webhooks.deliveries(webhook.id);
+    assert.equal(attempt.delivered, true);
+    assert.equal(attempt.statusCode, 200);
+    await webhooks.remove(webhook.id);
+    await webhooks.remove(siteHook.webhook.id);
+  });
+
+  await t.test('failed deliveries are retried with backoff under the same ID', async (t) => {
+    const webhooks = createWebhooks(store, { allowPrivateTargets: true, baseDelayMs: 20, maxAttempts: 3 });
+    const receiver = await startReceiver(t, [500, 302]);
+    const { webhook } = await webhooks.create({ url: receiver.url, events: ['fail'] });
+
+    await webhooks.dispatch(['fail'], {}, null);
+    await waitFor(async () => (await webhooks.deliveries(webhook.id)).length === 3);
+    const attempts = await webhooks.deliveries(webhook.id);
+    assert.deepEqual(attempts.map(a => a.statusCode), [200, 302, 500]);
+    assert.deepEqual(attempts.map(a => a.delivered), [true, false, false]);
+    assert.equal(new Set(receiver.requests.map(r => r.headers['x-aimousecheck-delivery'])).size, 1);
+    await webhooks.remove(webhook.id);
+  });
+
+  await t.test('deliveries to private addresses are refused', async (t) => {
+    const webhooks = createWebhooks(store, { maxAttempts: 1 });
+    const receiver = await startReceiver(t);
+    // Registered while allowed, e.g. before a DNS change
+    const literal = await webhooks.create({ url: receiver.url, events: ['fail'] });
+    const named = await webhooks.create({ url: receiver.url.replace('127.0.0.1', 'localhost'), events: ['fail'] });
+
+    await webhooks.dispatch(['fail'], {}, null);
+    await waitFor(async () => (await webhooks.deliveries(literal.webhook.id)).length === 1 &&
+      (await webhooks.deliveries(named.webhook.id)).length === 1);
+    assert.match((await webhooks.deliveries(literal.webhook.id))[0].error, /127\.0\.0\.1 is a private address/);
+    assert.match((await webhooks.deliveries(named.webhook.id))[0].error, /localhost resolves to private address/);
+    assert.equal(receiver.requests.length, 0);
+  });
+});
+
+test('/api/admin/webhooks', async (t) => {
+  const server = await startServer({ ADMIN_TOKENS: 'alice:write:wtok' });
+  t.after(() => server.close());
+  const as = { Authorization: 'Bearer wtok' };
+
+  for (const url of ['http://127.0.0.1:3000/hook', 'http://169.254.169.254/', 'http://[::1]/', 'file:///etc/passwd']) {
+    const res = await server.post('/api/admin/webhooks', { url, events: ['fail'] }, as);
+    assert.equal(res.status, 400, url);
+  }
+  assert.equal((await server.post('/api/admin/webhooks', { url: 'https://8.8.8.8/hook', events: ['nope'] }, as)).status, 400);
+
+  const created = await server.post('/api/admin/webhooks', { url: 'https://8.8.8.8/hook', events: ['fail', 'fail'] }, as);
+  assert.equal(created.status, 200);
+  assert.deepEqual(created.body.webhook.events, ['fail']);
+  const listed = (await server.get('/api/admin/webhooks', as)).body.webhooks;
+  assert.deepEqual(listed.map(w => w.id), [created.body.webhook.id]);
+  assert.equal(listed[0].secret, undefined);
+});